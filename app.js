@@ -0,0 +1,236 @@
+/**
+ * @fileoverview myFlix API - A RESTful API for movie information and user management
+ * @description Builds the Express application: middleware, CORS, authentication and every
+ * router. Building the app neither connects to MongoDB nor opens a port, so it can be used
+ * in-process (e.g. by tests); index.js does both and starts the server.
+ * @author Sourav Das
+ * @version 1.0.0
+ */
+
+const path = require("path");
+const express = require("express");
+const morgan = require("morgan");
+const bodyParser = require("body-parser");
+const mongoose = require("mongoose");
+const cors = require("cors");
+const Models = require("./models.js");
+const { createCache } = require("./cache");
+const { paginationHeaders } = require("./listing");
+const { postersPath, createDefaultStorage, createPosterServer } = require("./poster-storage");
+const { createPosterChecker } = require("./poster-checker");
+const { createPosterOverrides } = require("./poster-overrides");
+const { createTokens } = require("./tokens");
+const { createPassport } = require("./passport");
+const { createAuthenticate } = require("./authorize");
+const { createMailer } = require("./mailer");
+const { createLoginLimiter } = require("./login-limiter");
+const { createRateLimiter, rateLimitHeaders } = require("./rate-limit");
+const {
+  ForbiddenError,
+  ServiceUnavailableError,
+  assignRequestId,
+  errorHandler,
+  notFoundHandler,
+} = require("./errors");
+const { createMovieRouter, movieImportPath } = require("./routes/movies");
+const { createPosterRouter } = require("./routes/posters");
+const { createReviewRouter } = require("./routes/reviews");
+const { createCatalogRouter } = require("./routes/catalog");
+const { createUserRouter } = require("./routes/users");
+const { createListRouter } = require("./routes/lists");
+const { createSearchRouter } = require("./routes/search");
+
+/**
+ * Origins allowed by the CORS policy unless config.allowedOrigins is given
+ * @type {string[]}
+ */
+const defaultAllowedOrigins = [
+  'http://localhost:4200',
+  'http://localhost:8080',
+  'http://testsite.com',
+  'http://localhost:1234',
+  'https://my-flix-clients.netlify.app',
+  'https://my-flix-clients.netlify.app/',
+  'https://souravdas090300.github.io',
+  'https://souravdas090300.github.io/myFlix-Angular-client'
+];
+
+/**
+ * Creates the Express application
+ * @param {Object} [options]
+ * @param {Object} [options.config]
+ * @param {string[]} [options.config.allowedOrigins] - Origins allowed by the CORS policy
+ * @param {string} [options.config.publicUrl] - Address clients reach the API at, used in uploaded poster URLs; defaults to the host of each request
+ * @param {Function} [options.config.isDatabaseAvailable] - Returns whether database-backed routes may run; defaults to whether mongoose is connected
+ * @param {boolean} [options.config.logRequests=true] - Log every request with morgan
+ * @param {Object|false} [options.config.rateLimits] - Overrides of the route group limits in rate-limit.js; false turns them off
+ * @param {string} [options.config.jwtSecret] - Secret access tokens are signed with; defaults to JWT_SECRET
+ * @param {Object} [options.config.mailTransport] - Where account emails go, see mailer.js; defaults to MAIL_TRANSPORT
+ * @param {Object} [options.config.loginAttemptStore] - Store of failed login counts, see login-limiter.js; defaults to process memory
+ * @param {Object} [options.config.rateLimitStore] - Store of rate limit counts, see rate-limit.js; defaults to process memory
+ * @param {Object} [options.config.posterStorage] - Where uploaded posters are kept, see poster-storage.js; defaults to POSTER_STORAGE
+ * @param {Object} [options.config.posterChecker] - Checker of poster URLs, see poster-checker.js; defaults to one using POSTER_FETCHER
+ * @param {Object} [options.config.posterOverrides] - Cache of the poster overrides in force, see poster-overrides.js;
+ * defaults to an empty one, so call its load() once connected
+ * @param {boolean|number|string} [options.config.trustProxy] - Express "trust proxy" setting; set it behind a
+ * load balancer so req.ip, which login attempts and rate limits are counted by, is the client's address
+ * @param {Object} [options.models] - Mongoose models, as exported by models.js
+ * @returns {Express}
+ * @example
+ * const app = createApp({ config: { publicUrl: "https://api.example.com" } });
+ * app.listen(8080);
+ */
+function createApp({ config = {}, models = Models } = {}) {
+  const {
+    allowedOrigins = defaultAllowedOrigins,
+    isDatabaseAvailable = () => mongoose.connection.readyState === 1,
+    logRequests = true,
+    rateLimits,
+    trustProxy,
+    jwtSecret = process.env.JWT_SECRET,
+    mailTransport,
+    loginAttemptStore,
+    rateLimitStore,
+    posterStorage = createDefaultStorage(),
+    posterChecker = createPosterChecker({ models }),
+    posterOverrides = createPosterOverrides({ models }),
+  } = config;
+
+  /**
+   * Express application instance
+   * @type {Express}
+   */
+  const app = express();
+
+  /**
+   * Cached similar-movie rankings, keyed by movie ID and limit
+   * @type {Object}
+   */
+  const similarMoviesCache = createCache({ ttlMs: 10 * 60 * 1000 });
+
+  /**
+   * Distinct titles and names used for typo-tolerant matching
+   * @type {Object}
+   */
+  const searchVocabularyCache = createCache({ ttlMs: 10 * 60 * 1000, maxEntries: 1 });
+
+  /**
+   * Drops cached results derived from the catalog. Call after any movie is created, changed or deleted.
+   */
+  function catalogChanged() {
+    similarMoviesCache.clear();
+    searchVocabularyCache.clear();
+  }
+
+  const tokens = createTokens({ models, jwtSecret });
+  const passport = createPassport({ models, jwtSecret });
+
+  /**
+   * Everything the routers of this app share. Nothing in it is shared with other apps, so two apps
+   * built in one process keep their own login and rate limit counts, mail, strategies and posters.
+   * @type {Object}
+   */
+  const context = {
+    config,
+    models,
+    passport,
+    authenticate: createAuthenticate(passport),
+    tokens,
+    mailer: createMailer({ tokens, transport: mailTransport }),
+    loginLimiter: createLoginLimiter({ store: loginAttemptStore }),
+    posterStorage,
+    posterChecker,
+    posterOverrides,
+    similarMoviesCache,
+    searchVocabularyCache,
+    catalogChanged,
+  };
+
+  if (trustProxy !== undefined) app.set("trust proxy", trustProxy);
+  app.set("json replacer", posterOverrides.jsonReplacer);
+  app.use(assignRequestId);
+  app.use(bodyParser.json({ type: (req) => req.path !== movieImportPath && Boolean(req.is("application/json")) }));
+  app.use(bodyParser.urlencoded({ extended: true }));
+  if (logRequests) app.use(morgan("common"));
+  app.use("/documentation", express.static(path.join(__dirname, "out")));
+  app.use(express.static("public"));
+  app.use(postersPath, createPosterServer(posterStorage));
+
+  /**
+   * Configure CORS (Cross-Origin Resource Sharing)
+   * Allows requests only from specified origins
+   */
+  const corsOptions = {
+    origin: (origin, callback) => {
+      if (!origin) return callback(null, true);
+      if (allowedOrigins.indexOf(origin) === -1) {
+        let message =
+          "The CORS policy for this application doesn't allow access from origin " +
+          origin;
+        return callback(new ForbiddenError(message), false);
+      }
+      return callback(null, true);
+    },
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-Request-Id"],
+    exposedHeaders: [...paginationHeaders, ...rateLimitHeaders, "X-Request-Id"],
+  };
+
+  app.use(cors(corsOptions));
+  app.use(createRateLimiter(rateLimits, { tokens, store: rateLimitStore }));
+
+  require("./auth")(app, context);
+
+  /**
+   * @function getWelcome
+   * @description - Welcome message endpoint
+   * @route GET /
+   * @returns {string} - Welcome message with usage instructions
+   * @example
+   * // Response data format
+   * "Welcome to myFlix API! Use /movies for movies or /users for user operations."
+   */
+  app.get("/", (req, res) => {
+    res.send(
+      "Welcome to myFlix API! Use /movies for movies or /users for user operations."
+    );
+  });
+
+  app.get("/health", (req, res) => {
+    const available = isDatabaseAvailable();
+    res.status(available ? 200 : 503).json({
+      status: available ? "ok" : "degraded",
+      database: available ? "connected" : "unavailable",
+    });
+  });
+
+  app.use((req, res, next) => {
+    if (isDatabaseAvailable()) {
+      return next();
+    }
+
+    return next(
+      new ServiceUnavailableError(
+        "Database is not configured. Set CONNECTION_URI or MONGODB_URI to enable this endpoint."
+      )
+    );
+  });
+
+  // Routers are tried in the order they are mounted, and routes within a router in the order
+  // they are defined: /movies/featured, for one, has to come before /movies/:title
+  app.use(createMovieRouter(context));
+  app.use(createPosterRouter(context));
+  app.use(createReviewRouter(context));
+  app.use(createCatalogRouter(context));
+  app.use(createUserRouter(context));
+  app.use(createListRouter(context));
+  app.use(createSearchRouter(context));
+
+  // Anything no router answered, and every error, ends up as the JSON error shape of errors.js
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  return app;
+}
+
+module.exports = { createApp, defaultAllowedOrigins };
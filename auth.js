@@ -1,46 +1,30 @@
 /**
  * @fileoverview Authentication module for JWT token generation and user login
- * @description Handles user authentication and JWT token generation for the myFlix API
+ * @description Handles user authentication, JWT token generation, password resets
+ * and email verification for the myFlix API. createApp() mounts these routes with the app's
+ * context, which supplies the models, passport instance, tokens, mailer and login limiter.
  * @author Sourav Das
  * @version 1.0.0
  */
 
-const jwtSecret = process.env.JWT_SECRET;
-
-if (!jwtSecret) {
-  throw new Error("JWT_SECRET environment variable is required");
-}
-
-const jwt = require("jsonwebtoken"),
-  passport = require("passport");
-
-require("./passport"); // Your local passport file
-
-/**
- * Generates a JWT token for authenticated users
- * @param {Object} user - User object containing user information
- * @param {string} user.Username - Username of the authenticated user
- * @returns {string} JWT token valid for 7 days
- */
-let generateJWTToken = (user) => {
-  return jwt.sign(user, jwtSecret, {
-    subject: user.Username, // This is the username you're encoding in the JWT
-    expiresIn: "7d", // This specifies that the token will expire in 7 days
-    algorithm: "HS256", // This is the algorithm used to "sign" or encode the values of the JWT
-  });
-};
+const { check } = require("express-validator"),
+  { assertValid, AuthenticationError, BadRequestError } = require("./errors");
 
 /**
  * User Login Endpoint
- * @description Authenticate user credentials and return JWT token
+ * @description Authenticate user credentials and return a short-lived JWT access token
+ * together with a refresh token that can be exchanged at /token/refresh.
+ * Repeated failures lock the account, or the client's IP, out for a while; see login-limiter.js.
  * @function loginUser
  * @param {Object} req - Express request object
  * @param {Object} req.body - Request body
  * @param {string} req.body.Username - User's username
  * @param {string} req.body.Password - User's password
  * @param {Object} res - Express response object
- * @returns {Object} 200 - Success response with user data and JWT token
- * @returns {Object} 400 - Error response for invalid credentials
+ * @returns {Object} 200 - Success response with user data, JWT token and refresh token
+ * @returns {Object} 400 - Username or Password is missing or not a string
+ * @returns {Object} 401 - Error response for invalid credentials
+ * @returns {Object} 429 - Too many failed attempts; Retry-After gives the seconds to wait
  * @example
  * // Request body:
  * {
@@ -55,25 +39,227 @@ let generateJWTToken = (user) => {
  *     "Username": "johndoe",
  *     "Email": "john@example.com"
  *   },
- *   "token": "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *   "token": "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...",
+ *   "refreshToken": "q8H0lZ4c..."
  * }
  */
-module.exports = (router) => {
-  router.post("/login", (req, res) => {
-    passport.authenticate("local", { session: false }, (error, user, info) => {
-      if (error || !user) {
-        return res.status(400).json({
-          message: "Something is not right",
-          user: user,
-        });
-      }
-      req.login(user, { session: false }, (error) => {
+module.exports = (router, { models, passport, authenticate, tokens, mailer, loginLimiter }) => {
+  const Users = models.User;
+  const OneTimeTokenPurposes = models.OneTimeTokenPurposes;
+
+  router.post("/login", async (req, res, next) => {
+    const { Username, Password } = req.body || {};
+    // An array or query operator would still find the account, but escape its login count
+    if (typeof Username !== "string" || typeof Password !== "string") {
+      throw new BadRequestError("Username and Password must be strings");
+    }
+    // Reserved before the password is checked, so parallel guesses count against the limit too
+    const attempt = await loginLimiter.reserveLoginAttempt(req.ip, Username);
+    passport.authenticate("local", { session: false }, async (error, user) => {
+      try {
         if (error) {
-          res.send(error);
+          await loginLimiter.releaseLoginAttempt(attempt);
+          throw error;
         }
-        let token = generateJWTToken(user.toJSON());
-        return res.json({ user, token });
-      });
-    })(req, res);
+        if (!user) {
+          await loginLimiter.recordLoginFailure(attempt);
+          // Same answer for an unknown username and a wrong password
+          throw new AuthenticationError("Incorrect username or password");
+        }
+        await loginLimiter.recordLoginSuccess(attempt);
+        const { token, refreshToken } = await tokens.issueTokens(user);
+        return res.json({ user, token, refreshToken });
+      } catch (error) {
+        // Passport's callback is not awaited by Express, so errors are handed on explicitly
+        next(error);
+      }
+    })(req, res, next);
   });
+
+  /**
+   * Refresh Token Endpoint
+   * @description Exchange a refresh token for a new access token and refresh token.
+   * The presented refresh token is single-use; reusing it revokes all of the user's sessions.
+   * @function refreshToken
+   * @param {string} req.body.refreshToken - Refresh token returned by /login or a previous refresh
+   * @returns {Object} 200 - New token pair
+   * @returns {Object} 401 - Refresh token is unknown, expired or revoked
+   * @example
+   * // Request body:
+   * { "refreshToken": "q8H0lZ4c..." }
+   *
+   * // Success Response:
+   * {
+   *   "token": "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...",
+   *   "refreshToken": "Zr91bXk2..."
+   * }
+   */
+  router.post(
+    "/token/refresh",
+    [check("refreshToken", "Refresh token is required").isString().notEmpty()],
+    async (req, res) => {
+      assertValid(req);
+      const result = await tokens.rotateRefreshToken(req.body.refreshToken);
+      if (!result) {
+        throw new AuthenticationError("Invalid or expired refresh token");
+      }
+      return res.json({ token: result.token, refreshToken: result.refreshToken });
+    }
+  );
+
+  /**
+   * Logout Endpoint
+   * @description Revoke a refresh token. With "all": true, every session of the
+   * token's owner is ended and their outstanding access tokens stop working.
+   * @function logoutUser
+   * @param {string} req.body.refreshToken - Refresh token to revoke
+   * @param {boolean} [req.body.all] - Log out everywhere
+   * @returns {Object} 200 - Confirmation message (also returned for unknown tokens)
+   * @example
+   * // Request body:
+   * { "refreshToken": "q8H0lZ4c...", "all": true }
+   *
+   * // Success Response:
+   * { "message": "Logged out" }
+   */
+  router.post(
+    "/logout",
+    [
+      check("refreshToken", "Refresh token is required").isString().notEmpty(),
+      check("all", "all must be a boolean").optional().isBoolean().toBoolean(),
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const revoked = await tokens.revokeRefreshToken(req.body.refreshToken);
+      if (revoked && req.body.all) {
+        await tokens.revokeUserTokens(revoked.User);
+      }
+      return res.json({ message: "Logged out" });
+    }
+  );
+
+  /**
+   * Forgot Password Endpoint
+   * @description Email a single-use password reset link to the account with this address.
+   * The response is the same whether or not the address is registered.
+   * @function forgotPassword
+   * @param {string} req.body.Email - Email address of the account
+   * @returns {Object} 200 - Generic confirmation message
+   * @example
+   * // Request body:
+   * { "Email": "john@example.com" }
+   *
+   * // Success Response:
+   * { "message": "If an account with that email exists, a reset link has been sent." }
+   */
+  router.post(
+    "/password/forgot",
+    [check("Email", "Email does not appear to be valid").isEmail()],
+    async (req, res) => {
+      assertValid(req);
+      const user = await Users.findOne({ Email: req.body.Email });
+      if (user) {
+        await mailer.sendPasswordResetEmail(user);
+      }
+      return res.json({
+        message: "If an account with that email exists, a reset link has been sent.",
+      });
+    }
+  );
+
+  /**
+   * Reset Password Endpoint
+   * @description Set a new password using the token from the reset email.
+   * The token works once and expires after an hour. All of the user's sessions are revoked.
+   * @function resetPassword
+   * @param {string} req.body.token - Reset token from the email
+   * @param {string} req.body.Password - New password
+   * @returns {Object} 200 - Confirmation message
+   * @returns {Object} 400 - Token is unknown, expired or already used
+   * @example
+   * // Request body:
+   * { "token": "m1N5c0r...", "Password": "newSecurePassword456" }
+   *
+   * // Success Response:
+   * { "message": "Password has been reset. Please log in again." }
+   */
+  router.post(
+    "/password/reset",
+    [
+      check("token", "Reset token is required").isString().notEmpty(),
+      check("Password", "Password is required").not().isEmpty(),
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const userId = await tokens.consumeOneTimeToken(
+        req.body.token,
+        OneTimeTokenPurposes.PASSWORD_RESET
+      );
+      const user = userId ? await Users.findById(userId) : null;
+      if (!user) {
+        throw new BadRequestError("Invalid or expired reset token");
+      }
+      user.Password = Users.hashPassword(req.body.Password);
+      // Receiving the reset email proves the address belongs to the user.
+      user.Verified = true;
+      await user.save();
+      await tokens.revokeUserTokens(user._id);
+      return res.json({ message: "Password has been reset. Please log in again." });
+    }
+  );
+
+  /**
+   * Request Email Verification Endpoint
+   * @description Send (or re-send) the verification email to the logged in user
+   * @function requestEmailVerification
+   * @param {authentication} - Bearer token (JWT)
+   * @returns {Object} 200 - Confirmation message
+   * @example
+   * // Success Response:
+   * { "message": "Verification email sent to john@example.com" }
+   */
+  router.post(
+    "/email/verify/request",
+    authenticate,
+    async (req, res) => {
+      if (req.user.Verified) {
+        return res.json({ message: "Email is already verified" });
+      }
+      await mailer.sendVerificationEmail(req.user);
+      return res.json({ message: "Verification email sent to " + req.user.Email });
+    }
+  );
+
+  /**
+   * Verify Email Endpoint
+   * @description Mark the user's email address as verified using the token from the verification email
+   * @function verifyEmail
+   * @param {string} req.body.token - Verification token from the email
+   * @returns {Object} 200 - Confirmation message
+   * @returns {Object} 400 - Token is unknown, expired or already used
+   * @example
+   * // Request body:
+   * { "token": "Vx7qP2a..." }
+   *
+   * // Success Response:
+   * { "message": "Email verified" }
+   */
+  router.post(
+    "/email/verify",
+    [check("token", "Verification token is required").isString().notEmpty()],
+    async (req, res) => {
+      assertValid(req);
+      const userId = await tokens.consumeOneTimeToken(
+        req.body.token,
+        OneTimeTokenPurposes.EMAIL_VERIFICATION
+      );
+      const user = userId
+        ? await Users.findByIdAndUpdate(userId, { $set: { Verified: true } }, { new: true })
+        : null;
+      if (!user) {
+        throw new BadRequestError("Invalid or expired verification token");
+      }
+      return res.json({ message: "Email verified" });
+    }
+  );
 };
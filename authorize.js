@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Authorization middleware for the myFlix API
+ * @description Token authentication and the role and ownership checks shared by every
+ * protected route. authorize() must run after authenticate has set req.user.
+ * Each app builds its authenticate middleware with createAuthenticate() from its own passport
+ * instance (see passport.js) and hands it to the routers in their context.
+ * @author Sourav Das
+ * @version 1.0.0
+ */
+
+const { Roles } = require("./models.js");
+const { AuthenticationError, ForbiddenError } = require("./errors");
+
+/**
+ * Creates middleware that authenticates the request from its Bearer token (JWT) and sets req.user.
+ * A missing, invalid or revoked token is passed on as an error, so the
+ * error middleware answers 401 in the usual JSON shape.
+ * @param {Object} passport - Passport instance with the "jwt" strategy, see createPassport()
+ * @returns {Function} Express middleware
+ */
+const createAuthenticate = (passport) =>
+  passport.authenticate("jwt", { session: false, failWithError: true });
+
+/**
+ * Creates middleware that only lets the request through when the
+ * authenticated user has one of the given roles, or owns the resource.
+ * Other users get a ForbiddenError.
+ * @param {Object} [options]
+ * @param {String[]} [options.roles=[]] - Roles that are always allowed
+ * @param {String} [options.self] - Route parameter holding a username; the user named there is allowed
+ * @param {String} [options.message] - Message of the ForbiddenError
+ * @returns {Function} Express middleware
+ * @example
+ * // Only admins
+ * app.get("/users", authenticate,
+ *   authorize({ roles: [Roles.ADMIN] }), handler);
+ *
+ * // The user themselves or an admin
+ * app.get("/users/:username", authenticate,
+ *   authorize({ self: "username", roles: [Roles.ADMIN] }), handler);
+ */
+const authorize = ({ roles = [], self, message } = {}) => {
+  return (req, res, next) => {
+    const user = req.user;
+    if (!user) {
+      return next(new AuthenticationError());
+    }
+    const role = user.Role || Roles.USER;
+    const isSelf = Boolean(self) && user.Username === req.params[self];
+    if (isSelf || roles.includes(role)) {
+      return next();
+    }
+    return next(new ForbiddenError(message));
+  };
+};
+
+module.exports = { createAuthenticate, authorize, Roles };
@@ -0,0 +1,55 @@
+/**
+ * @fileoverview In-memory cache for the myFlix API
+ * @description Small TTL cache for expensive, read-mostly results such as similar-movie rankings.
+ * Entries live in this process only; each cache is cleared explicitly when its source data changes.
+ * @author Sourav Das
+ * @version 1.0.0
+ */
+
+/**
+ * Creates a cache whose entries expire after a fixed time.
+ * When full, the oldest entry is evicted first.
+ * @param {Object} [options]
+ * @param {number} [options.ttlMs=600000] - How long an entry stays valid (default 10 minutes)
+ * @param {number} [options.maxEntries=500] - Maximum number of entries
+ * @returns {{get: Function, set: Function, delete: Function, clear: Function, size: Function}}
+ * @example
+ * const cache = createCache({ ttlMs: 60 * 1000 });
+ * cache.set("key", value);
+ * cache.get("key"); // value, or undefined once expired
+ */
+const createCache = ({ ttlMs = 10 * 60 * 1000, maxEntries = 500 } = {}) => {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+    set(key, value) {
+      entries.delete(key);
+      if (entries.size >= maxEntries) {
+        // Maps iterate in insertion order, so the first key is the oldest.
+        entries.delete(entries.keys().next().value);
+      }
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      return value;
+    },
+    delete(key) {
+      return entries.delete(key);
+    },
+    clear() {
+      entries.clear();
+    },
+    size() {
+      return entries.size;
+    },
+  };
+};
+
+module.exports = { createCache };
@@ -0,0 +1,109 @@
+/**
+ * Bulk import and export of the movie catalog from the command line.
+ *
+ *   node catalog-cli.js import <file> [--format json|csv|ndjson] [--dry-run] [--upsert]
+ *   node catalog-cli.js export <file> [--format json|csv|ndjson]
+ *
+ * The format defaults to the file extension. Use "-" as the export file to write to stdout.
+ * Rows are validated exactly as POST /movies/import does; see the README for the CSV columns.
+ * Requires CONNECTION_URI or MONGODB_URI env var (same as the main app).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+const mongoose = require("mongoose");
+const catalogIO = require("./catalog-io.js");
+
+const { importMovies, exportMovies } = catalogIO.createCatalogIO();
+
+const USAGE = `Usage:
+  node catalog-cli.js import <file> [--format json|csv|ndjson] [--dry-run] [--upsert]
+  node catalog-cli.js export <file> [--format json|csv|ndjson]`;
+
+/**
+ * Reads the command, file and flags from the command line
+ * @param {string[]} args - process.argv without node and the script
+ * @returns {{command: string, file: string, format: (string|undefined), dryRun: boolean, upsert: boolean}}
+ */
+function parseArgs(args) {
+  const options = { dryRun: false, upsert: false };
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--dry-run") options.dryRun = true;
+    else if (args[i] === "--upsert") options.upsert = true;
+    else if (args[i] === "--format") options.format = args[++i];
+    else positional.push(args[i]);
+  }
+  [options.command, options.file] = positional;
+  return options;
+}
+
+/**
+ * Format named on the command line, or implied by the file extension
+ * @param {string} file
+ * @param {string} [format]
+ * @returns {string|undefined}
+ */
+function resolveFormat(file, format) {
+  const name = format || path.extname(file).slice(1).toLowerCase();
+  if (name === "jsonl") return "ndjson";
+  return catalogIO.formats.includes(name) ? name : undefined;
+}
+
+async function runImport(file, format, options) {
+  const records = catalogIO.parseRecords(fs.readFileSync(file, "utf8"), format);
+  const report = await importMovies(records, options);
+
+  for (const row of report.rows.filter((entry) => entry.status === "rejected")) {
+    console.warn(`  Row ${row.row}${row.title ? ` (${row.title})` : ""}: ${row.errors.join("; ")}`);
+  }
+  console.log(
+    `\n${report.dryRun ? "Dry run: would have " : ""}created ${report.created}, updated ${report.updated}, ` +
+      `left ${report.unchanged} unchanged and rejected ${report.rejected} of ${report.total} rows.`
+  );
+}
+
+async function runExport(file, format) {
+  const output = file === "-" ? process.stdout : fs.createWriteStream(file);
+  await pipeline(exportMovies(format), output);
+  if (file !== "-") console.log(`Catalog written to ${file}.`);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!["import", "export"].includes(options.command) || !options.file) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+  const format = resolveFormat(options.file, options.format);
+  if (!format) {
+    console.error("Error: pass --format json, csv or ndjson, or use a .json, .csv or .ndjson file.");
+    process.exit(1);
+  }
+
+  const uri = process.env.CONNECTION_URI || process.env.MONGODB_URI;
+  if (!uri) {
+    console.error(
+      "Error: CONNECTION_URI or MONGODB_URI environment variable is required."
+    );
+    process.exit(1);
+  }
+
+  await mongoose.connect(uri);
+  // Keep stdout clean when the export itself is written there
+  if (options.file !== "-") console.log("Connected to MongoDB.\n");
+
+  if (options.command === "import") {
+    await runImport(options.file, format, { dryRun: options.dryRun, upsert: options.upsert });
+  } else {
+    await runExport(options.file, format);
+  }
+
+  await mongoose.disconnect();
+}
+
+main().catch((err) => {
+  console.error("Catalog " + (process.argv[2] || "command") + " failed:", err.message);
+  process.exit(1);
+});
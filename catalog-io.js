@@ -0,0 +1,580 @@
+/**
+ * @fileoverview Bulk movie import and export for the myFlix API
+ * @description Reads movies from JSON, CSV or NDJSON, validates every row against the Movie schema,
+ * and creates them or, with upsert, updates the movie with the same title. Serializes the catalog
+ * back into the same formats. Shared by POST /movies/import, GET /movies/export and catalog-cli.js,
+ * together with the helpers every movie write uses to link genres and directors. Everything that
+ * reads or writes the database comes from createCatalogIO(), bound to the models it is given.
+ * @author Sourav Das
+ * @version 1.0.0
+ */
+
+const { Readable } = require("stream");
+const Models = require("./models.js");
+
+/**
+ * Supported file formats
+ * @type {string[]}
+ */
+const formats = ["json", "csv", "ndjson"];
+
+/**
+ * Media type of each format
+ * @type {Object<string, string>}
+ */
+const mediaTypes = {
+  json: "application/json",
+  csv: "text/csv",
+  ndjson: "application/x-ndjson",
+};
+
+/**
+ * Top-level Movie fields accepted by the admin write routes and imports.
+ * Genre and Director list the subfields that may be sent for them.
+ * @type {Object<string, string[]|null>}
+ */
+const movieWritableFields = {
+  Title: null,
+  Description: null,
+  Genre: ["Name", "Description"],
+  Director: ["Name", "Bio", "Birth", "Death"],
+  Actors: null,
+  Actresses: null,
+  ReleaseYear: null,
+  IMDbRating: null,
+  ImagePath: null,
+  Featured: null,
+};
+
+/**
+ * Movie fields that reference a shared record rather than holding their own data. Each is also the
+ * name of the model holding those records.
+ * @type {string[]}
+ */
+const movieCreditFields = ["Genre", "Director"];
+
+/**
+ * CSV columns, in export order. Nested fields use dotted names.
+ * @type {string[]}
+ */
+const csvColumns = [
+  "Title",
+  "Description",
+  "Genre.Name",
+  "Genre.Description",
+  "Director.Name",
+  "Director.Bio",
+  "Director.Birth",
+  "Director.Death",
+  "Actors",
+  "Actresses",
+  "ReleaseYear",
+  "IMDbRating",
+  "ImagePath",
+  "Featured",
+];
+
+/**
+ * Separates the names of a list column (Actors, Actresses) inside one CSV cell
+ * @type {string}
+ */
+const listSeparator = "|";
+
+/**
+ * Copies the writable movie fields out of a request body.
+ * Genre and Director are left out; linkMovieCredits() resolves them.
+ * @param {Object} body - Validated request body
+ * @returns {Object} - Movie data safe to persist
+ */
+function pickMovieFields(body) {
+  const data = {};
+  for (const field of Object.keys(movieWritableFields)) {
+    if (body[field] !== undefined && !movieCreditFields.includes(field)) {
+      data[field] = body[field];
+    }
+  }
+  return data;
+}
+
+/**
+ * Names of the credits in a request body that cannot be linked: no name given and none on the movie yet
+ * @param {Object} body - Validated request body
+ * @param {Object} [movie] - Movie being updated
+ * @returns {string[]} - e.g. ["Director"]
+ */
+function unnamedMovieCredits(body, movie) {
+  return movieCreditFields.filter(
+    (field) => body[field] !== undefined && !body[field].Name && !(movie && movie[field] && movie[field].Name)
+  );
+}
+
+/**
+ * Key under which two titles count as the same movie (case, spacing and apostrophe style ignored)
+ * @param {string} title
+ * @returns {string}
+ */
+const titleKey = (title) =>
+  String(title || "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .replace(/\u2019/g, "'")
+    .toLowerCase();
+
+/**
+ * @param {*} value
+ * @returns {boolean} Whether value is a plain (JSON-style) object
+ */
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Splits CSV text into rows of raw cell values (RFC 4180: quoted cells may hold commas, quotes and line breaks)
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char !== '"') {
+        cell += char;
+      } else if (text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"' && cell === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) throw new Error("CSV has a quoted value that is never closed");
+  if (cell !== "" || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Splits an uploaded file into records.
+ * A problem with one NDJSON line or CSV row rejects only that record; a file that cannot be read at all throws.
+ * @param {string} text - File contents
+ * @param {string} format - One of formats
+ * @returns {Array<{row: number, data: (Object|undefined), error: (string|undefined)}>} Records numbered from 1
+ * @throws {Error} When the file as a whole is malformed
+ */
+function parseRecords(text, format) {
+  text = String(text).replace(/^\uFEFF/, "");
+
+  if (format === "json") {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new Error("Invalid JSON: " + error.message);
+    }
+    if (!Array.isArray(parsed)) throw new Error("A JSON import must be an array of movies");
+    return parsed.map((data, index) => ({ row: index + 1, data }));
+  }
+
+  if (format === "ndjson") {
+    return text
+      .split(/\r?\n/)
+      .filter((line) => line.trim())
+      .map((line, index) => {
+        try {
+          return { row: index + 1, data: JSON.parse(line) };
+        } catch (error) {
+          return { row: index + 1, error: "Invalid JSON: " + error.message };
+        }
+      });
+  }
+
+  const rows = parseCsv(text).filter((cells) => cells.some((cell) => cell.trim()));
+  if (!rows.length) return [];
+  const header = rows[0].map((name) => name.trim());
+  if (!header.includes("Title")) throw new Error("The CSV header must include a Title column");
+
+  return rows.slice(1).map((cells, index) => {
+    if (cells.length > header.length) {
+      return { row: index + 1, error: `Row has ${cells.length} values but the header has ${header.length} columns` };
+    }
+    const data = {};
+    header.forEach((column, position) => {
+      const [field, subfield] = column.split(".");
+      const value = cells[position];
+      if (value === undefined || !field) return;
+      if (subfield) {
+        data[field] = { ...data[field], [subfield]: value };
+      } else {
+        data[field] = value;
+      }
+    });
+    return { row: index + 1, data };
+  });
+}
+
+/**
+ * Trims a string value; empty strings count as not given
+ * @param {*} value
+ * @returns {*}
+ */
+const cleanValue = (value) => {
+  if (typeof value !== "string") return value;
+  const trimmed = value.trim();
+  return trimmed === "" ? undefined : trimmed;
+};
+
+/**
+ * Converts a numeric string (as found in CSV) to a number; anything else is returned as is
+ * @param {*} value
+ * @returns {*}
+ */
+const toNumber = (value) =>
+  typeof value === "string" && value !== "" && !isNaN(Number(value)) ? Number(value) : value;
+
+/**
+ * Converts common spellings of a boolean (as found in CSV) to a boolean; anything else is returned as is
+ * @param {*} value
+ * @returns {*}
+ */
+const toBoolean = (value) => {
+  const spelling = typeof value === "string" ? value.toLowerCase() : value;
+  if (["true", "yes", "1"].includes(spelling)) return true;
+  if (["false", "no", "0"].includes(spelling)) return false;
+  return value;
+};
+
+/**
+ * Picks the writable movie fields out of an imported record and converts CSV text to the right types.
+ * Blank values are left out, so an upsert never clears a field by accident.
+ * @param {Object} record - Parsed row
+ * @returns {Object} Movie data in the same shape as a POST /movies body
+ */
+function toMovieData(record) {
+  const data = {};
+  for (const [field, subfields] of Object.entries(movieWritableFields)) {
+    let value = record[field];
+    if (subfields) {
+      // A bare name is accepted for convenience: "Genre": "Drama"
+      if (typeof value === "string") value = { Name: value };
+      if (!isPlainObject(value)) {
+        if (cleanValue(value) !== undefined) data[field] = value;
+        continue;
+      }
+      const nested = {};
+      for (const subfield of subfields) {
+        const subvalue = cleanValue(value[subfield]);
+        if (subvalue !== undefined && subvalue !== null) nested[subfield] = subvalue;
+      }
+      if (Object.keys(nested).length) data[field] = nested;
+    } else if (field === "Actors" || field === "Actresses") {
+      const names = typeof value === "string" ? value.split(listSeparator) : value;
+      if (Array.isArray(names)) {
+        const cleaned = names.map(cleanValue).filter((name) => name !== undefined);
+        if (cleaned.length) data[field] = cleaned;
+      } else if (value !== undefined && value !== null) {
+        data[field] = value;
+      }
+    } else {
+      value = cleanValue(value);
+      if (value === undefined || value === null) continue;
+      if (field === "ReleaseYear" || field === "IMDbRating") value = toNumber(value);
+      if (field === "Featured") value = toBoolean(value);
+      data[field] = value;
+    }
+  }
+  return data;
+}
+
+/**
+ * Checks imported movie data with the same rules as the movie write routes
+ * @param {Object} data - Result of toMovieData()
+ * @returns {string[]} Error messages; empty when the data is valid
+ */
+function movieDataErrors(data) {
+  const errors = [];
+  const isDate = (value) => typeof value === "string" && !isNaN(Date.parse(value));
+
+  for (const field of ["Title", "Description", "ImagePath"]) {
+    if (data[field] !== undefined && typeof data[field] !== "string") errors.push(`${field} must be a string`);
+  }
+  for (const field of movieCreditFields) {
+    if (data[field] !== undefined && !isPlainObject(data[field])) errors.push(`${field} must be an object`);
+  }
+  if (isPlainObject(data.Director)) {
+    for (const subfield of ["Birth", "Death"]) {
+      const value = data.Director[subfield];
+      if (value !== undefined && !isDate(value)) errors.push(`Director ${subfield.toLowerCase()} must be a valid date`);
+    }
+  }
+  if (data.Actors !== undefined && !(Array.isArray(data.Actors) && data.Actors.every((name) => typeof name === "string"))) {
+    errors.push("Actors must be an array of names");
+  }
+  if (data.Actresses !== undefined && !(Array.isArray(data.Actresses) && data.Actresses.every((name) => typeof name === "string"))) {
+    errors.push("Actresses must be an array of names");
+  }
+  if (data.ReleaseYear !== undefined && !(Number.isInteger(data.ReleaseYear) && data.ReleaseYear >= 1888 && data.ReleaseYear <= 2100)) {
+    errors.push("Release year must be a valid year");
+  }
+  if (data.IMDbRating !== undefined && !(typeof data.IMDbRating === "number" && data.IMDbRating >= 0 && data.IMDbRating <= 10)) {
+    errors.push("IMDb rating must be a number between 0 and 10");
+  }
+  if (data.Featured !== undefined && typeof data.Featured !== "boolean") {
+    errors.push("Featured must be a boolean");
+  }
+  return errors;
+}
+
+/**
+ * The importable fields of a stored movie, with genre and director references left out
+ * @param {Object} movie - Lean movie document
+ * @returns {Object}
+ */
+function toExportRecord(movie) {
+  const record = {};
+  for (const [field, subfields] of Object.entries(movieWritableFields)) {
+    const value = movie[field];
+    if (value === undefined || value === null) continue;
+    if (subfields) {
+      const nested = {};
+      for (const subfield of subfields) {
+        const subvalue = value[subfield];
+        if (subvalue === undefined || subvalue === null) continue;
+        nested[subfield] = subvalue instanceof Date ? subvalue.toISOString().slice(0, 10) : subvalue;
+      }
+      record[field] = nested;
+    } else {
+      record[field] = value;
+    }
+  }
+  return record;
+}
+
+/**
+ * Quotes a CSV cell when it holds a comma, quote or line break
+ * @param {*} value
+ * @returns {string}
+ */
+const csvCell = (value) => {
+  if (value === undefined || value === null) return "";
+  const text = Array.isArray(value) ? value.join(listSeparator) : String(value);
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+};
+
+/**
+ * Serializes movies one at a time, so the catalog never has to fit in memory
+ * @param {AsyncIterable<Object>} movies - Lean movie documents
+ * @param {string} format - One of formats
+ * @yields {string} Chunks of the file
+ */
+async function* serializeMovies(movies, format) {
+  let first = true;
+  if (format === "json") yield "[";
+  if (format === "csv") yield csvColumns.join(",") + "\r\n";
+
+  for await (const movie of movies) {
+    const record = toExportRecord(movie);
+    if (format === "json") {
+      yield (first ? "\n" : ",\n") + JSON.stringify(record);
+    } else if (format === "ndjson") {
+      yield JSON.stringify(record) + "\n";
+    } else {
+      yield csvColumns
+        .map((column) => {
+          const [field, subfield] = column.split(".");
+          return csvCell(subfield ? record[field] && record[field][subfield] : record[field]);
+        })
+        .join(",") + "\r\n";
+    }
+    first = false;
+  }
+
+  if (format === "json") yield first ? "]\n" : "\n]\n";
+}
+
+/**
+ * Creates the catalog functions that read or write the database, bound to the given models
+ * @param {Object} [options]
+ * @param {Object} [options.models] - Mongoose models, as exported by models.js
+ * @returns {{linkMovieCredits: Function, importMovies: Function, exportMovies: Function}}
+ * @example
+ * const { importMovies } = createCatalogIO({ models });
+ * const report = await importMovies(parseRecords(text, "csv"), { dryRun: true });
+ */
+function createCatalogIO({ models = Models } = {}) {
+  const Movies = models.Movie;
+
+  /**
+   * Links the genre and director of a request body to their shared records, creating missing ones.
+   * Details sent along (e.g. a director's Bio) update the shared record and every movie referencing it.
+   * @param {Object} body - Validated request body
+   * @param {Object} [movie] - Movie being updated; its current genre or director is used when the body names none
+   * @returns {Promise<Object>} - Genre and/or Director copies to store on the movie
+   */
+  async function linkMovieCredits(body, movie) {
+    const credits = {};
+    for (const field of movieCreditFields) {
+      const model = models[field];
+      const value = body[field];
+      if (value === undefined) continue;
+      const name = value.Name || (movie && movie[field] && movie[field].Name);
+      if (!name) continue;
+
+      const record = (await model.findByName(name)) || new model({ Name: name });
+      for (const subfield of movieWritableFields[field]) {
+        if (subfield !== "Name" && value[subfield] !== undefined) {
+          record.set(subfield, value[subfield]);
+        }
+      }
+      if (record.isNew) {
+        await record.save();
+      } else if (record.isModified()) {
+        await record.save();
+        await record.syncMovies();
+      }
+      credits[field] = record.toMovieCopy();
+    }
+    return credits;
+  }
+
+  /**
+   * Imports movies, one record at a time, and reports what happened to each.
+   * Records are matched to existing movies by title. Without upsert a match is rejected; with upsert
+   * the fields given in the record overwrite the movie's, and fields left blank are kept.
+   * A dry run validates everything and reports what would happen without writing anything,
+   * including the genres and directors that would be created.
+   * @param {Array<{row: number, data: Object, error: string}>} records - Result of parseRecords()
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun=false] - Validate and report only
+   * @param {boolean} [options.upsert=false] - Update movies whose title already exists
+   * @returns {Promise<Object>} Report: { dryRun, upsert, total, created, updated, unchanged, rejected, rows }
+   */
+  async function importMovies(records, { dryRun = false, upsert = false } = {}) {
+    const report = {
+      dryRun,
+      upsert,
+      total: records.length,
+      created: 0,
+      updated: 0,
+      unchanged: 0,
+      rejected: 0,
+      rows: [],
+    };
+    const existing = await Movies.find({}, { Title: 1 }).lean();
+    const idsByTitle = new Map(existing.map((movie) => [titleKey(movie.Title), movie._id]));
+    const seen = new Set();
+
+    for (const record of records) {
+      const title = isPlainObject(record.data) ? cleanValue(record.data.Title) : undefined;
+      const reject = (errors) => {
+        report.rejected++;
+        report.rows.push({ row: record.row, title, status: "rejected", errors });
+      };
+
+      if (record.error) {
+        reject([record.error]);
+        continue;
+      }
+      if (!isPlainObject(record.data)) {
+        reject(["Row must be an object"]);
+        continue;
+      }
+      const data = toMovieData(record.data);
+      const errors = movieDataErrors(data);
+      if (errors.length) {
+        reject(errors);
+        continue;
+      }
+      if (!data.Title) {
+        reject(["Title is required"]);
+        continue;
+      }
+      const key = titleKey(data.Title);
+      if (seen.has(key)) {
+        reject(["Title appears more than once in this import"]);
+        continue;
+      }
+      seen.add(key);
+
+      const movieId = idsByTitle.get(key);
+      if (movieId && !upsert) {
+        reject([data.Title + " already exists"]);
+        continue;
+      }
+
+      try {
+        const movie = movieId ? await Movies.findById(movieId) : new Movies();
+        const unnamed = unnamedMovieCredits(data, movie.isNew ? undefined : movie);
+        if (unnamed.length) {
+          reject([unnamed.join(" and ") + " name is required"]);
+          continue;
+        }
+        // Validate with the genre and director copies as sent before any shared record is touched
+        movie.set(pickMovieFields(data));
+        for (const field of movieCreditFields) {
+          for (const [subfield, value] of Object.entries(data[field] || {})) {
+            movie.set(field + "." + subfield, value);
+          }
+        }
+        const invalid = movie.validateSync();
+        if (invalid) {
+          reject(Object.values(invalid.errors).map((error) => error.message));
+          continue;
+        }
+        if (!dryRun) {
+          movie.set(await linkMovieCredits(data, movie.isNew ? undefined : movie));
+        }
+        const status = movie.isNew ? "created" : movie.isModified() ? "updated" : "unchanged";
+        if (!dryRun && status !== "unchanged") await movie.save();
+        report[status]++;
+        report.rows.push({ row: record.row, title: movie.Title, status, _id: movie._id });
+      } catch (error) {
+        reject([error.message]);
+      }
+    }
+    return report;
+  }
+
+  /**
+   * Streams the whole catalog, in title order
+   * @param {string} format - One of formats
+   * @returns {Readable}
+   */
+  function exportMovies(format) {
+    const movies = Movies.find({}).sort({ Title: 1, _id: 1 }).lean().cursor();
+    return Readable.from(serializeMovies(movies, format));
+  }
+
+  return { linkMovieCredits, importMovies, exportMovies };
+}
+
+module.exports = {
+  formats,
+  mediaTypes,
+  movieWritableFields,
+  movieCreditFields,
+  pickMovieFields,
+  unnamedMovieCredits,
+  parseRecords,
+  toMovieData,
+  movieDataErrors,
+  createCatalogIO,
+};
@@ -0,0 +1,257 @@
+/**
+ * @fileoverview Error model for the myFlix API
+ * @description Typed errors that route handlers throw, and the middleware that turns any error
+ * into the same JSON shape:
+ * { "error": { "code": "not_found", "message": "Movie not found", "requestId": "..." } }
+ * Validation errors add the failed fields under error.details. Unexpected errors are logged
+ * with their request ID and answered with a generic 500, so internals never reach clients.
+ * @author Sourav Das
+ * @version 1.0.0
+ */
+
+const crypto = require("crypto");
+const { validationResult } = require("express-validator");
+
+/**
+ * Base class of every error that maps to an HTTP response
+ * @property {number} status - HTTP status code
+ * @property {string} code - Stable, machine-readable error code
+ * @property {Array} [details] - Extra information, e.g. the fields that failed validation
+ */
+class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} code - Machine-readable error code
+   * @param {string} message - Message safe to show to clients
+   * @param {Array} [details]
+   */
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    if (details !== undefined) this.details = details;
+  }
+}
+
+/** The request cannot be carried out as sent (400) */
+class BadRequestError extends ApiError {
+  constructor(message = "Bad request", details) {
+    super(400, "bad_request", message, details);
+  }
+}
+
+/** Credentials or token are missing, invalid or expired (401) */
+class AuthenticationError extends ApiError {
+  constructor(message = "Authentication required") {
+    super(401, "unauthorized", message);
+  }
+}
+
+/** The authenticated user may not do this (403) */
+class ForbiddenError extends ApiError {
+  constructor(message = "Not authorized to perform this action") {
+    super(403, "forbidden", message);
+  }
+}
+
+/** The resource does not exist, or is hidden from the user (404) */
+class NotFoundError extends ApiError {
+  constructor(message = "Not found") {
+    super(404, "not_found", message);
+  }
+}
+
+/** The request clashes with existing data, e.g. a duplicate name (409) */
+class ConflictError extends ApiError {
+  constructor(message = "Conflict") {
+    super(409, "conflict", message);
+  }
+}
+
+/** The request body is larger than the route accepts (413) */
+class PayloadTooLargeError extends ApiError {
+  constructor(message = "Request body is too large") {
+    super(413, "payload_too_large", message);
+  }
+}
+
+/** The request body is in a format the route does not read (415) */
+class UnsupportedMediaTypeError extends ApiError {
+  constructor(message = "Unsupported media type") {
+    super(415, "unsupported_media_type", message);
+  }
+}
+
+/** Input failed validation; details lists each failed field (422) */
+class ValidationError extends ApiError {
+  constructor(message = "Request validation failed", details) {
+    super(422, "validation_failed", message, details);
+  }
+}
+
+/** Too many requests or failed attempts; retryAfter says when to try again (429) */
+class TooManyRequestsError extends ApiError {
+  /**
+   * @param {string} [message]
+   * @param {number} [retryAfter] - Seconds until the client may try again, sent as Retry-After
+   */
+  constructor(message = "Too many requests", retryAfter) {
+    super(429, "too_many_requests", message);
+    if (retryAfter !== undefined) this.retryAfter = retryAfter;
+  }
+}
+
+/** A dependency such as the database is unavailable (503) */
+class ServiceUnavailableError extends ApiError {
+  constructor(message = "Service unavailable") {
+    super(503, "service_unavailable", message);
+  }
+}
+
+/**
+ * Entry of a ValidationError's details for one failed field. The submitted value is left out:
+ * it may be a password, and error responses end up in logs.
+ * @param {Object} error - express-validator field error
+ * @returns {{field: string, message: string, location: string}}
+ */
+const fieldError = (error) => ({ field: error.path, message: error.msg, location: error.location });
+
+/**
+ * Throws a ValidationError listing the failed fields when express-validator found any.
+ * Call first thing in a handler whose route runs check() validators.
+ * @param {Object} req - Express request
+ * @throws {ValidationError}
+ */
+function assertValid(req) {
+  const result = validationResult(req);
+  if (!result.isEmpty()) {
+    throw new ValidationError("Request validation failed", result.array().map(fieldError));
+  }
+}
+
+/**
+ * Request IDs accepted from the X-Request-Id header; anything else is replaced
+ * @type {RegExp}
+ */
+const requestIdPattern = /^[\w.:-]{1,100}$/;
+
+/**
+ * Gives every request an ID, taken from X-Request-Id when the client or a proxy sent a sane one,
+ * and echoes it in the X-Request-Id response header. Error responses and error logs include it.
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Function} next
+ */
+function assignRequestId(req, res, next) {
+  const incoming = req.get("X-Request-Id");
+  req.id = incoming && requestIdPattern.test(incoming) ? incoming : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  next();
+}
+
+/**
+ * Machine-readable code for statuses raised by other libraries
+ * @type {Object<number, string>}
+ */
+const statusCodes = {
+  400: "bad_request",
+  401: "unauthorized",
+  403: "forbidden",
+  404: "not_found",
+  405: "method_not_allowed",
+  409: "conflict",
+  413: "payload_too_large",
+  415: "unsupported_media_type",
+  422: "validation_failed",
+  429: "too_many_requests",
+  503: "service_unavailable",
+};
+
+/**
+ * Converts errors raised by Express, passport, body-parser and mongoose into ApiErrors.
+ * Returns null for anything unexpected, which is answered as a 500.
+ * @param {Error} err
+ * @returns {ApiError|null}
+ */
+function toApiError(err) {
+  if (err instanceof ApiError) return err;
+  // passport with failWithError: true
+  if (err.name === "AuthenticationError" && err.status === 401) return new AuthenticationError();
+  // body-parser
+  if (err.type === "entity.parse.failed") return new BadRequestError("Request body is not valid JSON");
+  if (err.type === "entity.too.large") return new PayloadTooLargeError();
+  // mongoose and the MongoDB driver
+  if (err.code === 11000) return new ConflictError("A record with the same values already exists");
+  if (err.name === "CastError") return new BadRequestError("Invalid value for " + err.path);
+  if (err.name === "ValidationError" && err.errors) {
+    return new ValidationError(
+      "Request validation failed",
+      Object.values(err.errors).map((error) => fieldError({ path: error.path, msg: error.message, location: "body" }))
+    );
+  }
+  // http-errors, used by Express and body-parser, marks messages that are safe to show
+  const status = err.status || err.statusCode;
+  if (status >= 400 && status < 500 && err.expose) {
+    return new ApiError(status, statusCodes[status] || "bad_request", err.message);
+  }
+  return null;
+}
+
+/**
+ * Final error middleware: answers every error with the JSON error shape.
+ * Mount after every router.
+ * @param {Error} err
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Function} next
+ */
+function errorHandler(err, req, res, next) {
+  // Once a response has started, Express can only cut it short
+  if (res.headersSent) return next(err);
+
+  let error = toApiError(err);
+  if (!error) {
+    console.error(`Request ${req.id} failed:`, err);
+    error = new ApiError(500, "internal_error", "Something went wrong. Please try again later.");
+  }
+  if (error.retryAfter !== undefined) {
+    res.set("Retry-After", String(error.retryAfter));
+  }
+  res.status(error.status).json({
+    error: {
+      code: error.code,
+      message: error.message,
+      ...(error.details && { details: error.details }),
+      requestId: req.id,
+    },
+  });
+}
+
+/**
+ * Answers requests that no route handled
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Function} next
+ */
+function notFoundHandler(req, res, next) {
+  next(new NotFoundError(`No route for ${req.method} ${req.path}`));
+}
+
+module.exports = {
+  ApiError,
+  BadRequestError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError,
+  ValidationError,
+  TooManyRequestsError,
+  ServiceUnavailableError,
+  assertValid,
+  assignRequestId,
+  errorHandler,
+  notFoundHandler,
+};
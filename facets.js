@@ -0,0 +1,243 @@
+/**
+ * @fileoverview Faceted catalog browsing for the myFlix API
+ * @description Builds the MongoDB filters and aggregation used to browse movies with
+ * filter counts (facets) for genre, director, decade, rating bucket and featured.
+ * Each facet is counted with every filter applied except its own, so a multi-select
+ * sidebar can show how many movies each additional choice would add.
+ * @author Sourav Das
+ * @version 1.0.0
+ */
+
+const { escapeRegex } = require("./regex");
+
+/**
+ * IMDb rating buckets; min is inclusive, max exclusive (null means open-ended)
+ * @type {Array<{value: string, min: number, max: (number|null)}>}
+ */
+const ratingBuckets = [
+  { value: "9+", min: 9, max: null },
+  { value: "8-9", min: 8, max: 9 },
+  { value: "7-8", min: 7, max: 8 },
+  { value: "6-7", min: 6, max: 7 },
+  { value: "5-6", min: 5, max: 6 },
+  { value: "under 5", min: 0, max: 5 },
+];
+
+/**
+ * Label of the bucket for movies without an IMDb rating
+ * @type {string}
+ */
+const unratedBucket = "unrated";
+
+/**
+ * Maximum number of directors listed in the director facet
+ * @type {number}
+ */
+const directorFacetLimit = 20;
+
+/**
+ * Shorthand sort values accepted by the browse endpoint, next to plain movie sort fields
+ * @type {Object<string, string>}
+ */
+const sortAliases = {
+  title: "Title",
+  "-title": "-Title",
+  year: "ReleaseYear,Title",
+  "-year": "-ReleaseYear,Title",
+  rating: "IMDbRating,Title",
+  "-rating": "-IMDbRating,Title",
+};
+
+/**
+ * Turns a multi-select query value into a list.
+ * Accepts repeated parameters (?genre=Drama&genre=Crime) and comma-separated values (?genre=Drama,Crime).
+ * @param {string|string[]} [value]
+ * @returns {string[]}
+ */
+const listParam = (value) =>
+  [].concat(value || [])
+    .flatMap((item) => String(item).split(","))
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * Case-insensitive exact match on any of the given values
+ * @param {string[]} values
+ * @returns {Object} Query condition
+ */
+const anyOf = (values) => ({
+  $in: values.map((value) => new RegExp("^" + escapeRegex(value) + "$", "i")),
+});
+
+/**
+ * Range condition from optional bounds (both inclusive)
+ * @param {number} [min]
+ * @param {number} [max]
+ * @returns {Object|null} Query condition, or null when neither bound is set
+ */
+const range = (min, max) => {
+  if (min === undefined && max === undefined) return null;
+  return {
+    ...(min !== undefined && { $gte: min }),
+    ...(max !== undefined && { $lte: max }),
+  };
+};
+
+/**
+ * Builds one filter per facet dimension from the browse parameters
+ * @param {Object} params - Validated query parameters
+ * @param {string|string[]} [params.genre] - Genres, any of which may match
+ * @param {string|string[]} [params.director] - Directors, any of which may match
+ * @param {number} [params.minYear] - Earliest release year
+ * @param {number} [params.maxYear] - Latest release year
+ * @param {number} [params.minRating] - Lowest IMDb rating
+ * @param {number} [params.maxRating] - Highest IMDb rating
+ * @param {boolean} [params.featured] - Only featured (true) or non-featured (false) movies
+ * @returns {Object<string, Object>} Filters keyed by dimension (genre, director, decade, rating, featured)
+ */
+const buildFilters = (params) => {
+  const filters = {};
+  const genres = listParam(params.genre);
+  const directors = listParam(params.director);
+  const years = range(params.minYear, params.maxYear);
+  const ratings = range(params.minRating, params.maxRating);
+
+  if (genres.length) filters.genre = { "Genre.Name": anyOf(genres) };
+  if (directors.length) filters.director = { "Director.Name": anyOf(directors) };
+  if (years) filters.decade = { ReleaseYear: years };
+  if (ratings) filters.rating = { IMDbRating: ratings };
+  if (params.featured === true) filters.featured = { Featured: true };
+  if (params.featured === false) filters.featured = { Featured: { $ne: true } };
+  return filters;
+};
+
+/**
+ * Combines dimension filters into one query, optionally leaving one dimension out
+ * @param {Object<string, Object>} filters - Result of buildFilters()
+ * @param {string} [except] - Dimension to leave out
+ * @returns {Object} Query filter
+ */
+const combine = (filters, except) => {
+  const clauses = Object.keys(filters)
+    .filter((dimension) => dimension !== except)
+    .map((dimension) => filters[dimension]);
+  return clauses.length ? { $and: clauses } : {};
+};
+
+/**
+ * Aggregation pipeline returning one page of matching movies, their total and every facet
+ * @param {Object<string, Object>} filters - Result of buildFilters()
+ * @param {Object} options
+ * @param {Object} options.sort - MongoDB sort for the results
+ * @param {number} options.skip - Movies to skip
+ * @param {number} options.limit - Movies to return
+ * @param {Object} [options.projection] - Fields to return
+ * @returns {Object[]} Pipeline with a single $facet stage
+ */
+const browsePipeline = (filters, { sort, skip, limit, projection }) => [
+  {
+    $facet: {
+      results: [
+        { $match: combine(filters) },
+        { $sort: sort },
+        { $skip: skip },
+        { $limit: limit },
+        ...(projection ? [{ $project: projection }] : []),
+      ],
+      total: [{ $match: combine(filters) }, { $count: "count" }],
+      genre: [
+        { $match: combine(filters, "genre") },
+        { $group: { _id: "$Genre.Name", count: { $sum: 1 } } },
+        { $match: { _id: { $ne: null } } },
+        { $sort: { count: -1, _id: 1 } },
+      ],
+      director: [
+        { $match: combine(filters, "director") },
+        { $group: { _id: "$Director.Name", count: { $sum: 1 } } },
+        { $match: { _id: { $ne: null } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: directorFacetLimit },
+      ],
+      decade: [
+        { $match: combine(filters, "decade") },
+        { $match: { ReleaseYear: { $type: "number" } } },
+        {
+          $group: {
+            _id: { $multiply: [{ $floor: { $divide: ["$ReleaseYear", 10] } }, 10] },
+            count: { $sum: 1 },
+          },
+        },
+        { $sort: { _id: -1 } },
+      ],
+      rating: [
+        { $match: combine(filters, "rating") },
+        {
+          $group: {
+            _id: {
+              $switch: {
+                branches: ratingBuckets.map((bucket) => ({
+                  case: { $and: [{ $isNumber: "$IMDbRating" }, { $gte: ["$IMDbRating", bucket.min] }] },
+                  then: bucket.value,
+                })),
+                default: unratedBucket,
+              },
+            },
+            count: { $sum: 1 },
+          },
+        },
+      ],
+      featured: [
+        { $match: combine(filters, "featured") },
+        { $group: { _id: { $eq: ["$Featured", true] }, count: { $sum: 1 } } },
+      ],
+    },
+  },
+];
+
+/**
+ * Shapes the $facet output into the browse response
+ * @param {Object} raw - The single document produced by browsePipeline()
+ * @returns {{results: Object[], total: number, facets: Object}}
+ */
+const formatBrowseResult = (raw) => {
+  const ratingCounts = Object.fromEntries(raw.rating.map((entry) => [entry._id, entry.count]));
+  const featuredCounts = Object.fromEntries(raw.featured.map((entry) => [String(entry._id), entry.count]));
+
+  return {
+    results: raw.results,
+    total: raw.total.length ? raw.total[0].count : 0,
+    facets: {
+      genre: raw.genre.map((entry) => ({ value: entry._id, count: entry.count })),
+      director: raw.director.map((entry) => ({ value: entry._id, count: entry.count })),
+      decade: raw.decade.map((entry) => ({
+        value: entry._id + "s",
+        minYear: entry._id,
+        maxYear: entry._id + 9,
+        count: entry.count,
+      })),
+      rating: [
+        ...ratingBuckets.map((bucket) => ({
+          value: bucket.value,
+          minRating: bucket.min,
+          maxRating: bucket.max,
+          count: ratingCounts[bucket.value] || 0,
+        })),
+        { value: unratedBucket, minRating: null, maxRating: null, count: ratingCounts[unratedBucket] || 0 },
+      ],
+      featured: [
+        { value: true, count: featuredCounts.true || 0 },
+        { value: false, count: featuredCounts.false || 0 },
+      ],
+    },
+  };
+};
+
+module.exports = {
+  ratingBuckets,
+  sortAliases,
+  listParam,
+  buildFilters,
+  combine,
+  browsePipeline,
+  formatBrowseResult,
+};
@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Typo-tolerant matching for the myFlix API
+ * @description Ranks candidate strings (titles, names) against a possibly misspelled query
+ * using edit distance per word and trigram similarity. Runs entirely in-process.
+ * @author Sourav Das
+ * @version 1.0.0
+ */
+
+/**
+ * Minimum similarity (0-1) for a candidate to count as a match
+ * @type {number}
+ */
+const defaultThreshold = 0.6;
+
+/**
+ * Queries shorter than this are not fuzzy matched; almost everything would match
+ * @type {number}
+ */
+const minQueryLength = 3;
+
+/**
+ * Lower-cases, strips accents and punctuation, and collapses whitespace
+ * @param {string} value
+ * @returns {string}
+ */
+const normalize = (value) =>
+  String(value || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Number of single-character insertions, deletions or substitutions
+ */
+const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Set of three-character substrings of a padded string
+ * @param {string} value - Normalized string
+ * @returns {Set<string>}
+ */
+const trigrams = (value) => {
+  const padded = `  ${value} `;
+  const result = new Set();
+  for (let i = 0; i < padded.length - 2; i++) {
+    result.add(padded.slice(i, i + 3));
+  }
+  return result;
+};
+
+/**
+ * Jaccard similarity of two strings' trigrams
+ * @param {string} a - Normalized string
+ * @param {string} b - Normalized string
+ * @returns {number} 0 (nothing shared) to 1 (identical)
+ */
+const trigramSimilarity = (a, b) => {
+  const gramsA = trigrams(a);
+  const gramsB = trigrams(b);
+  let shared = 0;
+  for (const gram of gramsA) {
+    if (gramsB.has(gram)) shared++;
+  }
+  return shared / (gramsA.size + gramsB.size - shared);
+};
+
+/**
+ * How well a candidate matches a query, tolerating typos.
+ * The query is compared with the whole candidate and with every run of
+ * candidate words of the same length, so "shawshenk" matches "The Shawshank Redemption".
+ * @param {string} query
+ * @param {string} candidate
+ * @returns {number} 0 (no match) to 1 (contains the query as typed)
+ */
+const similarity = (query, candidate) => {
+  const q = normalize(query);
+  const c = normalize(candidate);
+  if (!q || !c) return 0;
+  if (c.includes(q)) return 1;
+
+  let best = trigramSimilarity(q, c);
+  const queryWordCount = q.split(" ").length;
+  const words = c.split(" ");
+  for (let i = 0; i + queryWordCount <= words.length; i++) {
+    const window = words.slice(i, i + queryWordCount).join(" ");
+    const distance = levenshtein(q, window);
+    best = Math.max(best, 1 - distance / Math.max(q.length, window.length));
+  }
+  return best;
+};
+
+/**
+ * Ranks candidates by similarity to a query
+ * @param {string} query - What the user typed
+ * @param {string[]} candidates - Strings to rank; duplicates are ignored
+ * @param {Object} [options]
+ * @param {number} [options.limit=5] - Maximum number of matches
+ * @param {number} [options.threshold=0.6] - Minimum similarity to keep
+ * @returns {Array<{value: string, score: number}>} Best matches first
+ */
+const rank = (query, candidates, { limit = 5, threshold = defaultThreshold } = {}) => {
+  if (normalize(query).length < minQueryLength) return [];
+  return [...new Set(candidates.filter(Boolean))]
+    .map((value) => ({ value, score: Math.round(similarity(query, value) * 100) / 100 }))
+    .filter((match) => match.score >= threshold)
+    .sort((a, b) => b.score - a.score || a.value.localeCompare(b.value))
+    .slice(0, limit);
+};
+
+module.exports = {
+  normalize,
+  levenshtein,
+  trigramSimilarity,
+  similarity,
+  rank,
+};
@@ -0,0 +1,380 @@
+/**
+ * @fileoverview Shared query layer for list endpoints of the myFlix API
+ * @description Page and cursor pagination, whitelisted sorting and sparse field selection.
+ * Every list route describes its sortable and selectable fields with createListing() and
+ * gets the same query parameters, pagination metadata and Link/X-Total-Count headers.
+ * @author Sourav Das
+ * @version 1.0.0
+ */
+
+const mongoose = require("mongoose");
+const { check } = require("express-validator");
+
+/**
+ * Response headers that carry pagination metadata (exposed to browsers through CORS)
+ * @type {string[]}
+ */
+const paginationHeaders = ["Link", "X-Total-Count"];
+
+/**
+ * Serializes a sort or _id value so it survives the trip through a cursor
+ * @param {*} value
+ * @returns {*} JSON-safe value
+ */
+const encodeValue = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { $oid: value.toHexString() };
+  return value === undefined ? null : value;
+};
+
+/**
+ * Reverses encodeValue(). Cursors come from clients, so only the values encodeValue() produces
+ * are accepted; anything else, such as a query operator object, would end up in the filter.
+ * @param {*} value
+ * @returns {*}
+ * @throws {Error} When the value is not a scalar or a $date/$oid wrapper
+ */
+const decodeValue = (value) => {
+  if (value === null || ["string", "number", "boolean"].includes(typeof value)) return value;
+  const keys = value && typeof value === "object" && !Array.isArray(value) ? Object.keys(value) : [];
+  if (keys.length === 1 && keys[0] === "$date" && typeof value.$date === "string") {
+    const date = new Date(value.$date);
+    if (!isNaN(date)) return date;
+  }
+  if (keys.length === 1 && keys[0] === "$oid" && /^[0-9a-f]{24}$/i.test(value.$oid)) {
+    return new mongoose.Types.ObjectId(value.$oid);
+  }
+  throw new Error("Unexpected cursor value");
+};
+
+/**
+ * Reads a possibly nested value from a document or plain object
+ * @param {Object} doc
+ * @param {string} path - Dotted path, e.g. "Genre.Name"
+ * @returns {*}
+ */
+const valueAt = (doc, path) =>
+  typeof doc.get === "function" && doc.$__
+    ? doc.get(path)
+    : path.split(".").reduce((value, key) => (value == null ? value : value[key]), doc);
+
+/**
+ * Opaque cursor pointing just past a document
+ * @param {Object} doc - Last document of a page
+ * @param {string} sort - The sort parameter the page was produced with
+ * @param {Array<{path: string}>} sortKeys - Parsed sort keys, including the _id tie-breaker
+ * @returns {string} base64url-encoded cursor
+ */
+const encodeCursor = (doc, sort, sortKeys) =>
+  Buffer.from(
+    JSON.stringify({
+      s: sort,
+      v: sortKeys.map((key) => encodeValue(valueAt(doc, key.path))),
+    })
+  ).toString("base64url");
+
+/**
+ * Decodes a cursor produced by encodeCursor()
+ * @param {string} cursor
+ * @returns {{s: string, v: Array}|null} Null when the cursor is malformed or holds other values
+ * than encodeCursor() writes
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const parsed = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!parsed || typeof parsed.s !== "string" || !Array.isArray(parsed.v)) {
+      return null;
+    }
+    return { s: parsed.s, v: parsed.v.map(decodeValue) };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Condition matching documents that sort after a value on one key.
+ * MongoDB sorts null/missing values first ascending and last descending.
+ * @param {{path: string, direction: number}} key
+ * @param {*} value
+ * @returns {Object|null} Query condition, or null when nothing can come after the value
+ */
+const after = (key, value) => {
+  if (key.direction === 1) {
+    return value == null ? { [key.path]: { $ne: null } } : { [key.path]: { $gt: value } };
+  }
+  return value == null ? null : { $or: [{ [key.path]: { $lt: value } }, { [key.path]: null }] };
+};
+
+/**
+ * Keyset condition selecting the documents after a cursor position
+ * @param {Array<{path: string, direction: number}>} sortKeys - Sort keys, _id tie-breaker last
+ * @param {Array} values - Sort key values at the cursor
+ * @returns {Object} Query condition
+ */
+const cursorCondition = (sortKeys, values) => {
+  const branches = [];
+  sortKeys.forEach((key, index) => {
+    const next = after(key, values[index]);
+    if (!next) return;
+    const equal = sortKeys.slice(0, index).map((previous, i) => ({ [previous.path]: values[i] }));
+    branches.push(equal.length ? { $and: [...equal, next] } : next);
+  });
+  return branches.length ? { $or: branches } : { _id: { $exists: false } };
+};
+
+/**
+ * Builds a URL for another page of the current request
+ * @param {Object} req - Express request
+ * @param {Object<string, (string|number|null)>} changes - Query parameters to set; null removes one
+ * @returns {string} Path and query string
+ */
+const pageUrl = (req, changes) => {
+  const url = new URL(req.originalUrl, "http://localhost");
+  for (const [name, value] of Object.entries(changes)) {
+    if (value === null) url.searchParams.delete(name);
+    else url.searchParams.set(name, String(value));
+  }
+  return url.pathname + url.search;
+};
+
+/**
+ * Sets the Link and X-Total-Count headers for a page
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} pagination - Pagination metadata from a listing
+ */
+const setPaginationHeaders = (req, res, pagination) => {
+  const links = { first: pageUrl(req, { page: null, cursor: null }) };
+  if (pagination.currentPage !== null) {
+    if (pagination.hasPrevPage) links.prev = pageUrl(req, { page: pagination.currentPage - 1, cursor: null });
+    if (pagination.hasNextPage) links.next = pageUrl(req, { page: pagination.currentPage + 1, cursor: null });
+    if (pagination.totalPages > 0) links.last = pageUrl(req, { page: pagination.totalPages, cursor: null });
+  } else if (pagination.nextCursor) {
+    links.next = pageUrl(req, { page: null, cursor: pagination.nextCursor });
+  }
+
+  res.set("X-Total-Count", String(pagination.totalResults));
+  res.set(
+    "Link",
+    Object.entries(links)
+      .map(([rel, url]) => `<${url}>; rel="${rel}"`)
+      .join(", ")
+  );
+};
+
+/**
+ * Describes how a list endpoint may be paginated, sorted and projected
+ * @param {Object} options
+ * @param {Object<string, string>} options.sortFields - Public sort name to document path, e.g. { Title: "Title" }
+ * @param {string|null} options.defaultSort - Sort used without ?sort=, e.g. "-IMDbRating,Title";
+ * null leaves the order to the route (e.g. text relevance), which rules out cursors
+ * @param {Object<string, string>} [options.sortAliases] - Shorthand sort values, e.g. { newest: "-CreatedAt" }
+ * @param {string[]} [options.fields] - Fields selectable with ?fields=; omit to disable sparse fields
+ * @param {string[]} [options.defaultFields] - Projection used without ?fields=
+ * @param {boolean} [options.cursor=true] - Whether ?cursor= is supported
+ * @param {number} [options.defaultLimit=20] - Page size without ?limit=
+ * @param {number} [options.maxLimit=100] - Largest accepted ?limit=
+ * @returns {{validators: Array, parse: Function, find: Function, aggregate: Function, paginate: Function}}
+ */
+const createListing = ({
+  sortFields,
+  defaultSort,
+  sortAliases = {},
+  fields,
+  defaultFields,
+  cursor: cursorEnabled = true,
+  defaultLimit = 20,
+  maxLimit = 100,
+}) => {
+  /**
+   * Parses a sort parameter into keys, or null when it names an unknown field
+   * @param {string} sort
+   * @returns {Array<{path: string, direction: number}>|null}
+   */
+  const parseSort = (sort) => {
+    const keys = [];
+    for (const part of (sortAliases[sort] || sort).split(",")) {
+      const name = part.trim().replace(/^-/, "");
+      if (!Object.prototype.hasOwnProperty.call(sortFields, name)) return null;
+      const path = sortFields[name];
+      if (!keys.some((key) => key.path === path)) {
+        keys.push({ path, direction: part.trim().startsWith("-") ? -1 : 1 });
+      }
+    }
+    return keys;
+  };
+
+  /**
+   * Sort keys for a valid sort parameter, ending with an _id tie-breaker so the order is total
+   * @param {string} sort
+   * @returns {Array<{path: string, direction: number}>}
+   */
+  const sortKeysFor = (sort) => {
+    const keys = parseSort(sort);
+    return keys.some((key) => key.path === "_id") ? keys : [...keys, { path: "_id", direction: 1 }];
+  };
+
+  /**
+   * Splits a fields parameter into names
+   * @param {string} value
+   * @returns {string[]}
+   */
+  const fieldList = (value) => String(value).split(",").map((field) => field.trim()).filter(Boolean);
+
+  const sortNames = [...Object.keys(sortAliases), ...Object.keys(sortFields).flatMap((name) => [name, "-" + name])];
+
+  const validators = [
+    check('page', 'Page must be a positive number').optional().isInt({ min: 1 }),
+    check('limit', `Limit must be between 1 and ${maxLimit}`).optional().isInt({ min: 1, max: maxLimit }),
+    check('sort', 'Sort must be a comma-separated list of: ' + sortNames.join(', ')).optional()
+      .isString().bail().custom((value) => parseSort(value) !== null),
+    ...(fields
+      ? [
+          check('fields', 'Fields must be a comma-separated list of: ' + fields.join(', ')).optional()
+            .isString().bail().custom((value) => fieldList(value).every((field) => fields.includes(field)))
+        ]
+      : []),
+    ...(cursorEnabled
+      ? [
+          check('cursor').optional()
+            .custom((value, { req }) => {
+              const decoded = decodeCursor(value);
+              if (!decoded || !parseSort(decoded.s) || decoded.v.length !== sortKeysFor(decoded.s).length) {
+                throw new Error('Cursor is invalid');
+              }
+              if (!req.query.sort && defaultSort === null) throw new Error('Cursor pagination needs an explicit sort');
+              if (decoded.s !== (req.query.sort || defaultSort)) throw new Error('Cursor does not match the requested sort');
+              return true;
+            })
+        ]
+      : []),
+  ];
+
+  /**
+   * Reads the listing parameters of a validated request
+   * @param {Object} req - Express request
+   * @returns {{page: number, limit: number, cursor: (Object|null), sortParam: (string|null), sortKeys: (Array|null), sort: (Object|null), projection: (Object|null)}}
+   */
+  const parse = (req) => {
+    const sortParam = req.query.sort || defaultSort;
+    const sortKeys = sortParam ? sortKeysFor(sortParam) : null;
+    const sort = sortKeys ? Object.fromEntries(sortKeys.map((key) => [key.path, key.direction])) : null;
+
+    const selected = fields && req.query.fields ? fieldList(req.query.fields) : defaultFields;
+    let projection = null;
+    if (selected) {
+      projection = Object.fromEntries(selected.map((field) => [field, 1]));
+      // Cursors are built from the sort keys, so those are always loaded
+      for (const key of sortKeys || []) {
+        const covered = selected.some((field) => key.path === field || key.path.startsWith(field + "."));
+        if (!covered) projection[key.path] = 1;
+      }
+    }
+
+    return {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || defaultLimit,
+      cursor: cursorEnabled && req.query.cursor ? decodeCursor(req.query.cursor) : null,
+      sortParam,
+      sortKeys,
+      sort,
+      projection,
+    };
+  };
+
+  /**
+   * Turns a fetched page into pagination metadata and sets the headers
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object} params - Result of parse()
+   * @param {Object[]} fetched - Documents fetched; one more than the limit means there is a next page
+   * @param {number} total - Number of documents matching the filter
+   * @returns {{results: Object[], pagination: Object}}
+   */
+  const paginate = (req, res, params, fetched, total) => {
+    const results = fetched.slice(0, params.limit);
+    const totalPages = Math.ceil(total / params.limit);
+    const hasNextPage = params.cursor ? fetched.length > params.limit : params.page < totalPages;
+    const pagination = {
+      currentPage: params.cursor ? null : params.page,
+      totalPages: totalPages,
+      totalResults: total,
+      resultsPerPage: params.limit,
+      hasNextPage: hasNextPage,
+      hasPrevPage: params.cursor ? true : params.page > 1,
+      nextCursor:
+        cursorEnabled && params.sortKeys && hasNextPage && results.length
+          ? encodeCursor(results[results.length - 1], params.sortParam, params.sortKeys)
+          : null,
+    };
+    setPaginationHeaders(req, res, pagination);
+    return { results, pagination };
+  };
+
+  /**
+   * Runs a find() for one page
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {mongoose.Model} model
+   * @param {Object} filter - Query filter
+   * @param {Object} [options]
+   * @param {Object} [options.projection] - Projection merged into the selected fields (e.g. a text score)
+   * @param {Object} [options.sort] - Order used when the listing has no sort (e.g. text relevance)
+   * @param {Function} [options.query] - Called with the query to add e.g. populate()
+   * @returns {Promise<{results: Object[], pagination: Object}>}
+   */
+  const find = async (req, res, model, filter, options = {}) => {
+    const params = parse(req);
+    const pageFilter = params.cursor
+      ? { $and: [filter, cursorCondition(params.sortKeys, params.cursor.v)] }
+      : filter;
+    const projection = params.projection || options.projection
+      ? { ...params.projection, ...options.projection }
+      : null;
+
+    let query = model
+      .find(pageFilter, projection)
+      .sort(params.sort || options.sort || { _id: 1 })
+      .skip(params.cursor ? 0 : (params.page - 1) * params.limit)
+      .limit(params.limit + 1);
+    if (options.query) query = options.query(query) || query;
+
+    const [fetched, total] = await Promise.all([query, model.countDocuments(filter)]);
+    return paginate(req, res, params, fetched, total);
+  };
+
+  /**
+   * Runs an aggregation pipeline and pages through its output
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {mongoose.Model} model
+   * @param {Object[]} pipeline - Stages producing the documents to list
+   * @returns {Promise<{results: Object[], pagination: Object}>}
+   */
+  const aggregate = async (req, res, model, pipeline) => {
+    const params = parse(req);
+    const page = [
+      ...(params.cursor ? [{ $match: cursorCondition(params.sortKeys, params.cursor.v) }] : []),
+      { $sort: params.sort || { _id: 1 } },
+      { $skip: params.cursor ? 0 : (params.page - 1) * params.limit },
+      { $limit: params.limit + 1 },
+      ...(params.projection ? [{ $project: params.projection }] : []),
+    ];
+    const [raw] = await model.aggregate([
+      ...pipeline,
+      { $facet: { results: page, total: [{ $count: "count" }] } },
+    ]);
+    return paginate(req, res, params, raw.results, raw.total.length ? raw.total[0].count : 0);
+  };
+
+  return { validators, parse, find, aggregate, paginate };
+};
+
+module.exports = {
+  paginationHeaders,
+  createListing,
+  encodeCursor,
+  decodeCursor,
+  cursorCondition,
+  setPaginationHeaders,
+};
@@ -0,0 +1,255 @@
+/**
+ * @fileoverview Login attempt limits for the myFlix API
+ * @description Slows down password guessing at POST /login. Attempts are counted per account
+ * (the submitted username, whether or not it exists) and per client IP. Once either count
+ * reaches its limit, further attempts are refused for a lockout that doubles with every
+ * additional failure, up to an hour. A successful login clears the account's count; the IP
+ * count only runs out, so one valid account cannot be used to reset it.
+ *
+ * Every attempt reserves its place in the counts with an atomic increment before the password
+ * is checked, so guesses sent in parallel cannot slip past the limit together. Reservations are
+ * given back when the attempt is refused or the password was right.
+ *
+ * Counts live in a pluggable store: any object with async get(key), set(key, value, ttlMs),
+ * delete(key) and increment(key, amount, ttlMs) methods, where increment must be atomic. The
+ * default keeps them in process memory, which suits a single server; pass a shared store to
+ * createLoginLimiter() when running several.
+ * @author Sourav Das
+ * @version 1.0.0
+ */
+
+const { TooManyRequestsError } = require("./errors");
+
+/**
+ * Failed attempts for one account before it is locked
+ * @type {number}
+ */
+const maxAccountFailures = 5;
+
+/**
+ * Failed attempts from one IP, across all accounts, before it is locked
+ * @type {number}
+ */
+const maxIpFailures = 20;
+
+/**
+ * Length of the first lockout (1 minute); each further failure doubles it
+ * @type {number}
+ */
+const baseLockoutMs = 60 * 1000;
+
+/**
+ * Longest lockout (1 hour)
+ * @type {number}
+ */
+const maxLockoutMs = 60 * 60 * 1000;
+
+/**
+ * How long a count is remembered after its last attempt or lockout ends (15 minutes)
+ * @type {number}
+ */
+const failureWindowMs = 15 * 60 * 1000;
+
+/**
+ * Creates a store that keeps entries in a Map, each expiring after its own TTL.
+ * When full, the oldest entry is evicted first.
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries=10000] - Maximum number of entries
+ * @returns {{name: string, get: Function, set: Function, delete: Function, increment: Function, clear: Function}}
+ */
+const createMemoryStore = ({ maxEntries = 10000 } = {}) => {
+  const entries = new Map();
+
+  const liveEntry = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+
+  const put = (key, entry) => {
+    entries.delete(key);
+    if (entries.size >= maxEntries) {
+      // Maps iterate in insertion order, so the first key is the oldest.
+      entries.delete(entries.keys().next().value);
+    }
+    entries.set(key, entry);
+  };
+
+  return {
+    name: "memory",
+    async get(key) {
+      const entry = liveEntry(key);
+      return entry && entry.value;
+    },
+    async set(key, value, ttlMs) {
+      put(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    // Adds to a number that starts at 0 and keeps it for at least ttlMs from now
+    async increment(key, amount, ttlMs) {
+      const entry = liveEntry(key) || { value: 0, expiresAt: 0 };
+      entry.value += amount;
+      entry.expiresAt = Math.max(entry.expiresAt, Date.now() + ttlMs);
+      if (!entries.has(key)) put(key, entry);
+      return entry.value;
+    },
+    async clear() {
+      entries.clear();
+    },
+  };
+};
+
+/**
+ * Lockout after the given number of failures: none below the limit, then the base lockout
+ * doubled for every failure past it, capped at maxLockoutMs
+ * @param {number} failures - Failed attempts so far
+ * @param {number} limit - Failures allowed before the first lockout
+ * @returns {number} Milliseconds
+ * @example
+ * lockoutMs(4, 5); // 0
+ * lockoutMs(5, 5); // 60000
+ * lockoutMs(7, 5); // 240000
+ */
+const lockoutMs = (failures, limit) => {
+  if (failures < limit) return 0;
+  return Math.min(baseLockoutMs * 2 ** (failures - limit), maxLockoutMs);
+};
+
+/**
+ * Store key of an account's count. Usernames are compared case-insensitively here.
+ * @param {string} username
+ * @returns {string}
+ */
+const accountKey = (username) => "login:account:" + username.toLowerCase();
+
+/**
+ * Counts that apply to an attempt, each with its limit. A count's lockout is kept under its
+ * key + ":lock" as { until, admits }: when it ends, and the highest count allowed after that.
+ * @param {string} ip - Client IP
+ * @param {*} username - Submitted username; ignored unless a non-empty string
+ * @returns {Array<{key: string, limit: number, account: boolean}>}
+ */
+const countersFor = (ip, username) => {
+  const counters = [{ key: "login:ip:" + ip, limit: maxIpFailures, account: false }];
+  if (typeof username === "string" && username) {
+    counters.push({ key: accountKey(username), limit: maxAccountFailures, account: true });
+  }
+  return counters;
+};
+
+/**
+ * Creates the login limiter of one app
+ * @param {Object} [options]
+ * @param {{get: Function, set: Function, delete: Function, increment: Function}} [options.store] - Where
+ * the counts live, e.g. a store shared by several servers; defaults to a new memory store
+ * @returns {{store: Object, reserveLoginAttempt: Function, releaseLoginAttempt: Function, recordLoginFailure: Function, recordLoginSuccess: Function}}
+ * @throws {Error} When the store lacks one of the methods
+ */
+function createLoginLimiter({ store = createMemoryStore() } = {}) {
+  if (
+    !store ||
+    ["get", "set", "delete", "increment"].some((method) => typeof store[method] !== "function")
+  ) {
+    throw new Error("A login limiter store must have get(), set(), delete() and increment() methods");
+  }
+
+  /**
+   * Gives reserved attempts back, e.g. when the password could not be checked
+   * @param {Array<{key: string}>} counters - A reservation, or part of one
+   * @returns {Promise<void>}
+   */
+  const releaseLoginAttempt = async (counters) => {
+    await Promise.all(counters.map(({ key }) => store.increment(key, -1, failureWindowMs)));
+  };
+
+  /**
+   * Reserves an attempt against the IP and the account. Call before checking the password and
+   * pass the reservation on to recordLoginFailure() or recordLoginSuccess() afterwards.
+   * Attempts during a lockout, or past the limit while earlier attempts are still being checked,
+   * are refused without testing the password.
+   * @param {string} ip - Client IP
+   * @param {*} username - Submitted username
+   * @returns {Promise<Array<{key: string, limit: number, account: boolean, count: number}>>} The reservation
+   * @throws {TooManyRequestsError} With retryAfter set to the seconds left
+   */
+  const reserveLoginAttempt = async (ip, username) => {
+    const reservation = await Promise.all(
+      countersFor(ip, username).map(async (counter) => ({
+        ...counter,
+        count: await store.increment(counter.key, 1, failureWindowMs),
+      }))
+    );
+    const locks = await Promise.all(reservation.map(({ key }) => store.get(key + ":lock")));
+
+    const now = Date.now();
+    const refused = reservation.some(({ limit, count }, index) => {
+      const lock = locks[index];
+      return (lock && lock.until > now) || count > (lock ? lock.admits : limit);
+    });
+    if (refused) {
+      await releaseLoginAttempt(reservation);
+      const lockedUntil = Math.max(0, ...locks.map((lock) => (lock && lock.until) || 0));
+      // Without a running lockout, the attempts still in flight settle within a second
+      const retryAfter = Math.max(1, Math.ceil((lockedUntil - now) / 1000));
+      throw new TooManyRequestsError(
+        `Too many failed login attempts. Try again in ${retryAfter} seconds.`,
+        retryAfter
+      );
+    }
+    return reservation;
+  };
+
+  /**
+   * Keeps a reserved attempt as a failure, locking the IP or account out once it reaches the limit
+   * @param {Array} reservation - Returned by reserveLoginAttempt()
+   * @returns {Promise<void>}
+   */
+  const recordLoginFailure = async (reservation) => {
+    await Promise.all(
+      reservation.map(async ({ key, limit, count }) => {
+        const lockMs = lockoutMs(count, limit);
+        if (!lockMs) return;
+        // The count has to outlive the lockout, or the attempts after it would start from zero
+        await store.increment(key, 0, lockMs + failureWindowMs);
+        await store.set(
+          key + ":lock",
+          { until: Date.now() + lockMs, admits: count + 1 },
+          lockMs + failureWindowMs
+        );
+      })
+    );
+  };
+
+  /**
+   * Clears the account's count and lockout after a successful login and gives the IP's
+   * reserved attempt back
+   * @param {Array} reservation - Returned by reserveLoginAttempt()
+   * @returns {Promise<void>}
+   */
+  const recordLoginSuccess = async (reservation) => {
+    await Promise.all(
+      reservation.map(async (counter) => {
+        if (!counter.account) return releaseLoginAttempt([counter]);
+        await Promise.all([store.delete(counter.key), store.delete(counter.key + ":lock")]);
+      })
+    );
+  };
+
+  return { store, reserveLoginAttempt, releaseLoginAttempt, recordLoginFailure, recordLoginSuccess };
+}
+
+module.exports = {
+  maxAccountFailures,
+  maxIpFailures,
+  baseLockoutMs,
+  maxLockoutMs,
+  failureWindowMs,
+  createMemoryStore,
+  createLoginLimiter,
+  lockoutMs,
+};
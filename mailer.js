@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Outgoing email for the myFlix API
+ * @description Sends account emails (verification, password reset) through a pluggable transport.
+ * A transport is any object with an async send(message) method. The default "file" transport
+ * writes each message as JSON into a local outbox directory, so nothing leaves the machine
+ * until a real transport is passed to createMailer(), e.g. through createApp()'s config.mailTransport.
+ * @author Sourav Das
+ * @version 1.0.0
+ */
+
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+const { OneTimeTokenPurposes } = require("./models.js");
+
+/**
+ * How long a password reset link stays valid (1 hour)
+ * @type {number}
+ */
+const passwordResetTtlMs = 60 * 60 * 1000;
+
+/**
+ * How long an email verification link stays valid (24 hours)
+ * @type {number}
+ */
+const emailVerificationTtlMs = 24 * 60 * 60 * 1000;
+
+/**
+ * Creates a transport that writes every message to its own JSON file
+ * @param {string} directory - Outbox directory, created on first send
+ * @returns {{name: string, directory: string, send: Function}}
+ */
+const createFileTransport = (directory) => ({
+  name: "file",
+  directory,
+  async send(message) {
+    await fs.mkdir(directory, { recursive: true });
+    const id = `${Date.now()}-${crypto.randomUUID()}`;
+    await fs.writeFile(
+      path.join(directory, `${id}.json`),
+      JSON.stringify(message, null, 2)
+    );
+    return { id };
+  },
+});
+
+/**
+ * Creates a transport that keeps messages in an array, handy for tests
+ * @returns {{name: string, outbox: Object[], send: Function}}
+ */
+const createMemoryTransport = () => {
+  const outbox = [];
+  return {
+    name: "memory",
+    outbox,
+    async send(message) {
+      outbox.push(message);
+      return { id: String(outbox.length) };
+    },
+  };
+};
+
+
+/**
+ * Creates the transport chosen with MAIL_TRANSPORT ("file", the default, or "memory")
+ * @returns {Object}
+ */
+const createDefaultTransport = () =>
+  process.env.MAIL_TRANSPORT === "memory"
+    ? createMemoryTransport()
+    : createFileTransport(process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "outbox"));
+
+/**
+ * Creates the mailer of one app
+ * @param {Object} options
+ * @param {Object} options.tokens - Token functions of the app (see createTokens() in tokens.js);
+ * emailed links carry one-time tokens issued by them
+ * @param {{send: Function}} [options.transport] - Object with an async send(message) method, e.g. an
+ * SMTP or API-backed one; defaults to the transport chosen with MAIL_TRANSPORT
+ * @param {string} [options.mailFrom] - Sender address for all outgoing mail; defaults to MAIL_FROM
+ * @param {string} [options.clientUrl] - Base URL of the client app, where emailed links point;
+ * defaults to CLIENT_URL
+ * @returns {{transport: Object, sendMail: Function, sendVerificationEmail: Function, sendPasswordResetEmail: Function}}
+ * @throws {Error} When the transport has no send() method
+ */
+function createMailer({
+  tokens,
+  transport = createDefaultTransport(),
+  mailFrom = process.env.MAIL_FROM || "myFlix <no-reply@myflix.local>",
+  clientUrl = process.env.CLIENT_URL || "http://localhost:4200",
+}) {
+  if (!transport || typeof transport.send !== "function") {
+    throw new Error("A mail transport must have a send(message) method");
+  }
+  const linkBase = clientUrl.replace(/\/+$/, "");
+
+  /**
+   * Sends a plain-text email
+   * @param {Object} message
+   * @param {string} message.to - Recipient address
+   * @param {string} message.subject - Subject line
+   * @param {string} message.text - Plain-text body
+   * @returns {Promise<Object>} Whatever the transport returns
+   */
+  const sendMail = ({ to, subject, text }) => {
+    return transport.send({
+      from: mailFrom,
+      to,
+      subject,
+      text,
+      date: new Date().toISOString(),
+    });
+  };
+
+  /**
+   * Emails the user a link to confirm their address
+   * @param {Object} user - User document
+   * @returns {Promise<Object>}
+   */
+  const sendVerificationEmail = async (user) => {
+    const token = await tokens.issueOneTimeToken(
+      user,
+      OneTimeTokenPurposes.EMAIL_VERIFICATION,
+      emailVerificationTtlMs
+    );
+    return sendMail({
+      to: user.Email,
+      subject: "Confirm your myFlix email address",
+      text:
+        `Hi ${user.Username},\n\n` +
+        `Please confirm your email address by opening this link within 24 hours:\n` +
+        `${linkBase}/verify-email?token=${token}\n\n` +
+        `Verification code: ${token}\n`,
+    });
+  };
+
+  /**
+   * Emails the user a link to choose a new password
+   * @param {Object} user - User document
+   * @returns {Promise<Object>}
+   */
+  const sendPasswordResetEmail = async (user) => {
+    const token = await tokens.issueOneTimeToken(
+      user,
+      OneTimeTokenPurposes.PASSWORD_RESET,
+      passwordResetTtlMs
+    );
+    return sendMail({
+      to: user.Email,
+      subject: "Reset your myFlix password",
+      text:
+        `Hi ${user.Username},\n\n` +
+        `Someone asked to reset your password. Open this link within 1 hour to choose a new one:\n` +
+        `${linkBase}/reset-password?token=${token}\n\n` +
+        `Reset code: ${token}\n\n` +
+        `If this wasn't you, you can ignore this email.\n`,
+    });
+  };
+
+  return { transport, sendMail, sendVerificationEmail, sendPasswordResetEmail };
+}
+
+module.exports = {
+  createFileTransport,
+  createMemoryTransport,
+  createMailer,
+};
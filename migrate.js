@@ -0,0 +1,78 @@
+/**
+ * Runs the data migrations in migrations/ and records them in the migrations collection.
+ *
+ *   node migrate.js status             list every migration and whether it has been applied
+ *   node migrate.js up [--to <n>]      apply pending migrations (up to number n)
+ *   node migrate.js down [--steps <n>] revert the last n applied migrations (default 1)
+ *
+ * Deployments run "npm run migrate" before the new version starts (see Procfile).
+ * Requires CONNECTION_URI or MONGODB_URI env var (same as the main app).
+ */
+
+const mongoose = require("mongoose");
+const migrator = require("./migrator.js");
+
+const USAGE = `Usage:
+  node migrate.js status
+  node migrate.js up [--to <number>]
+  node migrate.js down [--steps <number>]`;
+
+/**
+ * Reads the value of a numeric --flag
+ * @param {string[]} args
+ * @param {string} flag - e.g. "--to"
+ * @returns {number|undefined}
+ * @throws {Error} When the value is not a positive whole number
+ */
+function numericFlag(args, flag) {
+  const index = args.indexOf(flag);
+  if (index === -1) return undefined;
+  const value = Number(args[index + 1]);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`${flag} needs a positive whole number`);
+  }
+  return value;
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  if (!["status", "up", "down"].includes(command)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const uri = process.env.CONNECTION_URI || process.env.MONGODB_URI;
+  if (!uri) {
+    console.error(
+      "Error: CONNECTION_URI or MONGODB_URI environment variable is required."
+    );
+    process.exit(1);
+  }
+
+  await mongoose.connect(uri);
+  console.log("Connected to MongoDB.\n");
+
+  if (command === "status") {
+    for (const entry of await migrator.status()) {
+      const state = entry.missing
+        ? "applied, file missing"
+        : entry.appliedAt
+          ? `applied ${entry.appliedAt.toISOString()}`
+          : "pending";
+      console.log(`${entry.name.padEnd(40)} ${state}`);
+    }
+  } else if (command === "up") {
+    const applied = await migrator.up({ to: numericFlag(args, "--to") });
+    console.log(applied.length ? `\nApplied ${applied.length} migration(s).` : "Nothing to apply.");
+  } else {
+    const reverted = await migrator.down({ steps: numericFlag(args, "--steps") });
+    console.log(reverted.length ? `\nReverted ${reverted.length} migration(s).` : "Nothing to revert.");
+  }
+
+  await mongoose.disconnect();
+}
+
+main().catch((err) => {
+  console.error("Migration failed:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,51 @@
+/**
+ * Fixes the broken ImagePath values of The Matrix and Schindler's List.
+ * The previous value of every changed movie is kept so down() can restore it.
+ */
+
+const Models = require("../models.js");
+
+const Movies = Models.Movie;
+
+const FIXES = [
+  {
+    // Case-insensitive match so "the matrix", "The Matrix", etc. all match.
+    title: /^the matrix$/i,
+    imagePath:
+      "https://upload.wikimedia.org/wikipedia/en/d/db/The_Matrix.png",
+  },
+  {
+    title: /^schindler['\u2019]s list$/i,
+    imagePath:
+      "https://upload.wikimedia.org/wikipedia/en/3/38/Schindler%27s_List_movie.jpg",
+  },
+];
+
+module.exports = {
+  description: "Fix broken poster URLs for The Matrix and Schindler's List",
+
+  async up({ log = console.log } = {}) {
+    const previous = [];
+    for (const fix of FIXES) {
+      const movies = await Movies.find(
+        { Title: { $regex: fix.title }, ImagePath: { $ne: fix.imagePath } },
+        { Title: 1, ImagePath: 1 }
+      );
+      for (const movie of movies) {
+        previous.push({ _id: movie._id, ImagePath: movie.ImagePath });
+        await Movies.updateOne({ _id: movie._id }, { $set: { ImagePath: fix.imagePath } });
+        log(`  "${movie.Title}": poster updated.`);
+      }
+    }
+    return { previous };
+  },
+
+  async down(state) {
+    for (const { _id, ImagePath } of (state && state.previous) || []) {
+      await Movies.updateOne(
+        { _id },
+        ImagePath === undefined || ImagePath === null ? { $unset: { ImagePath: 1 } } : { $set: { ImagePath } }
+      );
+    }
+  },
+};
@@ -0,0 +1,116 @@
+/**
+ * Moves the genre and director data embedded in every movie into the Genre and Director
+ * collections, and points each movie at its shared record.
+ * Existing genres and directors are reused, never duplicated. down() unlinks the movies,
+ * which keep their copies, and deletes only the records this migration created.
+ */
+
+const Models = require("../models.js");
+
+const Movies = Models.Movie;
+
+const CREDITS = [
+  { model: Models.Genre, moviePath: "Genre", detailFields: ["Description"] },
+  { model: Models.Director, moviePath: "Director", detailFields: ["Bio", "Birth", "Death"] },
+];
+
+/**
+ * Whether an embedded value holds any data
+ * @param {*} value
+ * @returns {boolean}
+ */
+function hasValue(value) {
+  return value !== undefined && value !== null && value !== "";
+}
+
+/**
+ * Groups movies by the (case-insensitive) name of their embedded genre or director,
+ * collecting the first non-empty value of each detail field.
+ * @param {Object[]} movies - Movies with the embedded object loaded
+ * @param {string} moviePath - "Genre" or "Director"
+ * @param {string[]} detailFields - Fields besides Name to carry over
+ * @param {Function} log - Receives a warning for every conflicting detail
+ * @returns {Map<string, {name: string, details: Object, movieIds: Array}>}
+ */
+function groupByName(movies, moviePath, detailFields, log) {
+  const groups = new Map();
+  for (const movie of movies) {
+    const embedded = movie[moviePath];
+    const name = embedded.Name.trim();
+    const key = name.toLowerCase();
+    if (!groups.has(key)) {
+      groups.set(key, { name, details: {}, movieIds: [] });
+    }
+    const group = groups.get(key);
+    group.movieIds.push(movie._id);
+
+    for (const field of detailFields) {
+      if (!hasValue(embedded[field])) continue;
+      if (!hasValue(group.details[field])) {
+        group.details[field] = embedded[field];
+      } else if (String(group.details[field]) !== String(embedded[field])) {
+        log(
+          `  ${moviePath} "${name}": "${movie.Title}" has a different ${field}; keeping the first one found.`
+        );
+      }
+    }
+  }
+  return groups;
+}
+
+module.exports = {
+  description: "Move embedded genres and directors into their own collections",
+
+  async up({ log = console.log } = {}) {
+    const created = {};
+    for (const { model, moviePath, detailFields } of CREDITS) {
+      await model.init(); // make sure the unique name index exists before inserting
+      created[moviePath] = [];
+
+      const movies = await Movies.find(
+        { [`${moviePath}.Name`]: { $nin: [null, ""] } },
+        { Title: 1, [moviePath]: 1 }
+      );
+      const groups = groupByName(movies, moviePath, detailFields, log);
+
+      let linked = 0;
+      for (const group of groups.values()) {
+        let record = await model.findByName(group.name);
+        if (!record) {
+          record = await model.create({ Name: group.name, ...group.details });
+          created[moviePath].push(record._id);
+        } else {
+          // Only fill gaps; details already edited in the collection win over old movie copies.
+          for (const field of detailFields) {
+            if (!hasValue(record[field]) && hasValue(group.details[field])) {
+              record.set(field, group.details[field]);
+            }
+          }
+          if (record.isModified()) await record.save();
+        }
+
+        const result = await Movies.updateMany(
+          { _id: { $in: group.movieIds } },
+          { $set: { [moviePath]: record.toMovieCopy() } }
+        );
+        linked += result.modifiedCount;
+      }
+
+      log(
+        `  ${moviePath}: ${groups.size} found, ${created[moviePath].length} created, ${linked} movies linked.`
+      );
+    }
+    return { created };
+  },
+
+  async down(state) {
+    const created = (state && state.created) || {};
+    for (const { model, moviePath } of CREDITS) {
+      await Movies.updateMany(
+        { [`${moviePath}._id`]: { $exists: true } },
+        { $unset: { [`${moviePath}._id`]: 1 } }
+      );
+      await model.deleteMany({ _id: { $in: created[moviePath] || [] } });
+    }
+  },
+};
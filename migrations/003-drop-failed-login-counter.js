@@ -0,0 +1,24 @@
+/**
+ * Removes the FailedLoginAttempts counter from every user. Login limits are counted in
+ * login-limiter.js alone; LastFailedLoginAt stays on the user for auditing.
+ * down() has nothing to restore: the counter was never read.
+ */
+
+const Models = require("../models.js");
+
+const Users = Models.User;
+
+module.exports = {
+  description: "Drop the unused FailedLoginAttempts counter from users",
+
+  async up({ log = console.log } = {}) {
+    // The field is no longer in the schema, so go around Mongoose's strict mode
+    const { modifiedCount } = await Users.collection.updateMany(
+      { FailedLoginAttempts: { $exists: true } },
+      { $unset: { FailedLoginAttempts: "" } }
+    );
+    log(`  ${modifiedCount} user(s) updated.`);
+  },
+
+  async down() {},
+};
@@ -0,0 +1,31 @@
+/**
+ * Adds the unique index on Username. Routes find users and check ownership by username, so two
+ * accounts must never share one. Stops without changing anything while duplicates exist.
+ * down() leaves the index: the schema declares it, so Mongoose would build it again anyway.
+ */
+
+const Models = require("../models.js");
+
+const Users = Models.User;
+
+module.exports = {
+  description: "Make usernames unique",
+
+  async up({ log = console.log } = {}) {
+    const duplicates = await Users.aggregate([
+      { $group: { _id: "$Username", count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } },
+    ]);
+    if (duplicates.length) {
+      throw new Error(
+        "Usernames used by more than one account: " +
+          duplicates.map((duplicate) => duplicate._id).join(", ") +
+          ". Rename those accounts and run the migration again."
+      );
+    }
+    await Users.collection.createIndex({ Username: 1 }, { unique: true });
+    log("  Unique username index created.");
+  },
+
+  async down() {},
+};
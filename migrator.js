@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Versioned data migrations for the myFlix API
+ * @description Runs the numbered files in migrations/ in order and records each applied one in the
+ * migrations collection, so every data fix runs exactly once per database and can be reverted.
+ * A migration file is named like "003-short-description.js" and exports
+ * { description, up({ log }), down(state, { log }) }. Whatever up() returns is stored with the record
+ * and passed to down(), so a migration can remember what it changed. Migrations report progress
+ * through the log function they are given rather than the console.
+ * All functions expect an open mongoose connection.
+ * @author Sourav Das
+ * @version 1.0.0
+ */
+
+const fs = require("fs");
+const path = require("path");
+const Models = require("./models.js");
+
+const Migrations = Models.Migration;
+
+/**
+ * Directory holding the migration files
+ * @type {string}
+ */
+const migrationsDir = path.join(__dirname, "migrations");
+
+/**
+ * Migration file names: a number, a dash and a description
+ * @type {RegExp}
+ */
+const fileNamePattern = /^(\d+)-[\w-]+\.js$/;
+
+/**
+ * Reads the migration files, ordered by number
+ * @param {string} [dir=migrationsDir]
+ * @returns {Array<{name: string, number: number, description: string, up: Function, down: Function}>}
+ * @throws {Error} When a file does not export up() and down(), or two files share a number
+ */
+function loadMigrations(dir = migrationsDir) {
+  const migrations = fs
+    .readdirSync(dir)
+    .filter((file) => fileNamePattern.test(file))
+    .map((file) => {
+      const migration = require(path.join(dir, file));
+      if (typeof migration.up !== "function" || typeof migration.down !== "function") {
+        throw new Error(`${file} must export up() and down()`);
+      }
+      return {
+        name: path.basename(file, ".js"),
+        number: parseInt(file.match(fileNamePattern)[1], 10),
+        description: migration.description || "",
+        up: migration.up,
+        down: migration.down,
+      };
+    })
+    .sort((a, b) => a.number - b.number);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migration.number === migrations[index - 1].number) {
+      throw new Error(`${migrations[index - 1].name} and ${migration.name} have the same number`);
+    }
+  });
+  return migrations;
+}
+
+/**
+ * Number a migration name starts with
+ * @param {string} name - e.g. "001-fix-posters"
+ * @returns {number}
+ */
+const numberOf = (name) => parseInt(name, 10);
+
+/**
+ * Lists every migration with when it was applied.
+ * Records whose file no longer exists are listed too, flagged as missing.
+ * @param {Object} [options]
+ * @param {string} [options.dir=migrationsDir]
+ * @returns {Promise<Array<{name: string, description: string, appliedAt: (Date|null), missing: boolean}>>}
+ */
+async function status({ dir = migrationsDir } = {}) {
+  const migrations = loadMigrations(dir);
+  const records = await Migrations.find().lean();
+  const recordsByName = new Map(records.map((record) => [record.Name, record]));
+  const known = new Set(migrations.map((migration) => migration.name));
+
+  return [
+    ...migrations.map((migration) => ({
+      name: migration.name,
+      description: migration.description,
+      appliedAt: recordsByName.has(migration.name) ? recordsByName.get(migration.name).AppliedAt : null,
+      missing: false,
+    })),
+    ...records
+      .filter((record) => !known.has(record.Name))
+      .map((record) => ({
+        name: record.Name,
+        description: record.Description || "",
+        appliedAt: record.AppliedAt,
+        missing: true,
+      })),
+  ].sort((a, b) => numberOf(a.name) - numberOf(b.name));
+}
+
+/**
+ * Applies pending migrations in order. Stops at the first failure; the ones before it stay applied.
+ * @param {Object} [options]
+ * @param {number} [options.to] - Last migration number to apply (default: all)
+ * @param {string} [options.dir=migrationsDir]
+ * @param {Function} [options.log=console.log] - Receives the progress messages, including the migrations' own
+ * @returns {Promise<string[]>} Names of the applied migrations
+ */
+async function up({ to, dir = migrationsDir, log = console.log } = {}) {
+  const applied = new Set((await Migrations.find({}, { Name: 1 }).lean()).map((record) => record.Name));
+  const pending = loadMigrations(dir).filter(
+    (migration) => !applied.has(migration.name) && (to === undefined || migration.number <= to)
+  );
+
+  const done = [];
+  for (const migration of pending) {
+    log(`Applying ${migration.name}...`);
+    let state;
+    try {
+      state = await migration.up({ log });
+    } catch (error) {
+      throw new Error(`${migration.name} failed: ${error.message}`);
+    }
+    await Migrations.create({ Name: migration.name, Description: migration.description, State: state });
+    done.push(migration.name);
+  }
+  return done;
+}
+
+/**
+ * Reverts the most recently numbered applied migrations, newest first
+ * @param {Object} [options]
+ * @param {number} [options.steps=1] - How many migrations to revert
+ * @param {string} [options.dir=migrationsDir]
+ * @param {Function} [options.log=console.log] - Receives the progress messages, including the migrations' own
+ * @returns {Promise<string[]>} Names of the reverted migrations
+ * @throws {Error} When an applied migration's file is missing, since there is nothing to run
+ */
+async function down({ steps = 1, dir = migrationsDir, log = console.log } = {}) {
+  const migrationsByName = new Map(loadMigrations(dir).map((migration) => [migration.name, migration]));
+  const records = (await Migrations.find().lean())
+    .sort((a, b) => numberOf(b.Name) - numberOf(a.Name))
+    .slice(0, steps);
+
+  const done = [];
+  for (const record of records) {
+    const migration = migrationsByName.get(record.Name);
+    if (!migration) {
+      throw new Error(`Cannot revert ${record.Name}: its file is missing`);
+    }
+    log(`Reverting ${migration.name}...`);
+    try {
+      await migration.down(record.State, { log });
+    } catch (error) {
+      throw new Error(`${migration.name} failed to revert: ${error.message}`);
+    }
+    await Migrations.deleteOne({ _id: record._id });
+    done.push(migration.name);
+  }
+  return done;
+}
+
+module.exports = {
+  migrationsDir,
+  loadMigrations,
+  status,
+  up,
+  down,
+};
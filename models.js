@@ -1,6 +1,7 @@
 /**
  * @fileoverview Database models for the myFlix API
- * @description Defines mongoose schemas for movies and users
+ * @description Defines mongoose schemas for movies, genres, directors, poster overrides and checks,
+ * people and cast credits, users, reviews, lists, auth tokens and applied data migrations
  * @author Sourav Das
  * @version 1.0.0
  */
@@ -8,15 +9,96 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcrypt");
 
+/**
+ * Case-insensitive collation for genre and director names, so "drama" and "Drama" are the same record
+ * @type {Object}
+ */
+const nameCollation = { locale: "en", strength: 2 };
+
+/**
+ * Genre schema definition
+ * @typedef {Object} Genre
+ * @property {String} Name - Genre name (required, unique ignoring case)
+ * @property {String} Description - Genre description
+ */
+let genreSchema = mongoose.Schema({
+  Name: { type: String, required: true, trim: true },
+  Description: String,
+});
+
+genreSchema.index({ Name: 1 }, { unique: true, collation: nameCollation });
+
+/**
+ * Director schema definition
+ * @typedef {Object} Director
+ * @property {String} Name - Director name (required, unique ignoring case)
+ * @property {String} Bio - Director biography
+ * @property {Date} Birth - Director birth date
+ * @property {Date} Death - Director death date
+ */
+let directorSchema = mongoose.Schema({
+  Name: { type: String, required: true, trim: true },
+  Bio: String,
+  Birth: Date,
+  Death: Date,
+});
+
+directorSchema.index({ Name: 1 }, { unique: true, collation: nameCollation });
+
+/**
+ * Adds the lookups and movie syncing shared by genres and directors.
+ * Movies keep a copy of their genre and director (with its _id) so they can be
+ * searched and filtered by name; the Genre and Director collections are the source of truth.
+ * @param {mongoose.Schema} schema - Genre or director schema
+ * @param {String} moviePath - Movie field holding the copy ("Genre" or "Director")
+ */
+function addMovieCredit(schema, moviePath) {
+  const copiedFields = Object.keys(schema.paths).filter((path) => path !== "__v");
+
+  /**
+   * Finds a record by name, ignoring case
+   * @param {String} name
+   * @returns {Promise<Object|null>}
+   */
+  schema.statics.findByName = function (name) {
+    return this.findOne({ Name: name }).collation(nameCollation);
+  };
+
+  /**
+   * The copy of this record stored on movies
+   * @returns {Object}
+   */
+  schema.methods.toMovieCopy = function () {
+    return Object.fromEntries(
+      copiedFields.map((path) => [path, this.get(path)]).filter(([, value]) => value !== undefined)
+    );
+  };
+
+  /**
+   * Rewrites the copy on every movie that references this record
+   * @returns {Promise<Object>} - updateMany() result
+   */
+  schema.methods.syncMovies = function () {
+    return mongoose
+      .model("Movie")
+      .updateMany({ [moviePath + "._id"]: this._id }, { $set: { [moviePath]: this.toMovieCopy() } });
+  };
+}
+
+addMovieCredit(genreSchema, "Genre");
+addMovieCredit(directorSchema, "Director");
+
 /**
  * Movie schema definition
  * @typedef {Object} Movie
  * @property {String} Title - Movie title (required)
  * @property {String} Description - Movie description (required)
- * @property {Object} Genre - Genre information
+ * @property {Object} Genre - Copy of the movie's {@link Genre}
+ * @property {ObjectId} Genre._id - Referenced genre
  * @property {String} Genre.Name - Genre name
  * @property {String} Genre.Description - Genre description
- * @property {Object} Director - Director information
+ * @property {Object} Director - Copy of the movie's {@link Director}
+ * @property {ObjectId} Director._id - Referenced director
  * @property {String} Director.Name - Director name
  * @property {String} Director.Bio - Director biography
  * @property {Date} Director.Birth - Director birth date
@@ -26,16 +108,25 @@ const bcrypt = require("bcrypt");
  * @property {Number} ReleaseYear - Movie release year
  * @property {Number} IMDbRating - IMDb rating
  * @property {String} ImagePath - Movie poster image path
+ * @property {Object} Poster - Poster uploaded through the API, if any
+ * @property {String} Poster.Key - Storage key of the uploaded file
+ * @property {Object} Poster.Thumbnails - Thumbnail URLs by size (Small, Medium, Large)
+ * @property {Date} Poster.UploadedAt - When the poster was uploaded
  * @property {Boolean} Featured - Whether movie is featured
+ * @property {Object} CommunityRating - Aggregate of user reviews, kept up to date by Review.updateCommunityRating
+ * @property {Number} CommunityRating.Average - Average review rating (1-10), null without reviews
+ * @property {Number} CommunityRating.Count - Number of reviews
  */
 let movieSchema = mongoose.Schema({
   Title: { type: String, required: true },
   Description: { type: String, required: true },
   Genre: {
+    _id: { type: mongoose.Schema.Types.ObjectId, ref: "Genre" },
     Name: String,
     Description: String,
   },
   Director: {
+    _id: { type: mongoose.Schema.Types.ObjectId, ref: "Director" },
     Name: String,
     Bio: String,
     Birth: Date,
@@ -46,24 +137,227 @@ let movieSchema = mongoose.Schema({
   ReleaseYear: Number,
   IMDbRating: Number,
   ImagePath: String,
+  Poster: {
+    Key: String,
+    Thumbnails: {
+      Small: String,
+      Medium: String,
+      Large: String,
+    },
+    UploadedAt: Date,
+  },
   Featured: Boolean,
+  CommunityRating: {
+    Average: { type: Number, default: null },
+    Count: { type: Number, default: 0 },
+  },
+});
+
+movieSchema.index({ "Genre._id": 1 });
+movieSchema.index({ "Director._id": 1 });
+
+/**
+ * Title and cast searches match the input anywhere in these fields. MongoDB tests such a regex
+ * against the index keys, so only matching movies are loaded, and unlike the text index it
+ * finds stop words ("Up") and partial words ("Godf") too.
+ */
+movieSchema.index({ Title: 1 });
+movieSchema.index({ Actors: 1 });
+movieSchema.index({ Actresses: 1 });
+
+/**
+ * Weighted full-text index used by the search routes.
+ * Results can be ranked by { score: { $meta: "textScore" } }.
+ */
+movieSchema.index(
+  {
+    Title: "text",
+    Description: "text",
+    "Genre.Name": "text",
+    "Director.Name": "text",
+    Actors: "text",
+    Actresses: "text",
+  },
+  {
+    name: "MovieTextIndex",
+    weights: {
+      Title: 10,
+      "Director.Name": 5,
+      Actors: 4,
+      Actresses: 4,
+      "Genre.Name": 3,
+      Description: 1,
+    },
+  }
+);
+
+/**
+ * Poster override schema definition.
+ * Replaces a movie's ImagePath in API responses without touching the movie itself; see poster-overrides.js.
+ * @typedef {Object} PosterOverride
+ * @property {ObjectId} Movie - Movie whose poster is replaced (required, unique)
+ * @property {String} ImagePath - Poster to show instead (required)
+ * @property {String} Note - Why the override exists
+ * @property {ObjectId} CreatedBy - Admin who last set the override
+ * @property {Date} CreatedAt - When the override was created
+ * @property {Date} UpdatedAt - When the override was last changed
+ */
+let posterOverrideSchema = mongoose.Schema(
+  {
+    Movie: { type: mongoose.Schema.Types.ObjectId, ref: "Movie", required: true, unique: true },
+    ImagePath: { type: String, required: true, trim: true },
+    Note: { type: String, trim: true, maxlength: 500 },
+    CreatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: { createdAt: "CreatedAt", updatedAt: "UpdatedAt" } }
+);
+
+/**
+ * Outcomes of a poster check
+ * @readonly
+ * @enum {string}
+ */
+const PosterCheckStatuses = Object.freeze({
+  OK: "ok",
+  BROKEN: "broken",
+  SKIPPED: "skipped",
+});
+
+/**
+ * Poster check schema definition: the latest result of checking a movie's ImagePath
+ * @typedef {Object} PosterCheck
+ * @property {ObjectId} Movie - Checked movie (required, unique)
+ * @property {String} ImagePath - The path that was checked
+ * @property {String} Status - One of {@link PosterCheckStatuses}
+ * @property {Number} HttpStatus - Response status, when a response was received
+ * @property {String} Error - Why the poster is broken or was skipped
+ * @property {Date} CheckedAt - When the check ran
+ */
+let posterCheckSchema = mongoose.Schema({
+  Movie: { type: mongoose.Schema.Types.ObjectId, ref: "Movie", required: true, unique: true },
+  ImagePath: String,
+  Status: { type: String, enum: Object.values(PosterCheckStatuses), required: true },
+  HttpStatus: Number,
+  Error: String,
+  CheckedAt: { type: Date, default: Date.now },
+});
+
+posterCheckSchema.index({ Status: 1, CheckedAt: -1 });
+
+/**
+ * Person schema definition (actors and actresses)
+ * @typedef {Object} Person
+ * @property {String} Name - Full name (required)
+ * @property {String} Bio - Biography
+ * @property {Date} Birth - Birth date
+ * @property {Date} Death - Death date
+ * @property {String} PhotoPath - Portrait image path
+ */
+let personSchema = mongoose.Schema({
+  Name: { type: String, required: true, trim: true },
+  Bio: String,
+  Birth: Date,
+  Death: Date,
+  PhotoPath: String,
+});
+
+personSchema.index({ Name: 1 });
+
+/**
+ * Cast credit schema definition: one person playing one character in one movie
+ * @typedef {Object} Credit
+ * @property {ObjectId} Movie - Movie (required)
+ * @property {ObjectId} Person - Cast member (required)
+ * @property {String} Character - Character name
+ * @property {Number} Billing - Billing order, 1 for top billing (required)
+ * @property {Boolean} ListedCast - Whether this credit put the person's name in the movie's Actors,
+ * and so takes it out again when removed; names the movie listed before stay
+ */
+let creditSchema = mongoose.Schema({
+  Movie: { type: mongoose.Schema.Types.ObjectId, ref: "Movie", required: true },
+  Person: { type: mongoose.Schema.Types.ObjectId, ref: "Person", required: true },
+  Character: { type: String, trim: true, maxlength: 200, default: "" },
+  Billing: { type: Number, required: true, min: 1 },
+  ListedCast: { type: Boolean, default: false },
+});
+
+creditSchema.index({ Movie: 1, Person: 1, Character: 1 }, { unique: true });
+creditSchema.index({ Movie: 1, Billing: 1 });
+creditSchema.index({ Person: 1 });
+
+/**
+ * Roles a user account can hold
+ * @readonly
+ * @enum {String}
+ */
+const Roles = Object.freeze({
+  USER: "user",
+  ADMIN: "admin",
 });
 
 /**
  * User schema definition
  * @typedef {Object} User
- * @property {String} Username - Username (required)
+ * @property {String} Username - Username (required, unique)
  * @property {String} Password - Hashed password (required)
  * @property {String} Email - User email (required)
  * @property {Date} Birthday - User birthday
  * @property {ObjectId[]} FavoriteMovies - Array of favorite movie IDs
+ * @property {ObjectId[]} Watchlist - Ordered "want to watch" queue of movie IDs
+ * @property {Object[]} WatchHistory - Movies the user has watched
+ * @property {ObjectId} WatchHistory.Movie - Watched movie
+ * @property {Date} WatchHistory.WatchedAt - When it was watched
+ * @property {String} Role - Access role, one of {@link Roles} (defaults to "user")
+ * @property {Number} TokenVersion - Bumped to invalidate every access token issued before
+ * @property {Boolean} Verified - Whether the user has confirmed their email address
  */
 let userSchema = mongoose.Schema({
-  Username: { type: String, required: true },
+  // Unique, since routes find users and check ownership by username
+  Username: { type: String, required: true, unique: true },
   Password: { type: String, required: true },
   Email: { type: String, required: true },
   Birthday: Date,
   FavoriteMovies: [{ type: mongoose.Schema.Types.ObjectId, ref: "Movie" }],
+  Watchlist: [{ type: mongoose.Schema.Types.ObjectId, ref: "Movie" }],
+  WatchHistory: [
+    {
+      Movie: { type: mongoose.Schema.Types.ObjectId, ref: "Movie", required: true },
+      WatchedAt: { type: Date, default: Date.now },
+    },
+  ],
+  Role: { type: String, enum: Object.values(Roles), default: Roles.USER },
+  TokenVersion: { type: Number, default: 0 },
+  Verified: { type: Boolean, default: false },
+  // Time of the last wrong password, for auditing; login-limiter.js counts the attempts
+  LastFailedLoginAt: Date,
+});
+
+/**
+ * User fields that must never appear in API responses
+ * @type {String[]}
+ */
+const userPrivateFields = ["Password", "TokenVersion", "LastFailedLoginAt", "__v"];
+
+/**
+ * Strip secrets whenever a user is serialized, e.g. by res.json()
+ */
+userSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    for (const field of userPrivateFields) {
+      delete ret[field];
+    }
+    return ret;
+  },
+});
+
+/**
+ * Whether the user holds the admin role
+ * @name isAdmin
+ * @memberof User
+ * @type {Boolean}
+ */
+userSchema.virtual("isAdmin").get(function () {
+  return this.Role === Roles.ADMIN;
 });
 
 /**
@@ -85,17 +379,228 @@ userSchema.methods.validatePassword = function (password) {
   return bcrypt.compareSync(password, this.Password);
 };
 
+/**
+ * Refresh token schema definition
+ * Only a SHA-256 hash of the token is stored, never the token itself.
+ * @typedef {Object} RefreshToken
+ * @property {ObjectId} User - Owner of the token
+ * @property {String} TokenHash - SHA-256 hash of the token (required, unique)
+ * @property {Date} ExpiresAt - Expiry date; MongoDB removes the document afterwards
+ * @property {Date} RevokedAt - When the token was rotated or revoked
+ * @property {String} ReplacedBy - Hash of the token issued when this one was rotated
+ */
+let refreshTokenSchema = mongoose.Schema({
+  User: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  TokenHash: { type: String, required: true, unique: true },
+  ExpiresAt: { type: Date, required: true, expires: 0 },
+  RevokedAt: Date,
+  ReplacedBy: String,
+});
+
+/**
+ * Review schema definition
+ * Each user can review a movie once.
+ * @typedef {Object} Review
+ * @property {ObjectId} Movie - Reviewed movie (required)
+ * @property {ObjectId} User - Author (required)
+ * @property {Number} Rating - Whole-number rating from 1 to 10 (required)
+ * @property {String} Text - Optional written review
+ * @property {ObjectId[]} HelpfulBy - Users who marked the review as helpful
+ * @property {Number} HelpfulCount - Length of HelpfulBy, stored for sorting
+ * @property {Date} CreatedAt - When the review was written
+ * @property {Date} UpdatedAt - When the review was last edited
+ */
+let reviewSchema = mongoose.Schema(
+  {
+    Movie: { type: mongoose.Schema.Types.ObjectId, ref: "Movie", required: true },
+    User: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    Rating: { type: Number, required: true, min: 1, max: 10 },
+    Text: { type: String, maxlength: 5000 },
+    HelpfulBy: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    HelpfulCount: { type: Number, default: 0 },
+  },
+  { timestamps: { createdAt: "CreatedAt", updatedAt: "UpdatedAt" } }
+);
+
+reviewSchema.index({ Movie: 1, User: 1 }, { unique: true });
+reviewSchema.index({ Movie: 1, CreatedAt: -1 });
+reviewSchema.index({ Movie: 1, HelpfulCount: -1 });
+
+/**
+ * Recalculate a movie's CommunityRating from its reviews
+ * @static
+ * @param {ObjectId|String} movieId - Movie to update
+ * @returns {Promise<Object>} The new CommunityRating
+ */
+reviewSchema.statics.updateCommunityRating = async function (movieId) {
+  const [stats] = await this.aggregate([
+    { $match: { Movie: new mongoose.Types.ObjectId(String(movieId)) } },
+    { $group: { _id: null, average: { $avg: "$Rating" }, count: { $sum: 1 } } },
+  ]);
+  const communityRating = {
+    Average: stats ? Math.round(stats.average * 10) / 10 : null,
+    Count: stats ? stats.count : 0,
+  };
+  await mongoose
+    .model("Movie")
+    .updateOne({ _id: movieId }, { $set: { CommunityRating: communityRating } });
+  return communityRating;
+};
+
+/**
+ * Custom movie list schema definition
+ * @typedef {Object} List
+ * @property {ObjectId} Owner - User who created the list (required)
+ * @property {String} Title - List title (required)
+ * @property {String} Description - What the list is about
+ * @property {ObjectId[]} Movies - Ordered movie IDs
+ * @property {Boolean} IsPublic - Whether anyone can read the list through its public URL
+ * @property {Date} CreatedAt - When the list was created
+ * @property {Date} UpdatedAt - When the list was last changed
+ */
+let listSchema = mongoose.Schema(
+  {
+    Owner: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    Title: { type: String, required: true, maxlength: 100 },
+    Description: { type: String, maxlength: 1000 },
+    Movies: [{ type: mongoose.Schema.Types.ObjectId, ref: "Movie" }],
+    IsPublic: { type: Boolean, default: false },
+  },
+  { timestamps: { createdAt: "CreatedAt", updatedAt: "UpdatedAt" } }
+);
+
+/**
+ * What a one-time token can be used for
+ * @readonly
+ * @enum {String}
+ */
+const OneTimeTokenPurposes = Object.freeze({
+  PASSWORD_RESET: "password-reset",
+  EMAIL_VERIFICATION: "email-verification",
+});
+
+/**
+ * One-time token schema definition
+ * Single-use tokens sent by email; like refresh tokens only the hash is stored.
+ * @typedef {Object} OneTimeToken
+ * @property {ObjectId} User - Owner of the token
+ * @property {String} Purpose - One of {@link OneTimeTokenPurposes}
+ * @property {String} TokenHash - SHA-256 hash of the token (required, unique)
+ * @property {Date} ExpiresAt - Expiry date; MongoDB removes the document afterwards
+ */
+let oneTimeTokenSchema = mongoose.Schema({
+  User: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  Purpose: { type: String, enum: Object.values(OneTimeTokenPurposes), required: true },
+  TokenHash: { type: String, required: true, unique: true },
+  ExpiresAt: { type: Date, required: true, expires: 0 },
+});
+
+/**
+ * Applied data migration schema definition
+ * @typedef {Object} Migration
+ * @property {String} Name - Migration file name without extension, e.g. "001-fix-posters" (required, unique)
+ * @property {String} Description - What the migration does
+ * @property {Date} AppliedAt - When the migration was applied
+ * @property {*} State - Whatever up() returned, handed back to down() when the migration is reverted
+ */
+let migrationSchema = mongoose.Schema({
+  Name: { type: String, required: true, unique: true },
+  Description: String,
+  AppliedAt: { type: Date, default: Date.now },
+  State: mongoose.Schema.Types.Mixed,
+});
+
 /**
  * Movie model
  * @type {mongoose.Model<Movie>}
  */
 let Movie = mongoose.model("Movie", movieSchema);
 
+/**
+ * Genre model
+ * @type {mongoose.Model<Genre>}
+ */
+let Genre = mongoose.model("Genre", genreSchema);
+
+/**
+ * Director model
+ * @type {mongoose.Model<Director>}
+ */
+let Director = mongoose.model("Director", directorSchema);
+
+/**
+ * Poster override model
+ * @type {mongoose.Model<PosterOverride>}
+ */
+let PosterOverride = mongoose.model("PosterOverride", posterOverrideSchema);
+
+/**
+ * Poster check model
+ * @type {mongoose.Model<PosterCheck>}
+ */
+let PosterCheck = mongoose.model("PosterCheck", posterCheckSchema);
+
+/**
+ * Person model
+ * @type {mongoose.Model<Person>}
+ */
+let Person = mongoose.model("Person", personSchema);
+
+/**
+ * Cast credit model
+ * @type {mongoose.Model<Credit>}
+ */
+let Credit = mongoose.model("Credit", creditSchema);
+
 /**
  * User model
  * @type {mongoose.Model<User>}
  */
 let User = mongoose.model("User", userSchema);
 
+/**
+ * Review model
+ * @type {mongoose.Model<Review>}
+ */
+let Review = mongoose.model("Review", reviewSchema);
+
+/**
+ * Custom movie list model
+ * @type {mongoose.Model<List>}
+ */
+let List = mongoose.model("List", listSchema);
+
+/**
+ * Refresh token model
+ * @type {mongoose.Model<RefreshToken>}
+ */
+let RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
+
+/**
+ * One-time token model
+ * @type {mongoose.Model<OneTimeToken>}
+ */
+let OneTimeToken = mongoose.model("OneTimeToken", oneTimeTokenSchema);
+
+/**
+ * Applied data migration model, stored in the migrations collection
+ * @type {mongoose.Model<Migration>}
+ */
+let Migration = mongoose.model("Migration", migrationSchema);
+
 module.exports.Movie = Movie;
+module.exports.Genre = Genre;
+module.exports.Director = Director;
+module.exports.PosterOverride = PosterOverride;
+module.exports.PosterCheck = PosterCheck;
+module.exports.PosterCheckStatuses = PosterCheckStatuses;
+module.exports.Person = Person;
+module.exports.Credit = Credit;
 module.exports.User = User;
+module.exports.Review = Review;
+module.exports.List = List;
+module.exports.RefreshToken = RefreshToken;
+module.exports.OneTimeToken = OneTimeToken;
+module.exports.Migration = Migration;
+module.exports.Roles = Roles;
+module.exports.OneTimeTokenPurposes = OneTimeTokenPurposes;
@@ -3,62 +3,77 @@ const passport = require("passport"),
   Models = require("./models.js"),
   passportJWT = require("passport-jwt");
 
-const jwtSecret = process.env.JWT_SECRET;
+let JWTStrategy = passportJWT.Strategy,
+  ExtractJWT = passportJWT.ExtractJwt;
 
-if (!jwtSecret) {
-  throw new Error("JWT_SECRET environment variable is required");
-}
+/**
+ * Creates a passport instance with the "local" (username and password) and "jwt" (Bearer token)
+ * strategies. Each app gets its own, so strategies never leak between apps.
+ * @param {Object} [options]
+ * @param {Object} [options.models] - Mongoose models, as exported by models.js
+ * @param {string} [options.jwtSecret] - Secret access tokens are signed with; defaults to JWT_SECRET
+ * @returns {passport.Passport}
+ * @throws {Error} When no secret is given and JWT_SECRET is not set
+ */
+function createPassport({ models = Models, jwtSecret = process.env.JWT_SECRET } = {}) {
+  if (!jwtSecret) {
+    throw new Error("JWT_SECRET environment variable is required");
+  }
 
-let Users = Models.User,
-  JWTStrategy = passportJWT.Strategy,
-  ExtractJWT = passportJWT.ExtractJwt;
-  passport.use(
-  new LocalStrategy(
-    {
-      usernameField: 'Username',
-      passwordField: 'Password',
-    },
-    async (username, password, callback) => {
-      console.log(`${username} ${password}`);
-      await Users.findOne({ Username: username })
-      .then((user) => {
-        if (!user) {
-          console.log('incorrect username');
-          return callback(null, false, {
-            message: 'Incorrect username or password.',
-          });
-        }
-        if (!user.validatePassword(password)) {
-          console.log('incorrect password');
-          return callback(null, false, { message: 'Incorrect password.' });
-        }
-        console.log('finished');
-        return callback(null, user);
-      })
-      .catch((error) => {
-        if (error) {
-          console.log(error);
-          return callback(error);
-        }
-      })
-    }
-  )
-);
+  const Users = models.User;
+  const authenticator = new passport.Passport();
 
-passport.use(
-  new JWTStrategy(
-    {
-      jwtFromRequest: ExtractJWT.fromAuthHeaderAsBearerToken(),
-      secretOrKey: jwtSecret,
-    },
-    async (jwtPayload, callback) => {
-      return await Users.findById(jwtPayload._id)
-        .then((user) => {
+  authenticator.use(
+    new LocalStrategy(
+      {
+        usernameField: 'Username',
+        passwordField: 'Password',
+      },
+      // Never log the submitted credentials, not even the username on its own
+      async (username, password, callback) => {
+        try {
+          // Taken as a literal name, never as a query operator
+          const user = await Users.findOne({ Username: String(username) });
+          if (!user) {
+            return callback(null, false, { message: 'Incorrect username or password.' });
+          }
+          if (!user.validatePassword(password)) {
+            // Kept for auditing only; the attempts are counted and limited in login-limiter.js
+            await Users.updateOne({ _id: user._id }, { $set: { LastFailedLoginAt: new Date() } });
+            return callback(null, false, { message: 'Incorrect username or password.' });
+          }
           return callback(null, user);
-        })
-        .catch((error) => {
+        } catch (error) {
           return callback(error);
-        });
-    }
-  )
-);
+        }
+      }
+    )
+  );
+
+  authenticator.use(
+    new JWTStrategy(
+      {
+        jwtFromRequest: ExtractJWT.fromAuthHeaderAsBearerToken(),
+        secretOrKey: jwtSecret,
+      },
+      async (jwtPayload, callback) => {
+        return await Users.findById(jwtPayload._id)
+          .then((user) => {
+            // Tokens issued before a password change, logout-everywhere or
+            // account deletion carry an outdated version and are rejected.
+            if (!user || (jwtPayload.ver || 0) !== (user.TokenVersion || 0)) {
+              return callback(null, false);
+            }
+            return callback(null, user);
+          })
+          .catch((error) => {
+            return callback(error);
+          });
+      }
+    )
+  );
+
+  return authenticator;
+}
+
+module.exports = { createPassport };
@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Poster link checking for the myFlix API
+ * @description Checks every movie's ImagePath and records the result in the PosterCheck collection,
+ * so broken posters can be found and fixed (or overridden) before users notice.
+ * URLs are requested through a pluggable fetcher: any object with an async fetch(url) method
+ * resolving to { status, contentType }. The default "http" fetcher makes real HEAD requests;
+ * the "stub" fetcher answers from a table and never touches the network, for tests.
+ * Each app gets its own checker through createApp()'s config.posterChecker.
+ * @author Sourav Das
+ * @version 1.0.0
+ */
+
+const Models = require("./models.js");
+
+/**
+ * How long one poster request may take (10 seconds)
+ * @type {number}
+ */
+const requestTimeoutMs = 10 * 1000;
+
+/**
+ * Number of posters requested at the same time
+ * @type {number}
+ */
+const concurrency = 4;
+
+/**
+ * Creates a fetcher that requests each URL over HTTP(S).
+ * Uses HEAD, retrying with GET for servers that do not allow HEAD.
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=10000] - Request timeout
+ * @returns {{name: string, fetch: Function}}
+ */
+const createHttpFetcher = ({ timeoutMs = requestTimeoutMs } = {}) => ({
+  name: "http",
+  async fetch(url) {
+    const request = (method) =>
+      fetch(url, { method, redirect: "follow", signal: AbortSignal.timeout(timeoutMs) });
+    let response = await request("HEAD");
+    if (response.status === 405 || response.status === 501) {
+      response = await request("GET");
+      // Only the headers are needed
+      if (response.body) await response.body.cancel();
+    }
+    return { status: response.status, contentType: response.headers.get("content-type") };
+  },
+});
+
+/**
+ * Creates a fetcher that answers from a table instead of the network, handy for tests
+ * @param {Object<string, {status: number, contentType: (string|undefined)}>} [responses={}] - Response for each URL
+ * @param {Object} [options]
+ * @param {{status: number, contentType: (string|undefined)}} [options.fallback={ status: 404 }] - Response for any other URL
+ * @returns {{name: string, responses: Object, requests: string[], fetch: Function}}
+ */
+const createStubFetcher = (responses = {}, { fallback = { status: 404 } } = {}) => {
+  const requests = [];
+  return {
+    name: "stub",
+    responses,
+    requests,
+    async fetch(url) {
+      requests.push(url);
+      const response = responses[url] || fallback;
+      if (response instanceof Error) throw response;
+      return response;
+    },
+  };
+};
+
+/**
+ * Creates the fetcher chosen with POSTER_FETCHER ("http", the default, or "stub")
+ * @returns {Object}
+ */
+const createDefaultFetcher = () => (process.env.POSTER_FETCHER === "stub" ? createStubFetcher() : createHttpFetcher());
+
+/**
+ * Creates the poster checker of one app
+ * @param {Object} [options]
+ * @param {Object} [options.models] - Mongoose models, as exported by models.js
+ * @param {{fetch: Function}} [options.fetcher] - Object with an async fetch(url) method; defaults to the
+ * fetcher chosen with POSTER_FETCHER
+ * @returns {{fetcher: Object, checkPoster: Function, checkPosters: Function, isChecking: Function, schedulePosterChecks: Function}}
+ * @throws {Error} When the fetcher has no fetch() method
+ */
+function createPosterChecker({ models = Models, fetcher = createDefaultFetcher() } = {}) {
+  if (!fetcher || typeof fetcher.fetch !== "function") {
+    throw new Error("A poster fetcher must have a fetch(url) method");
+  }
+
+  const Movies = models.Movie;
+  const PosterChecks = models.PosterCheck;
+  const PosterCheckStatuses = models.PosterCheckStatuses;
+
+  /**
+   * Checks one image path
+   * @param {string} [imagePath]
+   * @returns {Promise<{Status: string, HttpStatus: (number|undefined), Error: (string|undefined)}>}
+   */
+  const checkPoster = async (imagePath) => {
+    if (!imagePath) {
+      return { Status: PosterCheckStatuses.BROKEN, Error: "The movie has no ImagePath" };
+    }
+    if (!/^https?:\/\//i.test(imagePath)) {
+      return { Status: PosterCheckStatuses.SKIPPED, Error: "Only http(s) URLs are checked" };
+    }
+    try {
+      const { status, contentType } = await fetcher.fetch(imagePath);
+      if (status < 200 || status >= 300) {
+        return { Status: PosterCheckStatuses.BROKEN, HttpStatus: status, Error: `The server answered ${status}` };
+      }
+      if (contentType && !/^image\//i.test(contentType)) {
+        return { Status: PosterCheckStatuses.BROKEN, HttpStatus: status, Error: `Not an image (${contentType})` };
+      }
+      return { Status: PosterCheckStatuses.OK, HttpStatus: status };
+    } catch (error) {
+      return { Status: PosterCheckStatuses.BROKEN, Error: error.message };
+    }
+  };
+
+  /**
+   * Whether a checkPosters() run of this checker is in progress
+   * @type {boolean}
+   */
+  let running = false;
+
+  /**
+   * Whether a poster check of this checker is in progress
+   * @returns {boolean}
+   */
+  const isChecking = () => running;
+
+  /**
+   * Checks the poster of every movie and stores each result, replacing the previous one.
+   * Movies sharing a URL cause a single request.
+   * @returns {Promise<{checked: number, ok: number, broken: number, skipped: number}|null>} Counts per status, or null when a run is already in progress
+   */
+  const checkPosters = async () => {
+    if (running) return null;
+    running = true;
+    try {
+      const movies = await Movies.find({}, { ImagePath: 1 }).lean();
+      const results = new Map();
+      const summary = { checked: 0, ok: 0, broken: 0, skipped: 0 };
+
+      let next = 0;
+      const worker = async () => {
+        while (next < movies.length) {
+          const movie = movies[next++];
+          if (!results.has(movie.ImagePath)) {
+            results.set(movie.ImagePath, checkPoster(movie.ImagePath));
+          }
+          const result = await results.get(movie.ImagePath);
+          await PosterChecks.replaceOne(
+            { Movie: movie._id },
+            { Movie: movie._id, ImagePath: movie.ImagePath, CheckedAt: new Date(), ...result },
+            { upsert: true }
+          );
+          summary.checked++;
+          summary[result.Status]++;
+        }
+      };
+      await Promise.all(Array.from({ length: concurrency }, worker));
+
+      // Results for movies that no longer exist are dropped
+      await PosterChecks.deleteMany({ Movie: { $nin: movies.map((movie) => movie._id) } });
+      return summary;
+    } finally {
+      running = false;
+    }
+  };
+
+  /**
+   * Runs checkPosters() now and then on a schedule. The timer does not keep the process alive.
+   * @param {number} intervalMs - Time between runs
+   * @param {Function} [onError=console.error] - Called when a run fails
+   * @returns {NodeJS.Timeout} - Pass to clearInterval() to stop
+   */
+  const schedulePosterChecks = (intervalMs, onError = console.error) => {
+    const run = () => checkPosters().catch(onError);
+    run();
+    return setInterval(run, intervalMs).unref();
+  };
+
+  return { fetcher, checkPoster, checkPosters, isChecking, schedulePosterChecks };
+}
+
+module.exports = {
+  createHttpFetcher,
+  createStubFetcher,
+  createDefaultFetcher,
+  createPosterChecker,
+};
@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Poster overrides applied to API responses in the myFlix API
+ * @description Keeps the poster overrides in force in memory and swaps them in for a movie's
+ * stored ImagePath whenever the app sends a movie as JSON. Only responses are affected; the
+ * stored ImagePath is never changed. Each app has its own cache, given through createApp()'s
+ * config.posterOverrides, and reloads it whenever an override changes.
+ * @author Sourav Das
+ * @version 1.0.0
+ */
+
+const Models = require("./models.js");
+
+/**
+ * Creates the poster override cache of one app
+ * @param {Object} [options]
+ * @param {Object} [options.models] - Mongoose models, as exported by models.js
+ * @returns {{load: Function, get: Function, jsonReplacer: Function}}
+ * @example
+ * const posterOverrides = createPosterOverrides({ models });
+ * await posterOverrides.load();
+ * app.set("json replacer", posterOverrides.jsonReplacer);
+ */
+function createPosterOverrides({ models = Models } = {}) {
+  const PosterOverrides = models.PosterOverride;
+
+  /**
+   * Override image paths by movie ID
+   * @type {Map<string, string>}
+   */
+  const active = new Map();
+
+  /**
+   * Reloads the overrides in force. Call after any override is created, changed or deleted.
+   * @returns {Promise<number>} Number of overrides in force
+   */
+  const load = async () => {
+    const overrides = await PosterOverrides.find({}, { Movie: 1, ImagePath: 1 }).lean();
+    active.clear();
+    for (const override of overrides) {
+      active.set(String(override.Movie), override.ImagePath);
+    }
+    return active.size;
+  };
+
+  /**
+   * Override image path of a movie
+   * @param {Object|string} movieId
+   * @returns {string|undefined}
+   */
+  const get = (movieId) => active.get(String(movieId));
+
+  /**
+   * JSON.stringify replacer that shows movies with their override in place of the stored ImagePath.
+   * It sees movie documents after toJSON() and plain movies from aggregations alike. Movies loaded
+   * without ImagePath (e.g. ?fields=Title) are left without it.
+   * @param {string} key
+   * @param {*} value
+   * @returns {*}
+   */
+  const jsonReplacer = (key, value) => {
+    if (active.size === 0 || !value || typeof value !== "object" || !("ImagePath" in value) || !value._id) {
+      return value;
+    }
+    const override = get(value._id);
+    return override ? { ...value, ImagePath: override } : value;
+  };
+
+  return { load, get, jsonReplacer };
+}
+
+module.exports = { createPosterOverrides };
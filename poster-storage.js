@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Storage for uploaded posters in the myFlix API
+ * @description Keeps uploaded poster images and their thumbnails in a pluggable storage backend.
+ * A backend is any object with async save(key, buffer, contentType) and remove(key) methods, a
+ * url(key) method giving the address clients load the file from, and optionally a middleware
+ * that serves the files under /posters. The default "disk" backend writes to a local directory;
+ * the "memory" backend keeps files in a Map, for tests. Each app is given its backend through
+ * createApp()'s config.posterStorage.
+ * @author Sourav Das
+ * @version 1.0.0
+ */
+
+const fs = require("fs/promises");
+const path = require("path");
+const express = require("express");
+
+/**
+ * URL path the API serves stored posters under
+ * @type {string}
+ */
+const postersPath = "/posters";
+
+/**
+ * Creates a backend that writes each file into a directory and serves it with express.static.
+ * Files are named after their content, so they can be cached forever.
+ * @param {string} directory - Upload directory, created on first save
+ * @returns {{name: string, directory: string, save: Function, remove: Function, url: Function, middleware: Function}}
+ */
+const createDiskStorage = (directory) => ({
+  name: "disk",
+  directory,
+  async save(key, buffer) {
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(path.join(directory, path.basename(key)), buffer);
+  },
+  async remove(key) {
+    await fs.rm(path.join(directory, path.basename(key)), { force: true });
+  },
+  url(key) {
+    return `${postersPath}/${encodeURIComponent(key)}`;
+  },
+  middleware: express.static(directory, { maxAge: "365d", immutable: true, index: false }),
+});
+
+/**
+ * Creates a backend that keeps files in memory, handy for tests
+ * @returns {{name: string, files: Map, save: Function, remove: Function, url: Function, middleware: Function}}
+ */
+const createMemoryStorage = () => {
+  const files = new Map();
+  return {
+    name: "memory",
+    files,
+    async save(key, buffer, contentType) {
+      files.set(key, { buffer, contentType });
+    },
+    async remove(key) {
+      files.delete(key);
+    },
+    url(key) {
+      return `${postersPath}/${encodeURIComponent(key)}`;
+    },
+    middleware(req, res, next) {
+      const file = files.get(decodeURIComponent(req.path.slice(1)));
+      if (!file) return next();
+      res.type(file.contentType).send(file.buffer);
+    },
+  };
+};
+
+/**
+ * Creates the backend chosen with POSTER_STORAGE ("disk", the default, or "memory")
+ * @returns {Object}
+ */
+const createDefaultStorage = () =>
+  process.env.POSTER_STORAGE === "memory"
+    ? createMemoryStorage()
+    : createDiskStorage(process.env.POSTER_UPLOAD_DIR || path.join(__dirname, "uploads", "posters"));
+
+/**
+ * Creates middleware serving the posters of a backend. Mount under postersPath.
+ * @param {{save: Function, remove: Function, url: Function, middleware: (Function|undefined)}} storage - Backend,
+ * e.g. one backed by cloud object storage
+ * @returns {Function} Express middleware; passes every request on when the backend serves its files itself
+ * @throws {Error} When the backend lacks one of the methods
+ */
+const createPosterServer = (storage) => {
+  if (!storage || ["save", "remove", "url"].some((method) => typeof storage[method] !== "function")) {
+    throw new Error("A poster storage must have save(), remove() and url() methods");
+  }
+  return (req, res, next) => {
+    if (typeof storage.middleware !== "function") return next();
+    storage.middleware(req, res, next);
+  };
+};
+
+module.exports = {
+  postersPath,
+  createDiskStorage,
+  createMemoryStorage,
+  createDefaultStorage,
+  createPosterServer,
+};
@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Poster upload processing for the myFlix API
+ * @description Checks that an uploaded file really is a JPEG, PNG or WebP image, strips its metadata,
+ * resizes it into thumbnails for the movie cards, and keeps everything in the poster storage.
+ * @author Sourav Das
+ * @version 1.0.0
+ */
+
+const crypto = require("crypto");
+const sharp = require("sharp");
+
+/**
+ * Largest poster file accepted (5 MB)
+ * @type {number}
+ */
+const maxPosterBytes = 5 * 1024 * 1024;
+
+/**
+ * Largest poster accepted, in pixels, so a small file cannot expand into a huge image
+ * @type {number}
+ */
+const maxPosterPixels = 40 * 1000 * 1000;
+
+/**
+ * Accepted image formats, as reported by sharp
+ * @type {Object<string, {extension: string, mimeType: string}>}
+ */
+const posterFormats = {
+  jpeg: { extension: "jpg", mimeType: "image/jpeg" },
+  png: { extension: "png", mimeType: "image/png" },
+  webp: { extension: "webp", mimeType: "image/webp" },
+};
+
+/**
+ * MIME types an upload may declare
+ * @type {string[]}
+ */
+const posterMimeTypes = Object.values(posterFormats).map((format) => format.mimeType);
+
+/**
+ * Thumbnail widths in pixels; heights keep the poster's proportions
+ * @type {Object<string, number>}
+ */
+const thumbnailWidths = {
+  Small: 185,
+  Medium: 342,
+  Large: 500,
+};
+
+/**
+ * Reads the format of an uploaded file from its contents, ignoring what the client claimed
+ * @param {Buffer} buffer
+ * @returns {Promise<string|null>} A key of posterFormats, or null when the file is not an accepted image
+ */
+const detectPosterFormat = async (buffer) => {
+  try {
+    const { format, width, height } = await sharp(buffer).metadata();
+    if (!posterFormats[format] || !width || !height || width * height > maxPosterPixels) return null;
+    return format;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Storage key of each thumbnail of a poster
+ * @param {string} key - Storage key of the poster
+ * @returns {Object<string, string>} Keys by thumbnail size
+ */
+const thumbnailKeys = (key) => {
+  const base = key.replace(/\.[^.]+$/, "");
+  return Object.fromEntries(
+    Object.keys(thumbnailWidths).map((size) => [size, `${base}-${size.toLowerCase()}.webp`])
+  );
+};
+
+/**
+ * Stores a poster and its thumbnails
+ * @param {Object} storage - Poster storage of the app, see poster-storage.js
+ * @param {string} movieId - Movie the poster belongs to
+ * @param {Buffer} buffer - Uploaded file, already checked with detectPosterFormat()
+ * @param {string} format - Result of detectPosterFormat()
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl=""] - Prefixed to storage URLs that are paths, so clients on other hosts can load them
+ * @returns {Promise<{ImagePath: string, Poster: Object}>} Fields to set on the movie
+ */
+const storePoster = async (storage, movieId, buffer, format, { baseUrl = "" } = {}) => {
+  const absolute = (url) => (url.startsWith("/") ? baseUrl + url : url);
+  const image = () => sharp(buffer, { limitInputPixels: maxPosterPixels }).rotate();
+
+  // Re-encoding drops EXIF and other metadata, such as where a photo was taken
+  const poster = await image().toFormat(format).toBuffer();
+  const hash = crypto.createHash("sha256").update(poster).digest("hex").slice(0, 16);
+  const key = `${movieId}-${hash}.${posterFormats[format].extension}`;
+  await storage.save(key, poster, posterFormats[format].mimeType);
+
+  const thumbnails = {};
+  for (const [size, thumbnailKey] of Object.entries(thumbnailKeys(key))) {
+    const thumbnail = await image()
+      .resize({ width: thumbnailWidths[size], withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+    await storage.save(thumbnailKey, thumbnail, "image/webp");
+    thumbnails[size] = absolute(storage.url(thumbnailKey));
+  }
+
+  return {
+    ImagePath: absolute(storage.url(key)),
+    Poster: { Key: key, Thumbnails: thumbnails, UploadedAt: new Date() },
+  };
+};
+
+/**
+ * Deletes a stored poster and its thumbnails
+ * @param {Object} storage - Poster storage of the app, see poster-storage.js
+ * @param {string} key - Storage key of the poster
+ * @returns {Promise<void>}
+ */
+const removePoster = async (storage, key) => {
+  await Promise.all([key, ...Object.values(thumbnailKeys(key))].map((fileKey) => storage.remove(fileKey)));
+};
+
+module.exports = {
+  maxPosterBytes,
+  posterMimeTypes,
+  thumbnailWidths,
+  detectPosterFormat,
+  storePoster,
+  removePoster,
+};
@@ -0,0 +1,180 @@
+/**
+ * @fileoverview Request rate limits for the myFlix API
+ * @description Counts requests per client in fixed time windows, separately for each route group,
+ * and answers 429 once a group's limit is reached. A client is the user of a valid Bearer token,
+ * so every token of one user shares a count, or the IP address for requests without one.
+ * Sign-ups are always counted by IP. Every limited response carries the RateLimit-Limit,
+ * RateLimit-Remaining, RateLimit-Reset and RateLimit-Policy headers of the tightest group.
+ *
+ * Counts live in a pluggable store: any object with an async increment(key, windowMs) method
+ * that returns { count, resetAt }. The default keeps them in process memory, which suits a
+ * single server; pass a shared store to createRateLimiter() when running several.
+ * @author Sourav Das
+ * @version 1.0.0
+ */
+
+const { TooManyRequestsError } = require("./errors");
+
+/**
+ * One minute
+ * @type {number}
+ */
+const minute = 60 * 1000;
+
+/**
+ * Route groups and their default limits. A request counts against every group it matches.
+ * @type {Object<string, {limit: number, windowMs: number, byIp?: boolean, matches: Function}>}
+ */
+const routeGroups = {
+  // Every route
+  general: { limit: 300, windowMs: minute, matches: () => true },
+  // Full-text, fuzzy and faceted searches run several queries per request
+  search: {
+    limit: 60,
+    windowMs: minute,
+    matches: (req) => req.method === "GET" && /^\/search(\/|$)/.test(req.path),
+  },
+  // Paged listings of whole collections, each page up to 100 documents
+  listing: {
+    limit: 30,
+    windowMs: minute,
+    matches: (req) =>
+      req.method === "GET" &&
+      /^\/(movies(\/featured|\/genre\/[^/]+)?|users|actors|actresses|people|genres|directors|lists)\/?$/.test(req.path),
+  },
+  // Account registration, which needs no token
+  signup: {
+    limit: 5,
+    windowMs: 60 * minute,
+    byIp: true,
+    matches: (req) => req.method === "POST" && /^\/users\/?$/.test(req.path),
+  },
+};
+
+/**
+ * Creates a store that keeps one counter per key in a Map, restarting it once its window ends.
+ * When full, the oldest counter is evicted first.
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries=10000] - Maximum number of counters
+ * @returns {{name: string, increment: Function, clear: Function}}
+ */
+const createMemoryStore = ({ maxEntries = 10000 } = {}) => {
+  const counters = new Map();
+  return {
+    name: "memory",
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt <= now) {
+        counters.delete(key);
+        if (counters.size >= maxEntries) {
+          // Maps iterate in insertion order, so the first key is the oldest.
+          counters.delete(counters.keys().next().value);
+        }
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count += 1;
+      return { count: counter.count, resetAt: counter.resetAt };
+    },
+    async clear() {
+      counters.clear();
+    },
+  };
+};
+
+/**
+ * Identifies who a request is counted against: the user of a valid Bearer token, otherwise the IP
+ * @param {Object} req - Express request
+ * @param {Function} verifyAccessToken - Returns a token's payload, or null when it is not valid
+ * @returns {string}
+ */
+const clientKey = (req, verifyAccessToken) => {
+  const header = req.get("Authorization");
+  const match = header && /^Bearer (\S+)$/i.exec(header);
+  const payload = match && verifyAccessToken(match[1]);
+  return payload && payload._id ? "user:" + payload._id : "ip:" + req.ip;
+};
+
+/**
+ * Creates middleware that enforces the route group limits. Mount it before the routers.
+ * @param {Object|false} [limits] - Overrides per group name, e.g. { search: { limit: 100 } };
+ * false for a group turns it off, and false instead of an object turns every limit off
+ * @param {Object} options
+ * @param {Object} options.tokens - Token functions of the app (see createTokens() in tokens.js),
+ * used to tell who sent a Bearer token
+ * @param {{increment: Function}} [options.store] - Where the counts live, e.g. a store shared by
+ * several servers; defaults to a new memory store
+ * @returns {Function} Express middleware
+ * @throws {Error} When the store has no increment() method
+ * @example
+ * app.use(createRateLimiter({ signup: { limit: 3, windowMs: 24 * 60 * 60 * 1000 }, listing: false }, { tokens }));
+ */
+const createRateLimiter = (limits = {}, { tokens, store = createMemoryStore() }) => {
+  if (!store || typeof store.increment !== "function") {
+    throw new Error("A rate limit store must have an increment(key, windowMs) method");
+  }
+  const groups = Object.entries(routeGroups)
+    .filter(([name]) => limits !== false && limits[name] !== false)
+    .map(([name, group]) => ({ name, ...group, ...limits[name] }));
+
+  return async (req, res, next) => {
+    const applying = groups.filter((group) => group.matches(req));
+    if (applying.length === 0) return next();
+
+    const client = clientKey(req, tokens.verifyAccessToken);
+    const results = await Promise.all(
+      applying.map(async (group) => {
+        const { count, resetAt } = await store.increment(
+          `ratelimit:${group.name}:${group.byIp ? "ip:" + req.ip : client}`,
+          group.windowMs
+        );
+        return {
+          group,
+          remaining: Math.max(0, group.limit - count),
+          exceeded: count > group.limit,
+          resetSeconds: Math.max(0, Math.ceil((resetAt - Date.now()) / 1000)),
+        };
+      })
+    );
+
+    // Report the group the client is closest to running out of
+    const tightest =
+      results.find((result) => result.exceeded) ||
+      results.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+    res.set({
+      "RateLimit-Limit": String(tightest.group.limit),
+      "RateLimit-Remaining": String(tightest.remaining),
+      "RateLimit-Reset": String(tightest.resetSeconds),
+      "RateLimit-Policy": results
+        .map(({ group }) => `${group.limit};w=${Math.round(group.windowMs / 1000)}`)
+        .join(", "),
+    });
+    if (tightest.exceeded) {
+      throw new TooManyRequestsError(
+        `Rate limit exceeded. Try again in ${tightest.resetSeconds} seconds.`,
+        tightest.resetSeconds
+      );
+    }
+    next();
+  };
+};
+
+/**
+ * Response headers that carry rate limit information, for the CORS exposedHeaders list
+ * @type {string[]}
+ */
+const rateLimitHeaders = [
+  "RateLimit-Limit",
+  "RateLimit-Remaining",
+  "RateLimit-Reset",
+  "RateLimit-Policy",
+  "Retry-After",
+];
+
+module.exports = {
+  routeGroups,
+  rateLimitHeaders,
+  createMemoryStore,
+  createRateLimiter,
+};
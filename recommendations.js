@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Movie recommendations for the myFlix API
+ * @description Scores catalog movies by how much they have in common with a user's
+ * favorites (genre, director, cast), weighted by IMDb rating, and explains each pick.
+ * Also ranks movies similar to a given movie, adding release-year proximity.
+ * @author Sourav Das
+ * @version 1.0.0
+ */
+
+/**
+ * Points for each kind of overlap between two movies
+ * @type {{genre: number, director: number, castMember: number, releaseYear: number}}
+ */
+const weights = {
+  genre: 2,
+  director: 3,
+  castMember: 1.5,
+  releaseYear: 1,
+};
+
+/**
+ * Release years further apart than this add nothing to similarity
+ * @type {number}
+ */
+const releaseYearWindow = 10;
+
+/**
+ * Rating assumed for movies without an IMDb rating
+ * @type {number}
+ */
+const defaultRating = 5;
+
+/**
+ * Lower-cased, trimmed value for comparisons
+ * @param {string} value
+ * @returns {string}
+ */
+const normalize = (value) => String(value || "").trim().toLowerCase();
+
+/**
+ * Every actor and actress of a movie
+ * @param {Object} movie
+ * @returns {string[]}
+ */
+const castOf = (movie) => [...(movie.Actors || []), ...(movie.Actresses || [])];
+
+/**
+ * Lists what two movies have in common
+ * @param {Object} a - Movie
+ * @param {Object} b - Movie
+ * @returns {{genre: (string|null), director: (string|null), cast: string[]}}
+ */
+const sharedFeatures = (a, b) => {
+  const genre =
+    a.Genre && a.Genre.Name && normalize(a.Genre.Name) === normalize(b.Genre && b.Genre.Name)
+      ? a.Genre.Name
+      : null;
+  const director =
+    a.Director && a.Director.Name && normalize(a.Director.Name) === normalize(b.Director && b.Director.Name)
+      ? a.Director.Name
+      : null;
+  const castB = new Set(castOf(b).map(normalize));
+  const cast = castOf(a).filter((name) => castB.has(normalize(name)));
+  return { genre, director, cast };
+};
+
+/**
+ * Overlap score of two movies, before any rating weighting
+ * @param {{genre: (string|null), director: (string|null), cast: string[]}} shared - Result of sharedFeatures()
+ * @returns {number}
+ */
+const overlapScore = (shared) =>
+  (shared.genre ? weights.genre : 0) +
+  (shared.director ? weights.director : 0) +
+  shared.cast.length * weights.castMember;
+
+/**
+ * Similarity of two movies: their overlap plus how close their release years are
+ * @param {Object} a - Movie
+ * @param {Object} b - Movie
+ * @returns {number} 0 when they have nothing in common
+ */
+const similarityScore = (a, b) => {
+  let score = overlapScore(sharedFeatures(a, b));
+  if (typeof a.ReleaseYear === "number" && typeof b.ReleaseYear === "number") {
+    const distance = Math.abs(a.ReleaseYear - b.ReleaseYear);
+    score += weights.releaseYear * Math.max(0, 1 - distance / releaseYearWindow);
+  }
+  return Math.round(score * 100) / 100;
+};
+
+/**
+ * Ranks movies by similarity to one movie
+ * @param {Object} movie - Reference movie
+ * @param {Object[]} candidates - Movies to rank (the reference movie itself is skipped)
+ * @param {Object} [options]
+ * @param {number} [options.limit=10] - Maximum number of results
+ * @returns {Array<{movie: Object, score: number}>} Most similar first
+ */
+const similarTo = (movie, candidates, { limit = 10 } = {}) =>
+  candidates
+    .filter((candidate) => String(candidate._id) !== String(movie._id))
+    .map((candidate) => ({ movie: candidate, score: similarityScore(movie, candidate) }))
+    .filter((result) => result.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+
+/**
+ * Human-readable reason for a recommendation
+ * @param {Object} favorite - The favorite the pick is most like
+ * @param {{genre: (string|null), director: (string|null), cast: string[]}} shared - What they share
+ * @returns {string} e.g. "Because you liked The Godfather: also directed by Francis Ford Coppola, also starring Al Pacino"
+ */
+const explain = (favorite, shared) => {
+  const reasons = [];
+  if (shared.director) reasons.push(`also directed by ${shared.director}`);
+  if (shared.cast.length) reasons.push(`also starring ${shared.cast.slice(0, 2).join(" and ")}`);
+  if (shared.genre) reasons.push(`also ${shared.genre}`);
+  return `Because you liked ${favorite.Title}: ${reasons.join(", ")}`;
+};
+
+/**
+ * Ranks candidate movies against a user's favorites
+ * @param {Object[]} favorites - The user's favorite movies
+ * @param {Object[]} candidates - Movies that may be recommended (favorites are skipped)
+ * @param {Object} [options]
+ * @param {number} [options.limit=10] - Maximum number of picks
+ * @returns {Array<{movie: Object, score: number, because: string, basedOn: Object}>} Best picks first
+ */
+const recommend = (favorites, candidates, { limit = 10 } = {}) => {
+  const favoriteIds = new Set(favorites.map((movie) => String(movie._id)));
+  const picks = [];
+
+  for (const candidate of candidates) {
+    if (favoriteIds.has(String(candidate._id))) continue;
+
+    let total = 0;
+    let best = null;
+    for (const favorite of favorites) {
+      const shared = sharedFeatures(favorite, candidate);
+      const score = overlapScore(shared);
+      total += score;
+      if (score > 0 && (!best || score > best.score)) {
+        best = { favorite, shared, score };
+      }
+    }
+    if (!best) continue;
+
+    const rating = typeof candidate.IMDbRating === "number" ? candidate.IMDbRating : defaultRating;
+    picks.push({
+      movie: candidate,
+      score: Math.round(total * (rating / 10) * 100) / 100,
+      because: explain(best.favorite, best.shared),
+      basedOn: { _id: best.favorite._id, Title: best.favorite.Title },
+    });
+  }
+
+  return picks.sort((a, b) => b.score - a.score).slice(0, limit);
+};
+
+/**
+ * MongoDB filter that narrows the catalog to movies sharing anything with the favorites
+ * @param {Object[]} favorites - The user's favorite movies
+ * @returns {Object} Query filter
+ */
+const candidateFilter = (favorites) => {
+  const genres = favorites.map((movie) => movie.Genre && movie.Genre.Name).filter(Boolean);
+  const directors = favorites.map((movie) => movie.Director && movie.Director.Name).filter(Boolean);
+  const cast = favorites.flatMap(castOf);
+  return {
+    _id: { $nin: favorites.map((movie) => movie._id) },
+    $or: [
+      { "Genre.Name": { $in: genres } },
+      { "Director.Name": { $in: directors } },
+      { Actors: { $in: cast } },
+      { Actresses: { $in: cast } },
+    ],
+  };
+};
+
+/**
+ * MongoDB filter that narrows the catalog to movies that could be similar to one movie
+ * @param {Object} movie - Reference movie
+ * @returns {Object} Query filter
+ */
+const similarCandidateFilter = (movie) => {
+  const filter = candidateFilter([movie]);
+  if (typeof movie.ReleaseYear === "number") {
+    filter.$or.push({
+      ReleaseYear: {
+        $gt: movie.ReleaseYear - releaseYearWindow,
+        $lt: movie.ReleaseYear + releaseYearWindow,
+      },
+    });
+  }
+  return filter;
+};
+
+module.exports = {
+  weights,
+  sharedFeatures,
+  overlapScore,
+  similarityScore,
+  similarTo,
+  recommend,
+  candidateFilter,
+  similarCandidateFilter,
+};
@@ -0,0 +1,31 @@
+/**
+ * @fileoverview Regex builders for user input in the myFlix API
+ * @description Turns text typed by users into regular expressions that match it literally,
+ * for the routes and the catalog browsing filters alike.
+ * @author Sourav Das
+ * @version 1.0.0
+ */
+
+/**
+ * Escapes a string for use as a literal inside a regular expression
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Case-insensitive regex that matches user input literally, as a substring.
+ * Escaping keeps characters like "(" or ".*" from being read as regex syntax.
+ * @param {string} value - Raw user input
+ * @returns {RegExp}
+ */
+function literalRegex(value) {
+  return new RegExp(escapeRegex(String(value).trim()), "i");
+}
+
+module.exports = {
+  escapeRegex,
+  literalRegex,
+};
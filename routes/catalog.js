@@ -0,0 +1,860 @@
+/**
+ * @fileoverview Catalog metadata routes for the myFlix API
+ * @description Genres, directors, cast names, people and the cast credits of each movie.
+ * @author Sourav Das
+ * @version 1.0.0
+ */
+
+const express = require("express");
+const { createListing } = require("../listing");
+const { literalRegex } = require("../regex");
+const { requireCatalogAdmin } = require("./helpers");
+const { check } = require('express-validator');
+const { assertValid, BadRequestError, NotFoundError, ConflictError } = require("../errors");
+
+/**
+ * Creates the router for the catalog metadata routes. Mount it on the app returned by createApp().
+ * @param {Object} context - Shared by every router of an app; see createApp()
+ * @param {Object} context.models - Mongoose models, as exported by models.js
+ * @param {Function} context.authenticate - Middleware that authenticates the Bearer token
+ * @param {Function} context.catalogChanged - Drops cached results derived from the catalog
+ * @returns {express.Router}
+ */
+function createCatalogRouter({ models, authenticate, catalogChanged }) {
+  const router = express.Router();
+  const Movies = models.Movie;
+  const Genres = models.Genre;
+  const Directors = models.Director;
+  const People = models.Person;
+  const Credits = models.Credit;
+
+  /**
+   * Paging and sorting for cast name lists, which are aggregated as { _id: name, count: movies }
+   */
+  const castListing = createListing({
+    sortFields: { Name: "_id", Movies: "count" },
+    defaultSort: "Name",
+    defaultLimit: 100,
+  });
+
+  /**
+   * Paging, sorting and field selection for GET /genres
+   */
+  const genreListing = createListing({
+    sortFields: { Name: "Name" },
+    defaultSort: "Name",
+    fields: ["Name", "Description"],
+    defaultLimit: 100,
+  });
+
+  /**
+   * Paging, sorting and field selection for GET /directors
+   */
+  const directorListing = createListing({
+    sortFields: { Name: "Name", Birth: "Birth" },
+    defaultSort: "Name",
+    fields: ["Name", "Bio", "Birth", "Death"],
+    defaultLimit: 100,
+  });
+
+  /**
+   * Lists a newly credited person among a movie's cast names. A name the movie does not list yet
+   * goes under Actors: people have no gender, so moving it to Actresses is left to PATCH /movies/:id.
+   * @param {Object} movieId
+   * @param {string} name - The person's name
+   * @returns {Promise<boolean>} Whether the name was added, rather than listed already
+   */
+  async function listCastName(movieId, name) {
+    const { modifiedCount } = await Movies.updateOne(
+      { _id: movieId, Actors: { $ne: name }, Actresses: { $ne: name } },
+      { $push: { Actors: name } }
+    );
+    return modifiedCount > 0;
+  }
+
+  /**
+   * Drops a name from the cast names of movies whose removed credits listed it. Names the movie
+   * listed before they were credited stay. So does a name another remaining credit of someone
+   * called the same still needs; that credit takes the name over.
+   * @param {Object[]} credits - Removed credits, with Movie and ListedCast
+   * @param {string} name - Name of the credited person
+   * @returns {Promise<void>}
+   */
+  async function unlistCastName(credits, name) {
+    const listed = credits.filter((credit) => credit.ListedCast);
+    if (listed.length === 0) return;
+    const namesakes = await People.find({ Name: name }, { _id: 1 });
+    for (const credit of listed) {
+      const remaining = await Credits.findOne(
+        { Movie: credit.Movie, Person: { $in: namesakes.map((person) => person._id) } },
+        { _id: 1 }
+      );
+      if (remaining) {
+        await Credits.updateOne({ _id: remaining._id }, { $set: { ListedCast: true } });
+      } else {
+        await Movies.updateOne({ _id: credit.Movie }, { $pull: { Actors: name, Actresses: name } });
+      }
+    }
+  }
+
+  /**
+   * Validation for genre and director updates
+   * @param {string[]} fields - Detail fields that may be changed besides Name
+   * @returns {Array} - express-validator middleware
+   */
+  function creditUpdateValidators(fields) {
+    const validators = {
+      Name: check('Name', 'Name must be a non-empty string').optional().isString().trim().notEmpty(),
+      Description: check('Description', 'Description must be a string').optional().isString(),
+      Bio: check('Bio', 'Bio must be a string').optional().isString(),
+      Birth: check('Birth', 'Birth must be a valid date').optional({ values: 'null' }).isISO8601(),
+      Death: check('Death', 'Death must be a valid date').optional({ values: 'null' }).isISO8601(),
+    };
+    return [
+      check('id', 'Invalid ID').isMongoId(),
+      validators.Name,
+      ...fields.map((field) => validators[field])
+    ];
+  }
+
+  /**
+   * Applies an update to a genre or director and copies it onto every movie that references it
+   * @param {mongoose.Model} model - Genres or Directors
+   * @param {Object} req - Express request with :id and the validated body
+   * @param {Object} res - Express response
+   * @param {string[]} fields - Fields that may be changed
+   * @param {string} label - "Genre" or "Director", for messages
+   */
+  async function updateMovieCredit(model, req, res, fields, label) {
+    const updates = {};
+    for (const field of fields) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
+    if (Object.keys(updates).length === 0) {
+      throw new BadRequestError("At least one of " + fields.join(", ") + " is required");
+    }
+    const record = await model.findById(req.params.id);
+    if (!record) {
+      throw new NotFoundError(label + " not found");
+    }
+    if (updates.Name) {
+      const existing = await model.findByName(updates.Name);
+      if (existing && !existing._id.equals(record._id)) {
+        throw new ConflictError(updates.Name + " already exists");
+      }
+    }
+    record.set(updates);
+    await record.save();
+    const result = await record.syncMovies();
+    catalogChanged();
+    res.status(200).json({ ...record.toJSON(), moviesUpdated: result.modifiedCount });
+  }
+
+  /**
+   * @function getAllGenres
+   * @description - Get all genres
+   * @route GET /genres
+   * @param {Query_Parameters} - ?page=&limit=&cursor=&sort=Name&fields=
+   * @returns {Array} - Array of all genre objects (one page; see the Link and X-Total-Count headers)
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * [
+   *   {
+   *     "_id": "65a1f77bcf86cd7994390a01",
+   *     "Name": "Drama",
+   *     "Description": "Drama is a category of narrative fiction..."
+   *   }
+   * ]
+   */
+  // Get all genres
+  router.get(
+    "/genres",
+    [
+      authenticate,
+      ...genreListing.validators
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const { results } = await genreListing.find(req, res, Genres, {});
+      res.status(200).json(results);
+    }
+  );
+
+  /**
+   * @function getGenreByName
+   * @description - Return data about a genre (description) by name/title, ignoring case
+   * @route GET /genres/:name
+   * @param {Query_Parameters} - :name
+   * @returns {object} - Genre object with name, description and number of movies
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * {
+   *   "_id": "65a1f77bcf86cd7994390a01",
+   *   "Name": "Drama",
+   *   "Description": "Drama is a category of narrative fiction...",
+   *   "movieCount": 12
+   * }
+   */
+  router.get(
+    "/genres/:name",
+    [
+      authenticate,
+      check('name', 'Genre name is required').notEmpty()
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const genre = await Genres.findByName(req.params.name);
+      if (!genre) {
+        throw new NotFoundError("Genre not found");
+      }
+      const movieCount = await Movies.countDocuments({ "Genre._id": genre._id });
+      res.status(200).json({ ...genre.toJSON(), movieCount: movieCount });
+    }
+  );
+
+  /**
+   * @function updateGenre
+   * @description - Rename a genre or change its description (admin only). Every movie of the genre shows the change.
+   * @route PATCH /genres/:id
+   * @param {Query_Parameters} - :id
+   * @param {Request_Body} - JSON object with Name and/or Description
+   * @returns {object} - Updated genre object and how many movies were updated
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Request data format
+   * {
+   *   "Description": "Serious, plot-driven stories"
+   * }
+   * @example
+   * // Response data format
+   * {
+   *   "_id": "65a1f77bcf86cd7994390a01",
+   *   "Name": "Drama",
+   *   "Description": "Serious, plot-driven stories",
+   *   "moviesUpdated": 12
+   * }
+   */
+  router.patch(
+    "/genres/:id",
+    [
+      authenticate,
+      requireCatalogAdmin,
+      ...creditUpdateValidators(["Description"])
+    ],
+    async (req, res) => {
+      assertValid(req);
+      await updateMovieCredit(Genres, req, res, ["Name", "Description"], "Genre");
+    }
+  );
+
+  /**
+   * @function getAllDirectors
+   * @description - Get all directors
+   * @route GET /directors
+   * @param {Query_Parameters} - ?page=&limit=&cursor=&sort=Name&fields=
+   * @returns {Array} - Array of director objects (one page; see the Link and X-Total-Count headers)
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * [
+   *   {
+   *     "_id": "65a1f77bcf86cd7994390b01",
+   *     "Name": "Frank Darabont",
+   *     "Bio": "Director biography",
+   *     "Birth": "1959-01-28T00:00:00.000Z"
+   *   }
+   * ]
+   */
+  router.get(
+    "/directors",
+    [
+      authenticate,
+      ...directorListing.validators
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const { results } = await directorListing.find(req, res, Directors, {});
+      res.status(200).json(results);
+    }
+  );
+
+  /**
+   * @function getDirectorByName
+   * @description - Return data about a director (bio, birth year, death year) and their full filmography by name, ignoring case
+   * @route GET /directors/:name
+   * @param {Query_Parameters} - :name
+   * @returns {object} - Director object with name, bio, birth year, death year and movies, oldest first
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * {
+   *   "_id": "65a1f77bcf86cd7994390b01",
+   *   "name": "Frank Darabont",
+   *   "bio": "Director biography",
+   *   "birth": "10/10/1970",
+   *   "death": "10/10/2025",
+   *   "movies": [
+   *     { "_id": "507f1f77bcf86cd799439011", "Title": "The Shawshank Redemption", "ReleaseYear": 1994, "ImagePath": "shawshank.png" },
+   *     { "_id": "507f1f77bcf86cd799439015", "Title": "The Green Mile", "ReleaseYear": 1999, "ImagePath": "greenmile.png" }
+   *   ]
+   * }
+   */
+  router.get(
+    "/directors/:name",
+    [
+      authenticate,
+      check('name', 'Director name is required').notEmpty()
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const director = await Directors.findByName(req.params.name);
+      if (!director) {
+        throw new NotFoundError("Director not found");
+      }
+      const movies = await Movies.find(
+        { "Director._id": director._id },
+        { Title: 1, ReleaseYear: 1, ImagePath: 1 }
+      ).sort({ ReleaseYear: 1, Title: 1 });
+      res.status(200).json({
+        _id: director._id,
+        name: director.Name,
+        bio: director.Bio,
+        birth: director.Birth,
+        death: director.Death,
+        movies: movies,
+      });
+    }
+  );
+
+  /**
+   * @function updateDirector
+   * @description - Change a director's name, bio or dates (admin only). Every movie by the director shows the change.
+   * @route PATCH /directors/:id
+   * @param {Query_Parameters} - :id
+   * @param {Request_Body} - JSON object with any of Name, Bio, Birth, Death
+   * @returns {object} - Updated director object and how many movies were updated
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Request data format
+   * {
+   *   "Bio": "Updated biography"
+   * }
+   * @example
+   * // Response data format
+   * {
+   *   "_id": "65a1f77bcf86cd7994390b01",
+   *   "Name": "Frank Darabont",
+   *   "Bio": "Updated biography",
+   *   "moviesUpdated": 2
+   * }
+   */
+  router.patch(
+    "/directors/:id",
+    [
+      authenticate,
+      requireCatalogAdmin,
+      ...creditUpdateValidators(["Bio", "Birth", "Death"])
+    ],
+    async (req, res) => {
+      assertValid(req);
+      await updateMovieCredit(Directors, req, res, ["Name", "Bio", "Birth", "Death"], "Director");
+    }
+  );
+
+  /**
+   * @function getAllActors
+   * @description - Get all unique actors
+   * @route GET /actors
+   * @param {Query_Parameters} - ?page=&limit=&cursor=&sort=Name|-Movies
+   * @returns {Array} - Array of actor names (one page; see the Link and X-Total-Count headers)
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * ["Tim Robbins", "Morgan Freeman", "Tom Hanks"]
+   */
+  // Get all unique actors
+  router.get(
+    "/actors",
+    [
+      authenticate,
+      ...castListing.validators
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const { results } = await castListing.aggregate(req, res, Movies, [
+        { $unwind: "$Actors" },
+        { $group: { _id: "$Actors", count: { $sum: 1 } } },
+      ]);
+      const actorNames = results.map((a) => a._id);
+      res.status(200).json(actorNames);
+    }
+  );
+
+  /**
+   * @function getAllActresses
+   * @description - Get all unique actress names
+   * @route GET /actresses
+   * @param {Query_Parameters} - ?page=&limit=&cursor=&sort=Name|-Movies
+   * @returns {object} - Object containing array of actress names (one page; see the Link and X-Total-Count headers)
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * {
+   *   "actresses": ["Actress 1", "Actress 2"],
+   *   "pagination": {"currentPage": 1, "totalPages": 1, "totalResults": 2, "resultsPerPage": 100, "hasNextPage": false, "hasPrevPage": false, "nextCursor": null}
+   * }
+   */
+  // Get all unique actress names
+  router.get(
+    "/actresses",
+    [
+      authenticate,
+      ...castListing.validators
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const { results, pagination } = await castListing.aggregate(req, res, Movies, [
+        { $unwind: "$Actresses" }, // Fixed: should be "Actresses" not "actresses"
+        {
+          $group: {
+            _id: "$Actresses",
+            count: { $sum: 1 },
+          },
+        },
+      ]);
+      res.status(200).json({
+        actresses: results.map((a) => a._id),
+        pagination: pagination,
+      });
+    }
+  );
+
+  /**
+   * Paging, sorting and field selection for GET /people
+   */
+  const personListing = createListing({
+    sortFields: { Name: "Name", Birth: "Birth" },
+    defaultSort: "Name",
+    fields: ["Name", "Bio", "Birth", "Death", "PhotoPath"],
+  });
+
+  /**
+   * Builds the validation chain for a person request body.
+   * @param {boolean} [partial=false] - When true, Name becomes optional (PATCH)
+   * @returns {Array} - express-validator middleware
+   */
+  function personValidators(partial = false) {
+    const name = check('Name', 'Name is required');
+    return [
+      (partial ? name.optional() : name).isString().trim().notEmpty(),
+      check('Bio', 'Bio must be a string').optional().isString(),
+      check('Birth', 'Birth must be a valid date').optional({ values: 'null' }).isISO8601(),
+      check('Death', 'Death must be a valid date').optional({ values: 'null' }).isISO8601(),
+      check('PhotoPath', 'Photo path must be a string').optional().isString().trim()
+    ];
+  }
+
+  /**
+   * Person fields accepted by the write routes
+   * @type {string[]}
+   */
+  const personWritableFields = ["Name", "Bio", "Birth", "Death", "PhotoPath"];
+
+  /**
+   * Copies the writable person fields out of a request body
+   * @param {Object} body - Validated request body
+   * @returns {Object} - Person data safe to persist
+   */
+  function pickPersonFields(body) {
+    const data = {};
+    for (const field of personWritableFields) {
+      if (body[field] !== undefined) data[field] = body[field];
+    }
+    return data;
+  }
+
+  /**
+   * @function getPeople
+   * @description - List cast members, optionally filtered by name
+   * @route GET /people
+   * @param {Query_Parameters} - ?name=morgan&page=&limit=&cursor=&sort=Name&fields=
+   * @returns {Array} - Array of person objects (one page; see the Link and X-Total-Count headers)
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * [
+   *   {
+   *     "_id": "65a1f77bcf86cd7994390c01",
+   *     "Name": "Morgan Freeman",
+   *     "Bio": "American actor and narrator",
+   *     "Birth": "1937-06-01T00:00:00.000Z",
+   *     "PhotoPath": "https://example.com/morgan-freeman.jpg"
+   *   }
+   * ]
+   */
+  router.get(
+    "/people",
+    [
+      authenticate,
+      check('name', 'Name filter must be at most 100 characters').optional().isString().isLength({ max: 100 }),
+      ...personListing.validators
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const filter = req.query.name ? { Name: literalRegex(req.query.name) } : {};
+      const { results } = await personListing.find(req, res, People, filter);
+      res.status(200).json(results);
+    }
+  );
+
+  /**
+   * @function getPerson
+   * @description - Return a cast member with their filmography, oldest movie first
+   * @route GET /people/:id
+   * @param {Query_Parameters} - :id
+   * @returns {object} - Person object with their credits
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * {
+   *   "_id": "65a1f77bcf86cd7994390c01",
+   *   "Name": "Morgan Freeman",
+   *   "Bio": "American actor and narrator",
+   *   "Birth": "1937-06-01T00:00:00.000Z",
+   *   "PhotoPath": "https://example.com/morgan-freeman.jpg",
+   *   "filmography": [
+   *     {
+   *       "creditId": "65a1f77bcf86cd7994390d01",
+   *       "character": "Ellis Boyd 'Red' Redding",
+   *       "billing": 2,
+   *       "movie": { "_id": "507f1f77bcf86cd799439011", "Title": "The Shawshank Redemption", "ReleaseYear": 1994, "ImagePath": "shawshank.png" }
+   *     }
+   *   ]
+   * }
+   */
+  router.get(
+    "/people/:id",
+    [
+      authenticate,
+      check('id', 'Invalid person ID').isMongoId()
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const person = await People.findById(req.params.id);
+      if (!person) {
+        throw new NotFoundError("Person not found");
+      }
+      const credits = await Credits.find({ Person: person._id })
+        .populate('Movie', 'Title ReleaseYear ImagePath');
+      const filmography = credits
+        .filter((credit) => credit.Movie)
+        .sort((a, b) => (a.Movie.ReleaseYear || 0) - (b.Movie.ReleaseYear || 0) || a.Movie.Title.localeCompare(b.Movie.Title))
+        .map((credit) => ({
+          creditId: credit._id,
+          character: credit.Character,
+          billing: credit.Billing,
+          movie: credit.Movie
+        }));
+      res.status(200).json({ ...person.toJSON(), filmography: filmography });
+    }
+  );
+
+  /**
+   * @function createPerson
+   * @description - Add a cast member (admin only)
+   * @route POST /people
+   * @param {Request_Body} - JSON object
+   * @returns {object} - Created person object
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Request data format
+   * {
+   *   "Name": "Morgan Freeman",
+   *   "Bio": "American actor and narrator",
+   *   "Birth": "1937-06-01",
+   *   "PhotoPath": "https://example.com/morgan-freeman.jpg"
+   * }
+   */
+  router.post(
+    "/people",
+    [
+      authenticate,
+      requireCatalogAdmin,
+      ...personValidators()
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const person = await People.create(pickPersonFields(req.body));
+      res.status(201).json(person);
+    }
+  );
+
+  /**
+   * @function updatePerson
+   * @description - Update some fields of a cast member (admin only).
+   * A new Name replaces the old one in the cast names of every movie they are credited in.
+   * @route PATCH /people/:id
+   * @param {Query_Parameters} - :id
+   * @param {Request_Body} - JSON object with any of Name, Bio, Birth, Death, PhotoPath
+   * @returns {object} - Updated person object
+   * @param {authentication} - Bearer token (JWT)
+   */
+  router.patch(
+    "/people/:id",
+    [
+      authenticate,
+      requireCatalogAdmin,
+      check('id', 'Invalid person ID').isMongoId(),
+      ...personValidators(true)
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const updates = pickPersonFields(req.body);
+      if (Object.keys(updates).length === 0) {
+        throw new BadRequestError("At least one person field is required");
+      }
+      const person = await People.findById(req.params.id);
+      if (!person) {
+        throw new NotFoundError("Person not found");
+      }
+      const previousName = person.Name;
+      person.set(updates);
+      await person.save();
+      if (person.Name !== previousName) {
+        // Rename them in the cast names of the movies they are credited in
+        const movieIds = await Credits.distinct("Movie", { Person: person._id });
+        for (const list of ["Actors", "Actresses"]) {
+          await Movies.updateMany(
+            { _id: { $in: movieIds }, [list]: previousName },
+            { $set: { [list + ".$[name]"]: person.Name } },
+            { arrayFilters: [{ name: previousName }] }
+          );
+        }
+        catalogChanged();
+      }
+      res.status(200).json(person);
+    }
+  );
+
+  /**
+   * @function deletePerson
+   * @description - Remove a cast member and all of their credits (admin only).
+   * Their name is dropped from the Actors of those movies that listed it because of a credit.
+   * @route DELETE /people/:id
+   * @param {Query_Parameters} - :id
+   * @returns {object} - Deletion confirmation message
+   * @param {authentication} - Bearer token (JWT)
+   */
+  router.delete(
+    "/people/:id",
+    [
+      authenticate,
+      requireCatalogAdmin,
+      check('id', 'Invalid person ID').isMongoId()
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const person = await People.findByIdAndDelete(req.params.id);
+      if (!person) {
+        throw new NotFoundError("Person not found");
+      }
+      const credits = await Credits.find({ Person: person._id }, { Movie: 1, ListedCast: 1 });
+      await Credits.deleteMany({ Person: person._id });
+      await unlistCastName(credits, person.Name);
+      catalogChanged();
+      res.status(200).json({ message: person.Name + " was deleted." });
+    }
+  );
+
+  /**
+   * @function getMovieCast
+   * @description - Get the cast of a movie in billing order
+   * @route GET /movies/:id/cast
+   * @param {Query_Parameters} - :id
+   * @returns {object} - Movie ID and its cast credits with people populated
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * {
+   *   "movieId": "507f1f77bcf86cd799439011",
+   *   "cast": [
+   *     {
+   *       "_id": "65a1f77bcf86cd7994390d01",
+   *       "Person": { "_id": "65a1f77bcf86cd7994390c01", "Name": "Morgan Freeman", "PhotoPath": "https://example.com/morgan-freeman.jpg" },
+   *       "Character": "Ellis Boyd 'Red' Redding",
+   *       "Billing": 2
+   *     }
+   *   ]
+   * }
+   */
+  router.get(
+    "/movies/:id/cast",
+    [
+      authenticate,
+      check('id', 'Invalid movie ID').isMongoId()
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const movie = await Movies.findById(req.params.id, { _id: 1 });
+      if (!movie) {
+        throw new NotFoundError("Movie not found");
+      }
+      const cast = await Credits.find({ Movie: movie._id }, { Movie: 0 })
+        .sort({ Billing: 1, _id: 1 })
+        .populate('Person', 'Name PhotoPath');
+      res.status(200).json({ movieId: movie._id, cast: cast });
+    }
+  );
+
+  /**
+   * @function addCastCredit
+   * @description - Credit a person for a role in a movie (admin only).
+   * Without Billing the person is billed after everyone already credited.
+   * Their name is added to the movie's Actors unless the movie already lists it.
+   * @route POST /movies/:id/cast
+   * @param {Query_Parameters} - :id
+   * @param {Request_Body} - JSON object
+   * @returns {object} - Created credit
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Request data format
+   * {
+   *   "Person": "65a1f77bcf86cd7994390c01",
+   *   "Character": "Ellis Boyd 'Red' Redding",
+   *   "Billing": 2
+   * }
+   */
+  router.post(
+    "/movies/:id/cast",
+    [
+      authenticate,
+      requireCatalogAdmin,
+      check('id', 'Invalid movie ID').isMongoId(),
+      check('Person', 'Person must be a valid person ID').isMongoId(),
+      check('Character', 'Character must be at most 200 characters').optional().isString().trim().isLength({ max: 200 }),
+      check('Billing', 'Billing must be a positive whole number').optional().isInt({ min: 1 }).toInt()
+    ],
+    async (req, res) => {
+      assertValid(req);
+      try {
+        const [movie, person] = await Promise.all([
+          Movies.findById(req.params.id, { _id: 1 }),
+          People.findById(req.body.Person, { _id: 1, Name: 1 })
+        ]);
+        if (!movie) {
+          throw new NotFoundError("Movie not found");
+        }
+        if (!person) {
+          throw new NotFoundError("Person not found");
+        }
+        let billing = req.body.Billing;
+        if (!billing) {
+          const last = await Credits.findOne({ Movie: movie._id }).sort({ Billing: -1 });
+          billing = last ? last.Billing + 1 : 1;
+        }
+        const credit = await Credits.create({
+          Movie: movie._id,
+          Person: person._id,
+          Character: req.body.Character,
+          Billing: billing
+        });
+        if (await listCastName(movie._id, person.Name)) {
+          credit.ListedCast = true;
+          await credit.save();
+        }
+        catalogChanged();
+        res.status(201).json(credit);
+      } catch (error) {
+        if (error.code === 11000) {
+          throw new ConflictError("This person is already credited for that character");
+        }
+        throw error;
+      }
+    }
+  );
+
+  /**
+   * @function updateCastCredit
+   * @description - Change the character or billing of a credit (admin only)
+   * @route PATCH /movies/:id/cast/:creditId
+   * @param {Query_Parameters} - :id, :creditId
+   * @param {Request_Body} - JSON object with Character and/or Billing
+   * @returns {object} - Updated credit
+   * @param {authentication} - Bearer token (JWT)
+   */
+  router.patch(
+    "/movies/:id/cast/:creditId",
+    [
+      authenticate,
+      requireCatalogAdmin,
+      check('id', 'Invalid movie ID').isMongoId(),
+      check('creditId', 'Invalid credit ID').isMongoId(),
+      check('Character', 'Character must be at most 200 characters').optional().isString().trim().isLength({ max: 200 }),
+      check('Billing', 'Billing must be a positive whole number').optional().isInt({ min: 1 }).toInt()
+    ],
+    async (req, res) => {
+      assertValid(req);
+      try {
+        const updates = {};
+        if (req.body.Character !== undefined) updates.Character = req.body.Character;
+        if (req.body.Billing !== undefined) updates.Billing = req.body.Billing;
+        if (Object.keys(updates).length === 0) {
+          throw new BadRequestError("Character or Billing is required");
+        }
+        const credit = await Credits.findOneAndUpdate(
+          { _id: req.params.creditId, Movie: req.params.id },
+          { $set: updates },
+          { new: true, runValidators: true }
+        );
+        if (!credit) {
+          throw new NotFoundError("Credit not found");
+        }
+        res.status(200).json(credit);
+      } catch (error) {
+        if (error.code === 11000) {
+          throw new ConflictError("This person is already credited for that character");
+        }
+        throw error;
+      }
+    }
+  );
+
+  /**
+   * @function removeCastCredit
+   * @description - Remove a credit from a movie's cast (admin only).
+   * When the credit put the person's name in the movie's Actors and nobody of that name is still
+   * credited in the movie, the name is dropped again.
+   * @route DELETE /movies/:id/cast/:creditId
+   * @param {Query_Parameters} - :id, :creditId
+   * @returns {object} - Deletion confirmation message
+   * @param {authentication} - Bearer token (JWT)
+   */
+  router.delete(
+    "/movies/:id/cast/:creditId",
+    [
+      authenticate,
+      requireCatalogAdmin,
+      check('id', 'Invalid movie ID').isMongoId(),
+      check('creditId', 'Invalid credit ID').isMongoId()
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const credit = await Credits.findOneAndDelete({ _id: req.params.creditId, Movie: req.params.id });
+      if (!credit) {
+        throw new NotFoundError("Credit not found");
+      }
+      const person = await People.findById(credit.Person, { Name: 1 });
+      if (person) {
+        await unlistCastName([credit], person.Name);
+        catalogChanged();
+      }
+      res.status(200).json({ message: "Credit was removed." });
+    }
+  );
+
+  return router;
+}
+
+module.exports = { createCatalogRouter };
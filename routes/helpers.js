@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Helpers shared by the myFlix API routers
+ * @description The title matcher used to find movies by title, the movie listing used by both
+ * the movie and search routes, and the admin check guarding catalog writes.
+ * @author Sourav Das
+ * @version 1.0.0
+ */
+
+const { authorize, Roles } = require("../authorize");
+const { createListing } = require("../listing");
+const { escapeRegex } = require("../regex");
+
+/**
+ * Projection and sort key for the relevance score of a $text query
+ * @type {Object}
+ */
+const textScore = { score: { $meta: "textScore" } };
+
+/**
+ * Case-insensitive regex that matches a whole title however it is spaced or apostrophed:
+ * runs of whitespace match any whitespace, and straight and curly apostrophes match each other
+ * @param {string} title - Raw user input
+ * @returns {RegExp}
+ * @example
+ * buildFlexibleTitleRegex("schindler's  list").test("Schindler’s List"); // true
+ */
+function buildFlexibleTitleRegex(title) {
+  const normalized = String(title || "").trim().replace(/\s+/g, " ");
+  const escaped = escapeRegex(normalized);
+  const pattern = escaped
+    .replace(/\ /g, "\\s+")
+    .replace(/['\u2019]/g, "['\\u2019]");
+
+  return new RegExp(`^${pattern}$`, "i");
+}
+
+/**
+ * Checks that a requested order contains exactly the current IDs, each once
+ * @param {string[]} order - Requested order
+ * @param {Array} current - IDs currently stored
+ * @returns {boolean}
+ */
+function isReordering(order, current) {
+  const currentIds = current.map(String);
+  return (
+    order.length === currentIds.length &&
+    new Set(order).size === order.length &&
+    order.every((id) => currentIds.includes(id))
+  );
+}
+
+/**
+ * Restricts the catalog write routes to admins
+ * @type {Function}
+ */
+const requireCatalogAdmin = authorize({
+  roles: [Roles.ADMIN],
+  message: "Not authorized to modify the movie catalog",
+});
+
+/**
+ * Movie fields that list endpoints can return through ?fields=
+ * @type {string[]}
+ */
+const movieFields = [
+  "Title",
+  "Description",
+  "Genre",
+  "Director",
+  "Actors",
+  "Actresses",
+  "ReleaseYear",
+  "IMDbRating",
+  "ImagePath",
+  "Poster",
+  "Featured",
+  "CommunityRating",
+];
+
+/**
+ * Movie sort names accepted through ?sort=, mapped to document paths
+ * @type {Object<string, string>}
+ */
+const movieSortFields = {
+  Title: "Title",
+  ReleaseYear: "ReleaseYear",
+  IMDbRating: "IMDbRating",
+  CommunityRating: "CommunityRating.Average",
+  Genre: "Genre.Name",
+  Director: "Director.Name",
+};
+
+/**
+ * Paging, sorting and field selection for movie lists in catalog order.
+ * Without ?limit= a list returns its first 100 movies only; the rest are reached through
+ * the Link header or ?page=/?cursor= (see CHANGELOG.md).
+ */
+const movieListing = createListing({
+  sortFields: movieSortFields,
+  defaultSort: "Title",
+  fields: movieFields,
+  defaultLimit: 100,
+});
+
+module.exports = {
+  textScore,
+  buildFlexibleTitleRegex,
+  isReordering,
+  requireCatalogAdmin,
+  movieFields,
+  movieSortFields,
+  movieListing,
+};
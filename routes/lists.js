@@ -0,0 +1,374 @@
+/**
+ * @fileoverview Custom list routes for the myFlix API
+ * @description Named movie lists that users curate, share publicly and reorder.
+ * @author Sourav Das
+ * @version 1.0.0
+ */
+
+const express = require("express");
+const { createListing } = require("../listing");
+const { isReordering } = require("./helpers");
+const { check } = require('express-validator');
+const { assertValid, BadRequestError, ForbiddenError, NotFoundError } = require("../errors");
+
+/**
+ * Creates the router for the custom list routes. Mount it on the app returned by createApp().
+ * @param {Object} context - Shared by every router of an app; see createApp()
+ * @param {Object} context.models - Mongoose models, as exported by models.js
+ * @param {Function} context.authenticate - Middleware that authenticates the Bearer token
+ * @returns {express.Router}
+ */
+function createListRouter({ models, authenticate }) {
+  const router = express.Router();
+  const Movies = models.Movie;
+  const Lists = models.List;
+
+  /**
+   * Validation for a list's title, description and visibility
+   * @param {boolean} [partial=false] - When true, Title becomes optional (updates)
+   * @returns {Array} - express-validator middleware
+   */
+  function listValidators(partial = false) {
+    const title = check('Title', 'Title is required (at most 100 characters)');
+    return [
+      (partial ? title.optional() : title).isString().trim().isLength({ min: 1, max: 100 }),
+      check('Description', 'Description must be at most 1000 characters').optional().isString().trim().isLength({ max: 1000 }),
+      check('IsPublic', 'IsPublic must be a boolean').optional().isBoolean().toBoolean()
+    ];
+  }
+
+  /**
+   * Paging, sorting and field selection for GET /lists
+   */
+  const customListListing = createListing({
+    sortFields: { Title: "Title", CreatedAt: "CreatedAt", UpdatedAt: "UpdatedAt" },
+    defaultSort: "-UpdatedAt",
+    fields: ["Owner", "Title", "Description", "Movies", "IsPublic", "CreatedAt", "UpdatedAt"],
+    defaultLimit: 100,
+  });
+
+  /**
+   * Loads a list with its movies and owner's username populated
+   * @param {string} id - List ID
+   * @returns {Promise<Object|null>}
+   */
+  function findPopulatedList(id) {
+    return Lists.findById(id).populate('Movies').populate('Owner', 'Username');
+  }
+
+  /**
+   * Whether a user may change a list
+   * @param {Object} list - List document (Owner may be populated)
+   * @param {Object} user - Authenticated user
+   * @returns {boolean}
+   */
+  function ownsList(list, user) {
+    const ownerId = list.Owner._id || list.Owner;
+    return ownerId.equals(user._id);
+  }
+
+  /**
+   * @function getMyLists
+   * @description - Get every list created by the logged in user
+   * @route GET /lists
+   * @param {Query_Parameters} - ?page=&limit=&cursor=&sort=-UpdatedAt&fields=
+   * @returns {Array} - Array of list objects with populated movies (one page; see the Link and X-Total-Count headers)
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * [
+   *   {
+   *     "_id": "65a1f77bcf86cd7994390cc",
+   *     "Owner": { "_id": "507f1f77bcf86cd799439011", "Username": "johndoe" },
+   *     "Title": "Best of the 90s",
+   *     "Description": "My favorite films of the decade",
+   *     "Movies": [{ "_id": "507f1f77bcf86cd799439012", "Title": "The Shawshank Redemption" }],
+   *     "IsPublic": true,
+   *     "CreatedAt": "2025-01-01T12:00:00.000Z",
+   *     "UpdatedAt": "2025-01-02T12:00:00.000Z"
+   *   }
+   * ]
+   */
+  router.get(
+    "/lists",
+    [
+      authenticate,
+      ...customListListing.validators
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const { results } = await customListListing.find(req, res, Lists, { Owner: req.user._id }, {
+        query: (query) => query.populate('Movies').populate('Owner', 'Username')
+      });
+      res.status(200).json(results);
+    }
+  );
+
+  /**
+   * @function createList
+   * @description - Create a custom movie list for the logged in user
+   * @route POST /lists
+   * @param {Request_Body} - JSON object
+   * @returns {object} - Created list object
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Request data format
+   * {
+   *   "Title": "Best of the 90s",
+   *   "Description": "My favorite films of the decade",
+   *   "Movies": ["507f1f77bcf86cd799439012"],
+   *   "IsPublic": true
+   * }
+   */
+  router.post(
+    "/lists",
+    [
+      authenticate,
+      ...listValidators(),
+      check('Movies', 'Movies must be an array of movie IDs').optional().isArray({ max: 500 }),
+      check('Movies.*', 'Invalid movie ID').isMongoId()
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const movieIds = [...new Set((req.body.Movies || []).map(String))];
+      const found = await Movies.countDocuments({ _id: { $in: movieIds } });
+      if (found !== movieIds.length) {
+        throw new NotFoundError("One or more movies were not found");
+      }
+      const list = await Lists.create({
+        Owner: req.user._id,
+        Title: req.body.Title,
+        Description: req.body.Description,
+        Movies: movieIds,
+        IsPublic: req.body.IsPublic
+      });
+      res.status(201).json(await findPopulatedList(list._id));
+    }
+  );
+
+  /**
+   * @function getList
+   * @description - Get a list. Private lists are only visible to their owner and admins.
+   * @route GET /lists/:id
+   * @param {Query_Parameters} - :id
+   * @returns {object} - List object with populated movies
+   * @param {authentication} - Bearer token (JWT)
+   */
+  router.get(
+    "/lists/:id",
+    [
+      authenticate,
+      check('id', 'Invalid list ID').isMongoId()
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const list = await findPopulatedList(req.params.id);
+      // Hide private lists from other users instead of revealing that they exist.
+      if (!list || (!list.IsPublic && !ownsList(list, req.user) && !req.user.isAdmin)) {
+        throw new NotFoundError("List not found");
+      }
+      res.status(200).json(list);
+    }
+  );
+
+  /**
+   * @function updateList
+   * @description - Change a list's title, description or visibility
+   * @route PUT /lists/:id
+   * @param {Query_Parameters} - :id
+   * @param {Request_Body} - JSON object with any of Title, Description, IsPublic
+   * @returns {object} - Updated list object
+   * @param {authentication} - Bearer token (JWT)
+   */
+  router.put(
+    "/lists/:id",
+    [
+      authenticate,
+      check('id', 'Invalid list ID').isMongoId(),
+      ...listValidators(true)
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const list = await Lists.findById(req.params.id);
+      if (!list) {
+        throw new NotFoundError("List not found");
+      }
+      if (!ownsList(list, req.user)) {
+        throw new ForbiddenError("Not authorized to update this list");
+      }
+      for (const field of ['Title', 'Description', 'IsPublic']) {
+        if (req.body[field] !== undefined) {
+          list[field] = req.body[field];
+        }
+      }
+      await list.save();
+      res.status(200).json(await findPopulatedList(list._id));
+    }
+  );
+
+  /**
+   * @function deleteList
+   * @description - Delete a list (its owner or an admin)
+   * @route DELETE /lists/:id
+   * @param {Query_Parameters} - :id
+   * @returns {object} - Deletion confirmation message
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * {
+   *   "message": "Best of the 90s was deleted."
+   * }
+   */
+  router.delete(
+    "/lists/:id",
+    [
+      authenticate,
+      check('id', 'Invalid list ID').isMongoId()
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const list = await Lists.findById(req.params.id);
+      if (!list) {
+        throw new NotFoundError("List not found");
+      }
+      if (!ownsList(list, req.user) && !req.user.isAdmin) {
+        throw new ForbiddenError("Not authorized to delete this list");
+      }
+      await list.deleteOne();
+      res.status(200).json({ message: list.Title + " was deleted." });
+    }
+  );
+
+  /**
+   * @function addMovieToList
+   * @description - Append a movie to a list
+   * @route POST /lists/:id/movies/:movieId
+   * @param {Query_Parameters} - :id, :movieId
+   * @returns {object} - Updated list object
+   * @param {authentication} - Bearer token (JWT)
+   */
+  router.post(
+    "/lists/:id/movies/:movieId",
+    [
+      authenticate,
+      check('id', 'Invalid list ID').isMongoId(),
+      check('movieId', 'Invalid movie ID').isMongoId()
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const list = await Lists.findById(req.params.id);
+      if (!list) {
+        throw new NotFoundError("List not found");
+      }
+      if (!ownsList(list, req.user)) {
+        throw new ForbiddenError("Not authorized to update this list");
+      }
+      const movieExists = await Movies.exists({ _id: req.params.movieId });
+      if (!movieExists) {
+        throw new NotFoundError("Movie not found");
+      }
+      await Lists.updateOne(
+        { _id: list._id },
+        { $addToSet: { Movies: req.params.movieId } }
+      );
+      res.status(200).json(await findPopulatedList(list._id));
+    }
+  );
+
+  /**
+   * @function removeMovieFromList
+   * @description - Remove a movie from a list
+   * @route DELETE /lists/:id/movies/:movieId
+   * @param {Query_Parameters} - :id, :movieId
+   * @returns {object} - Updated list object
+   * @param {authentication} - Bearer token (JWT)
+   */
+  router.delete(
+    "/lists/:id/movies/:movieId",
+    [
+      authenticate,
+      check('id', 'Invalid list ID').isMongoId(),
+      check('movieId', 'Invalid movie ID').isMongoId()
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const list = await Lists.findById(req.params.id);
+      if (!list) {
+        throw new NotFoundError("List not found");
+      }
+      if (!ownsList(list, req.user)) {
+        throw new ForbiddenError("Not authorized to update this list");
+      }
+      await Lists.updateOne(
+        { _id: list._id },
+        { $pull: { Movies: req.params.movieId } }
+      );
+      res.status(200).json(await findPopulatedList(list._id));
+    }
+  );
+
+  /**
+   * @function reorderList
+   * @description - Reorder a list. The new order must contain exactly the movies already on it.
+   * @route PUT /lists/:id/movies
+   * @param {Query_Parameters} - :id
+   * @param {Request_Body} - JSON object
+   * @returns {object} - Updated list object
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Request data format
+   * {
+   *   "order": ["507f1f77bcf86cd799439013", "507f1f77bcf86cd799439012"]
+   * }
+   */
+  router.put(
+    "/lists/:id/movies",
+    [
+      authenticate,
+      check('id', 'Invalid list ID').isMongoId(),
+      check('order', 'Order must be an array of movie IDs').isArray(),
+      check('order.*', 'Invalid movie ID').isMongoId()
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const list = await Lists.findById(req.params.id);
+      if (!list) {
+        throw new NotFoundError("List not found");
+      }
+      if (!ownsList(list, req.user)) {
+        throw new ForbiddenError("Not authorized to update this list");
+      }
+      const order = req.body.order.map(String);
+      if (!isReordering(order, list.Movies)) {
+        throw new BadRequestError("Order must list every movie on the list exactly once");
+      }
+      list.Movies = order;
+      await list.save();
+      res.status(200).json(await findPopulatedList(list._id));
+    }
+  );
+
+  /**
+   * @function getPublicList
+   * @description - Read-only view of a public list. No authentication needed, so it can be shared as a link.
+   * @route GET /public/lists/:id
+   * @param {Query_Parameters} - :id
+   * @returns {object} - List object with populated movies
+   */
+  router.get(
+    "/public/lists/:id",
+    [check('id', 'Invalid list ID').isMongoId()],
+    async (req, res) => {
+      assertValid(req);
+      const list = await findPopulatedList(req.params.id);
+      if (!list || !list.IsPublic) {
+        throw new NotFoundError("List not found");
+      }
+      res.status(200).json(list);
+    }
+  );
+
+  return router;
+}
+
+module.exports = { createListRouter };
@@ -0,0 +1,638 @@
+/**
+ * @fileoverview Movie routes for the myFlix API
+ * @description Listing and looking up movies, similar movies, bulk import and export of the catalog,
+ * and the admin routes that create, change and delete movies.
+ * @author Sourav Das
+ * @version 1.0.0
+ */
+
+const { pipeline } = require("stream/promises");
+const express = require("express");
+const bodyParser = require("body-parser");
+const mongoose = require("mongoose");
+const recommender = require("../recommendations");
+const catalogIO = require("../catalog-io");
+const posterUploads = require("../poster-uploads");
+const { buildFlexibleTitleRegex, movieListing, requireCatalogAdmin } = require("./helpers");
+const { movieWritableFields, movieCreditFields, pickMovieFields, unnamedMovieCredits } = catalogIO;
+const { check, matchedData } = require('express-validator');
+const { assertValid, BadRequestError, NotFoundError, ConflictError, UnsupportedMediaTypeError, ValidationError } = require("../errors");
+
+/**
+ * Route that reads its request body as raw text rather than parsed JSON
+ * @type {string}
+ */
+const movieImportPath = "/movies/import";
+
+/**
+ * Creates the router for the movie routes. Mount it on the app returned by createApp().
+ * @param {Object} context - Shared by every router of an app; see createApp()
+ * @param {Object} context.models - Mongoose models, as exported by models.js
+ * @param {Function} context.authenticate - Middleware that authenticates the Bearer token
+ * @param {Object} context.similarMoviesCache - Cache of similar-movie rankings
+ * @param {Function} context.catalogChanged - Drops cached results derived from the catalog
+ * @param {Object} context.posterStorage - Where uploaded posters are kept, see poster-storage.js
+ * @param {Object} context.posterOverrides - Cache of the poster overrides in force, see poster-overrides.js
+ * @returns {express.Router}
+ */
+function createMovieRouter({ models, authenticate, similarMoviesCache, catalogChanged, posterStorage, posterOverrides }) {
+  const router = express.Router();
+  const { linkMovieCredits, importMovies, exportMovies } = catalogIO.createCatalogIO({ models });
+  const Movies = models.Movie;
+  const Credits = models.Credit;
+  const PosterOverrides = models.PosterOverride;
+  const PosterChecks = models.PosterCheck;
+  const Users = models.User;
+  const Reviews = models.Review;
+  const Lists = models.List;
+
+  /**
+   * @function getAllMovies
+   * @description - Return one page of movies, 100 by default; follow the Link header for the rest
+   * @route GET /movies
+   * @param {Query_Parameters} - ?page=1&limit=100&cursor=&sort=-IMDbRating,Title&fields=Title,ImagePath
+   * @returns {Array} - Array of movie objects (one page; see the Link and X-Total-Count headers)
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * [
+   *   {
+   *     "_id": "507f1f77bcf86cd799439011",
+   *     "Title": "The Shawshank Redemption",
+   *     "Description": "Two imprisoned men bond over years...",
+   *     "Genre": {
+   *       "Name": "Drama",
+   *       "Description": "Drama genre description"
+   *     },
+   *     "Director": {
+   *       "Name": "Frank Darabont",
+   *       "Bio": "Director biography",
+   *       "Birth": "10/10/1970",
+   *       "Death": "10/10/2025"
+   *     },
+   *     "Actors": ["Tim Robbins", "Morgan Freeman"],
+   *     "ImagePath": "shawshank.png",
+   *     "Featured": true
+   *   }
+   * ]
+   */
+  router.get(
+    "/movies",
+    [
+      authenticate,
+      ...movieListing.validators
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const { results } = await movieListing.find(req, res, Movies, {});
+      res.status(200).json(results);
+    }
+  );
+
+  /**
+   * @function getFeaturedMovies
+   * @description - Get featured movies (commonly needed for homepage).
+   * Registered before /movies/:title so "featured" is not taken for a title.
+   * @route GET /movies/featured
+   * @param {Query_Parameters} - ?page=&limit=&cursor=&sort=&fields=
+   * @returns {Array} - Array of featured movie objects (one page; see the Link and X-Total-Count headers)
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * [
+   *   {
+   *     "_id": "507f1f77bcf86cd799439011",
+   *     "Title": "The Shawshank Redemption",
+   *     "Featured": true
+   *   }
+   * ]
+   */
+  // Get featured movies (commonly needed for homepage)
+  router.get(
+    "/movies/featured",
+    [
+      authenticate,
+      ...movieListing.validators
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const { results } = await movieListing.find(req, res, Movies, { Featured: true });
+      res.status(200).json(results);
+    }
+  );
+
+  /**
+   * Largest file accepted by POST /movies/import
+   * @type {string}
+   */
+  const importSizeLimit = "10mb";
+
+  /**
+   * @function importMovies
+   * @description - Bulk import movies from a JSON array, CSV or NDJSON file sent as the request body (admin only).
+   * Every row is validated like POST /movies. Rows whose title already exists are rejected unless
+   * ?upsert=true, which updates those movies with the non-blank fields of the row. ?dryRun=true reports
+   * what would happen without writing anything. The format comes from ?format= or the Content-Type
+   * (application/json, text/csv, application/x-ndjson). CSV columns are the movie fields, with dotted
+   * names for genre and director details (Genre.Name, Director.Birth) and "|" between actor names.
+   * @route POST /movies/import
+   * @param {Query_Parameters} - ?format=json|csv|ndjson&dryRun=false&upsert=false
+   * @param {Request_Body} - The file contents
+   * @returns {object} - Import report with counts and the outcome of every row
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * {
+   *   "dryRun": false,
+   *   "upsert": true,
+   *   "total": 3,
+   *   "created": 1,
+   *   "updated": 1,
+   *   "unchanged": 0,
+   *   "rejected": 1,
+   *   "rows": [
+   *     { "row": 1, "title": "Inception", "status": "created", "_id": "507f1f77bcf86cd799439014" },
+   *     { "row": 2, "title": "The Matrix", "status": "updated", "_id": "507f1f77bcf86cd799439012" },
+   *     { "row": 3, "title": "Heat", "status": "rejected", "errors": ["Release year must be a valid year"] }
+   *   ]
+   * }
+   */
+  router.post(
+    movieImportPath,
+    [
+      authenticate,
+      requireCatalogAdmin,
+      bodyParser.text({ type: () => true, limit: importSizeLimit }),
+      check('format', 'Format must be json, csv or ndjson').optional().isIn(catalogIO.formats),
+      check('dryRun', 'dryRun must be a boolean').optional().isBoolean().toBoolean(true),
+      check('upsert', 'upsert must be a boolean').optional().isBoolean().toBoolean(true)
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const options = matchedData(req, { locations: ['query'] });
+      const format = options.format || catalogIO.formats.find((name) => req.is(catalogIO.mediaTypes[name]));
+      if (!format) {
+        throw new UnsupportedMediaTypeError("Send the file as JSON, CSV or NDJSON, or name its format with ?format=");
+      }
+      if (typeof req.body !== "string" || !req.body.trim()) {
+        throw new BadRequestError("The import file is empty");
+      }
+
+      let records;
+      try {
+        records = catalogIO.parseRecords(req.body, format);
+      } catch (error) {
+        throw new BadRequestError(error.message);
+      }
+
+      const report = await importMovies(records, {
+        dryRun: options.dryRun === true,
+        upsert: options.upsert === true
+      });
+      if (report.created || report.updated) {
+        catalogChanged();
+      }
+      res.status(200).json(report);
+    }
+  );
+
+  /**
+   * @function exportMovies
+   * @description - Download the whole catalog as JSON, CSV or NDJSON, in title order (admin only).
+   * The file is streamed and can be imported again with POST /movies/import.
+   * @route GET /movies/export
+   * @param {Query_Parameters} - ?format=json|csv|ndjson (default json)
+   * @returns {File} - movies.json, movies.csv or movies.ndjson
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format (?format=ndjson)
+   * {"Title":"Inception","Description":"A thief who steals corporate secrets...","Genre":{"Name":"Sci-Fi"},"ReleaseYear":2010}
+   * {"Title":"The Matrix","Description":"A computer hacker learns...","Genre":{"Name":"Action"},"ReleaseYear":1999}
+   */
+  router.get(
+    "/movies/export",
+    [
+      authenticate,
+      requireCatalogAdmin,
+      check('format', 'Format must be json, csv or ndjson').optional().isIn(catalogIO.formats)
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const format = req.query.format || "json";
+      try {
+        res.type(catalogIO.mediaTypes[format]);
+        res.attachment("movies." + format);
+        await pipeline(exportMovies(format), res);
+      } catch (error) {
+        if (!res.headersSent) {
+          throw error;
+        }
+        // Once the download has started the only way to signal a failure is to cut it short
+        console.error(`Request ${req.id} failed during export:`, error);
+        res.destroy();
+      }
+    }
+  );
+
+  /**
+   * @function getMovieByTitle
+   * @description - Return data about a single movie by title to the user
+   * @route GET /movies/:title
+   * @param {Query_Parameters} - :title
+   * @returns {object} - Movie object with description, genre, director, image URL, featured status
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * {
+   *   "_id": "507f1f77bcf86cd799439011",
+   *   "Title": "The Shawshank Redemption",
+   *   "Description": "Two imprisoned men bond over years...",
+   *   "Genre": {
+   *     "Name": "Drama",
+   *     "Description": "Drama genre description"
+   *   },
+   *   "Director": {
+   *     "Name": "Frank Darabont",
+   *     "Bio": "Director biography",
+   *     "Birth": "10/10/1970",
+   *     "Death": "10/10/2025"
+   *   },
+   *   "ImagePath": "shawshank.png",
+   *   "Featured": true
+   * }
+   */
+  router.get(
+    "/movies/:title",
+    [
+      authenticate,
+      check('title', 'Title is required').notEmpty()
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const requestedValue = decodeURIComponent(req.params.title || "");
+      let movie = null;
+
+      // Compatibility for clients (like some React builds) that call /movies/:id.
+      if (mongoose.Types.ObjectId.isValid(requestedValue)) {
+        movie = await Movies.findById(requestedValue);
+      }
+
+      if (!movie) {
+        movie = await Movies.findOne({
+          Title: { $regex: buildFlexibleTitleRegex(requestedValue) },
+        });
+      }
+
+      if (!movie) {
+        throw new NotFoundError("Movie not found");
+      }
+
+      res.status(200).json(movie);
+    }
+  );
+
+  /**
+   * @function getMovieById
+   * @description - Get movie by ID
+   * @route GET /movies/id/:id
+   * @param {Query_Parameters} - :id
+   * @returns {object} - Movie object
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * {
+   *   "_id": "507f1f77bcf86cd799439011",
+   *   "Title": "The Shawshank Redemption",
+   *   "Description": "Two imprisoned men bond over years...",
+   *   "Genre": {
+   *     "Name": "Drama",
+   *     "Description": "Drama genre description"
+   *   },
+   *   "Director": {
+   *     "Name": "Frank Darabont",
+   *     "Bio": "Director biography"
+   *   },
+   *   "ImagePath": "shawshank.png",
+   *   "Featured": true
+   * }
+   */
+  // Get movie by ID
+  router.get(
+    "/movies/id/:id",
+    [
+      authenticate,
+      check('id', 'Invalid movie ID').isMongoId()
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const movie = await Movies.findById(req.params.id);
+      if (!movie) {
+        throw new NotFoundError("Movie not found");
+      }
+      res.status(200).json(movie);
+    }
+  );
+  /**
+   * @function getSimilarMovies
+   * @description - Get the movies most similar to a movie, ranked by shared genre, director and cast
+   * and by how close their release years are. The movie itself is never included.
+   * Results are cached until the catalog changes.
+   * @route GET /movies/id/:id/similar
+   * @param {Query_Parameters} - :id, ?limit=10
+   * @returns {object} - Object containing the movie ID, similar movies with scores, and count
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * {
+   *   "movieId": "507f1f77bcf86cd799439012",
+   *   "similar": [
+   *     {
+   *       "movie": {
+   *         "_id": "507f1f77bcf86cd799439013",
+   *         "Title": "The Godfather Part II"
+   *       },
+   *       "score": 7.3
+   *     }
+   *   ],
+   *   "count": 1
+   * }
+   */
+  router.get(
+    "/movies/id/:id/similar",
+    [
+      authenticate,
+      check('id', 'Invalid movie ID').isMongoId(),
+      check('limit', 'Limit must be between 1 and 50').optional().isInt({ min: 1, max: 50 }).toInt()
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const limit = req.query.limit || 10;
+      const cacheKey = req.params.id + ":" + limit;
+      let similar = similarMoviesCache.get(cacheKey);
+      if (!similar) {
+        const movie = await Movies.findById(req.params.id);
+        if (!movie) {
+          throw new NotFoundError("Movie not found");
+        }
+        const candidates = await Movies.find(recommender.similarCandidateFilter(movie));
+        similar = similarMoviesCache.set(
+          cacheKey,
+          recommender.similarTo(movie, candidates, { limit }).map((result) => ({
+            movie: result.movie.toJSON(),
+            score: result.score
+          }))
+        );
+      }
+      res.status(200).json({
+        movieId: req.params.id,
+        similar: similar,
+        count: similar.length
+      });
+    }
+  );
+
+  /**
+   * Builds the validation chain for a movie request body.
+   * @param {boolean} [partial=false] - When true, Title and Description become optional (PATCH)
+   * @returns {Array} - express-validator middleware
+   */
+  function movieValidators(partial = false) {
+    const required = (field, message) =>
+      partial ? check(field, message).optional() : check(field, message);
+    // A genre or director is linked by name; updates may leave it out to edit the current one
+    const creditName = (field, message) =>
+      partial ? check(field, message).optional() : check(field, message).if(check(field.split('.')[0]).exists());
+
+    return [
+      required('Title', 'Title is required').isString().trim().notEmpty(),
+      required('Description', 'Description is required').isString().trim().notEmpty(),
+      check('Genre', 'Genre must be an object').optional().isObject(),
+      creditName('Genre.Name', 'Genre name is required').isString().trim().notEmpty(),
+      check('Genre.Description', 'Genre description must be a string').optional().isString(),
+      check('Director', 'Director must be an object').optional().isObject(),
+      creditName('Director.Name', 'Director name is required').isString().trim().notEmpty(),
+      check('Director.Bio', 'Director bio must be a string').optional().isString(),
+      check('Director.Birth', 'Director birth must be a valid date').optional({ values: 'null' }).isISO8601(),
+      check('Director.Death', 'Director death must be a valid date').optional({ values: 'null' }).isISO8601(),
+      check('Actors', 'Actors must be an array of names').optional().isArray(),
+      check('Actors.*', 'Actor names must be non-empty strings').isString().trim().notEmpty(),
+      check('Actresses', 'Actresses must be an array of names').optional().isArray(),
+      check('Actresses.*', 'Actress names must be non-empty strings').isString().trim().notEmpty(),
+      check('ReleaseYear', 'Release year must be a valid year').optional().isInt({ min: 1888, max: 2100 }).toInt(),
+      check('IMDbRating', 'IMDb rating must be a number between 0 and 10').optional().isFloat({ min: 0, max: 10 }).toFloat(),
+      check('ImagePath', 'Image path must be a string').optional().isString().trim(),
+      check('Featured', 'Featured must be a boolean').optional().isBoolean().toBoolean(),
+    ];
+  }
+
+  /**
+   * Looks for another movie whose title matches (case and spacing insensitive).
+   * @param {string} title - Title to check
+   * @param {string} [excludeId] - Movie to ignore, used when updating
+   * @returns {Promise<Object|null>} - The conflicting movie, if any
+   */
+  function findMovieTitleConflict(title, excludeId) {
+    const query = { Title: { $regex: buildFlexibleTitleRegex(title) } };
+    if (excludeId) {
+      query._id = { $ne: excludeId };
+    }
+    return Movies.findOne(query);
+  }
+
+  /**
+   * @function createMovie
+   * @description - Add a new movie to the catalog (admin only).
+   * Genre and Director are linked by name to the shared genre and director, which are created if missing.
+   * @route POST /movies
+   * @param {Request_Body} - JSON object
+   * @returns {object} - Created movie object
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Request data format
+   * {
+   *   "Title": "Inception",
+   *   "Description": "A thief who steals corporate secrets...",
+   *   "Genre": { "Name": "Sci-Fi", "Description": "Science fiction" },
+   *   "Director": { "Name": "Christopher Nolan", "Birth": "1970-07-30" },
+   *   "Actors": ["Leonardo DiCaprio"],
+   *   "ReleaseYear": 2010,
+   *   "IMDbRating": 8.8,
+   *   "ImagePath": "https://example.com/inception.jpg",
+   *   "Featured": false
+   * }
+   * @example
+   * // Response data format (201)
+   * {
+   *   "_id": "507f1f77bcf86cd799439014",
+   *   "Title": "Inception",
+   *   ...
+   * }
+   */
+  router.post(
+    "/movies",
+    [
+      authenticate,
+      requireCatalogAdmin,
+      ...movieValidators()
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const existing = await findMovieTitleConflict(req.body.Title);
+      if (existing) {
+        throw new ConflictError(req.body.Title + " already exists");
+      }
+      const movie = await Movies.create({
+        ...pickMovieFields(req.body),
+        ...(await linkMovieCredits(req.body))
+      });
+      catalogChanged();
+      res.status(201).json(movie);
+    }
+  );
+
+  /**
+   * @function replaceMovie
+   * @description - Replace every field of an existing movie (admin only)
+   * @route PUT /movies/:id
+   * @param {Query_Parameters} - :id
+   * @param {Request_Body} - JSON object with the full movie (same format as POST /movies)
+   * @returns {object} - Updated movie object
+   * @param {authentication} - Bearer token (JWT)
+   */
+  router.put(
+    "/movies/:id",
+    [
+      authenticate,
+      requireCatalogAdmin,
+      check('id', 'Invalid movie ID').isMongoId(),
+      ...movieValidators()
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const movie = await Movies.findById(req.params.id);
+      if (!movie) {
+        throw new NotFoundError("Movie not found");
+      }
+      const existing = await findMovieTitleConflict(req.body.Title, movie._id);
+      if (existing) {
+        throw new ConflictError(req.body.Title + " already exists");
+      }
+      // Replace only the writable fields; derived ones such as CommunityRating are kept.
+      for (const field of Object.keys(movieWritableFields)) {
+        movie.set(field, undefined);
+      }
+      movie.set({ ...pickMovieFields(req.body), ...(await linkMovieCredits(req.body)) });
+      await movie.save();
+      catalogChanged();
+      res.status(200).json(movie);
+    }
+  );
+
+  /**
+   * @function updateMovie
+   * @description - Update some fields of an existing movie (admin only).
+   * Genre and Director details update the shared genre or director, so every movie sees the change.
+   * @route PATCH /movies/:id
+   * @param {Query_Parameters} - :id
+   * @param {Request_Body} - JSON object with any subset of movie fields
+   * @returns {object} - Updated movie object
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Request data format
+   * {
+   *   "ImagePath": "https://example.com/new-poster.jpg",
+   *   "Director": { "Bio": "Updated biography" }
+   * }
+   */
+  router.patch(
+    "/movies/:id",
+    [
+      authenticate,
+      requireCatalogAdmin,
+      check('id', 'Invalid movie ID').isMongoId(),
+      ...movieValidators(true)
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const updates = pickMovieFields(req.body);
+      const creditFields = movieCreditFields.filter((field) => req.body[field] !== undefined);
+      if (Object.keys(updates).length === 0 && creditFields.length === 0) {
+        throw new BadRequestError("At least one movie field is required");
+      }
+      const movie = await Movies.findById(req.params.id);
+      if (!movie) {
+        throw new NotFoundError("Movie not found");
+      }
+      const unnamed = unnamedMovieCredits(req.body, movie);
+      if (unnamed.length) {
+        throw new ValidationError(unnamed.join(" and ") + " name is required");
+      }
+      if (updates.Title) {
+        const existing = await findMovieTitleConflict(updates.Title, req.params.id);
+        if (existing) {
+          throw new ConflictError(updates.Title + " already exists");
+        }
+      }
+      const credits = await linkMovieCredits(req.body, movie);
+      movie.set({ ...updates, ...credits });
+      await movie.save();
+      catalogChanged();
+      res.status(200).json(movie);
+    }
+  );
+
+  /**
+   * @function deleteMovie
+   * @description - Remove a movie, its reviews and cast credits, and every reference to it in users' lists (admin only)
+   * @route DELETE /movies/:id
+   * @param {Query_Parameters} - :id
+   * @returns {object} - Deletion confirmation message
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * {
+   *   "message": "Inception was deleted."
+   * }
+   */
+  router.delete(
+    "/movies/:id",
+    [
+      authenticate,
+      requireCatalogAdmin,
+      check('id', 'Invalid movie ID').isMongoId()
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const movie = await Movies.findByIdAndDelete(req.params.id);
+      if (!movie) {
+        throw new NotFoundError("Movie not found");
+      }
+      await Users.updateMany(
+        { $or: [{ FavoriteMovies: movie._id }, { Watchlist: movie._id }, { "WatchHistory.Movie": movie._id }] },
+        {
+          $pull: {
+            FavoriteMovies: movie._id,
+            Watchlist: movie._id,
+            WatchHistory: { Movie: movie._id },
+          },
+        }
+      );
+      await Reviews.deleteMany({ Movie: movie._id });
+      await Credits.deleteMany({ Movie: movie._id });
+      await PosterChecks.deleteMany({ Movie: movie._id });
+      if (await PosterOverrides.findOneAndDelete({ Movie: movie._id })) {
+        await posterOverrides.load();
+      }
+      if (movie.Poster && movie.Poster.Key) {
+        posterUploads.removePoster(posterStorage, movie.Poster.Key).catch((error) => console.error("Removing poster failed:", error));
+      }
+      await Lists.updateMany({ Movies: movie._id }, { $pull: { Movies: movie._id } });
+      catalogChanged();
+      res.status(200).json({ message: movie.Title + " was deleted." });
+    }
+  );
+
+  return router;
+}
+
+module.exports = { createMovieRouter, movieImportPath };
@@ -0,0 +1,326 @@
+/**
+ * @fileoverview Poster routes for the myFlix API
+ * @description Poster uploads, poster overrides and the results of the background poster link checks.
+ * @author Sourav Das
+ * @version 1.0.0
+ */
+
+const express = require("express");
+const multer = require("multer");
+const { createListing } = require("../listing");
+const posterUploads = require("../poster-uploads");
+const { requireCatalogAdmin } = require("./helpers");
+const { check } = require('express-validator');
+const { assertValid, BadRequestError, NotFoundError, ConflictError, PayloadTooLargeError, UnsupportedMediaTypeError } = require("../errors");
+
+/**
+ * Creates the router for the poster routes. Mount it on the app returned by createApp().
+ * @param {Object} context - Shared by every router of an app; see createApp()
+ * @param {Object} context.models - Mongoose models, as exported by models.js
+ * @param {Function} context.authenticate - Middleware that authenticates the Bearer token
+ * @param {Object} context.config - App configuration; publicUrl is used for uploaded poster URLs
+ * @param {Function} context.catalogChanged - Drops cached results derived from the catalog
+ * @param {Object} context.posterStorage - Where uploaded posters are kept, see poster-storage.js
+ * @param {Object} context.posterChecker - Checker of poster URLs, see poster-checker.js
+ * @param {Object} context.posterOverrides - Cache of the poster overrides in force, see poster-overrides.js
+ * @returns {express.Router}
+ */
+function createPosterRouter({ models, authenticate, config, catalogChanged, posterStorage, posterChecker, posterOverrides }) {
+  const router = express.Router();
+  const Movies = models.Movie;
+  const PosterOverrides = models.PosterOverride;
+  const PosterChecks = models.PosterCheck;
+
+  /**
+   * Reads one poster file from a multipart upload into memory
+   * @type {Object}
+   */
+  const posterUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: posterUploads.maxPosterBytes, files: 1 },
+  });
+
+  /**
+   * Receives the "poster" file of a multipart request, passing upload errors on as API errors
+   * @param {Object} req
+   * @param {Object} res
+   * @param {Function} next
+   */
+  function receivePoster(req, res, next) {
+    posterUpload.single("poster")(req, res, (error) => {
+      if (!error) return next();
+      if (error.code === "LIMIT_FILE_SIZE") {
+        return next(new PayloadTooLargeError("Posters can be at most " + posterUploads.maxPosterBytes / (1024 * 1024) + " MB"));
+      }
+      if (error instanceof multer.MulterError) {
+        return next(new BadRequestError(error.message));
+      }
+      next(error);
+    });
+  }
+
+  /**
+   * Address clients reach the API at: PUBLIC_URL when set, otherwise the host of the request
+   * @param {Object} req
+   * @returns {string}
+   */
+  function publicBaseUrl(req) {
+    return (config.publicUrl || req.protocol + "://" + req.get("host")).replace(/\/+$/, "");
+  }
+
+  /**
+   * @function uploadPoster
+   * @description - Upload a poster for a movie (admin only). The image is stored by the API and
+   * becomes the movie's ImagePath, with Small, Medium and Large thumbnails for movie cards.
+   * A poster uploaded earlier for the movie is deleted.
+   * @route POST /movies/:id/poster
+   * @param {Query_Parameters} - :id
+   * @param {Request_Body} - multipart/form-data with a JPEG, PNG or WebP image (at most 5 MB) in a field named "poster"
+   * @returns {object} - Updated movie object
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * {
+   *   "_id": "507f1f77bcf86cd799439012",
+   *   "Title": "The Matrix",
+   *   "ImagePath": "https://api.example.com/posters/507f1f77bcf86cd799439012-3f2a9c1b7e4d5a60.jpg",
+   *   "Poster": {
+   *     "Key": "507f1f77bcf86cd799439012-3f2a9c1b7e4d5a60.jpg",
+   *     "Thumbnails": {
+   *       "Small": "https://api.example.com/posters/507f1f77bcf86cd799439012-3f2a9c1b7e4d5a60-small.webp",
+   *       "Medium": "https://api.example.com/posters/507f1f77bcf86cd799439012-3f2a9c1b7e4d5a60-medium.webp",
+   *       "Large": "https://api.example.com/posters/507f1f77bcf86cd799439012-3f2a9c1b7e4d5a60-large.webp"
+   *     },
+   *     "UploadedAt": "2024-01-15T10:30:00.000Z"
+   *   }
+   * }
+   */
+  router.post(
+    "/movies/:id/poster",
+    [
+      authenticate,
+      requireCatalogAdmin,
+      check('id', 'Invalid movie ID').isMongoId(),
+      receivePoster
+    ],
+    async (req, res) => {
+      assertValid(req);
+      if (!req.file) {
+        throw new BadRequestError("Send the poster as multipart/form-data in a field named poster");
+      }
+      if (!posterUploads.posterMimeTypes.includes(req.file.mimetype)) {
+        throw new UnsupportedMediaTypeError("Posters must be JPEG, PNG or WebP images");
+      }
+      const movie = await Movies.findById(req.params.id);
+      if (!movie) {
+        throw new NotFoundError("Movie not found");
+      }
+      const format = await posterUploads.detectPosterFormat(req.file.buffer);
+      if (!format) {
+        throw new UnsupportedMediaTypeError("The file is not a valid JPEG, PNG or WebP image");
+      }
+      const previousKey = movie.Poster && movie.Poster.Key;
+      movie.set(await posterUploads.storePoster(posterStorage, movie._id, req.file.buffer, format, { baseUrl: publicBaseUrl(req) }));
+      await movie.save();
+      if (previousKey && previousKey !== movie.Poster.Key) {
+        posterUploads.removePoster(posterStorage, previousKey).catch((error) => console.error("Removing old poster failed:", error));
+      }
+      catalogChanged();
+      res.status(200).json(movie);
+    }
+  );
+
+  /**
+   * Paging and sorting for the poster override list
+   */
+  const posterOverrideListing = createListing({
+    sortFields: { CreatedAt: "CreatedAt", UpdatedAt: "UpdatedAt" },
+    defaultSort: "-UpdatedAt",
+    defaultLimit: 100,
+  });
+
+  /**
+   * Paging and sorting for poster check results
+   */
+  const posterCheckListing = createListing({
+    sortFields: { CheckedAt: "CheckedAt", Status: "Status" },
+    defaultSort: "-CheckedAt",
+    defaultLimit: 100,
+  });
+
+  /**
+   * @function getPosterOverrides
+   * @description - List the poster overrides, most recently changed first (admin only).
+   * Movies are sent to clients with their override in place of the stored ImagePath.
+   * @route GET /poster-overrides
+   * @param {Query_Parameters} - ?page=&limit=&cursor=&sort=-UpdatedAt
+   * @returns {Array} - Array of overrides (one page; see the Link and X-Total-Count headers)
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * [
+   *   {
+   *     "_id": "65a1f77bcf86cd7994390e01",
+   *     "Movie": { "_id": "507f1f77bcf86cd799439012", "Title": "The Matrix" },
+   *     "ImagePath": "https://upload.wikimedia.org/wikipedia/en/d/db/The_Matrix.png",
+   *     "Note": "Original host removed the image",
+   *     "CreatedAt": "2024-01-15T10:30:00.000Z",
+   *     "UpdatedAt": "2024-01-15T10:30:00.000Z"
+   *   }
+   * ]
+   */
+  router.get(
+    "/poster-overrides",
+    [
+      authenticate,
+      requireCatalogAdmin,
+      ...posterOverrideListing.validators
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const { results } = await posterOverrideListing.find(req, res, PosterOverrides, {}, {
+        query: (query) => query.populate('Movie', 'Title')
+      });
+      res.status(200).json(results);
+    }
+  );
+
+  /**
+   * @function setPosterOverride
+   * @description - Show a different poster for a movie without changing its ImagePath (admin only)
+   * @route PUT /movies/:id/poster-override
+   * @param {Query_Parameters} - :id
+   * @param {Request_Body} - JSON object
+   * @returns {object} - The override (201 when created, 200 when replaced)
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Request data format
+   * {
+   *   "ImagePath": "https://upload.wikimedia.org/wikipedia/en/d/db/The_Matrix.png",
+   *   "Note": "Original host removed the image"
+   * }
+   */
+  router.put(
+    "/movies/:id/poster-override",
+    [
+      authenticate,
+      requireCatalogAdmin,
+      check('id', 'Invalid movie ID').isMongoId(),
+      check('ImagePath', 'ImagePath must be an http(s) URL or a path starting with /')
+        .isString().trim()
+        .custom((value) => /^https?:\/\/\S+$/i.test(value) || /^\/\S*$/.test(value)),
+      check('Note', 'Note must be at most 500 characters').optional().isString().trim().isLength({ max: 500 })
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const movie = await Movies.findById(req.params.id, { _id: 1 });
+      if (!movie) {
+        throw new NotFoundError("Movie not found");
+      }
+      let override = await PosterOverrides.findOne({ Movie: movie._id });
+      const created = !override;
+      if (created) {
+        override = new PosterOverrides({ Movie: movie._id });
+      }
+      override.set({ ImagePath: req.body.ImagePath, Note: req.body.Note, CreatedBy: req.user._id });
+      await override.save();
+      await posterOverrides.load();
+      catalogChanged();
+      res.status(created ? 201 : 200).json(override);
+    }
+  );
+
+  /**
+   * @function removePosterOverride
+   * @description - Go back to showing a movie's own ImagePath (admin only)
+   * @route DELETE /movies/:id/poster-override
+   * @param {Query_Parameters} - :id
+   * @returns {object} - Deletion confirmation message
+   * @param {authentication} - Bearer token (JWT)
+   */
+  router.delete(
+    "/movies/:id/poster-override",
+    [
+      authenticate,
+      requireCatalogAdmin,
+      check('id', 'Invalid movie ID').isMongoId()
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const override = await PosterOverrides.findOneAndDelete({ Movie: req.params.id });
+      if (!override) {
+        throw new NotFoundError("This movie has no poster override");
+      }
+      await posterOverrides.load();
+      catalogChanged();
+      res.status(200).json({ message: "Poster override was removed." });
+    }
+  );
+
+  /**
+   * @function getPosterChecks
+   * @description - List the latest poster check of each movie (admin only).
+   * Use ?status=broken to find the posters that need fixing or an override.
+   * @route GET /poster-checks
+   * @param {Query_Parameters} - ?status=ok|broken|skipped&page=&limit=&cursor=&sort=-CheckedAt
+   * @returns {Array} - Array of check results (one page; see the Link and X-Total-Count headers)
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * [
+   *   {
+   *     "_id": "65a1f77bcf86cd7994390f01",
+   *     "Movie": { "_id": "507f1f77bcf86cd799439012", "Title": "Heat" },
+   *     "ImagePath": "https://example.com/heat.jpg",
+   *     "Status": "broken",
+   *     "HttpStatus": 404,
+   *     "Error": "The server answered 404",
+   *     "CheckedAt": "2024-01-15T03:00:00.000Z"
+   *   }
+   * ]
+   */
+  router.get(
+    "/poster-checks",
+    [
+      authenticate,
+      requireCatalogAdmin,
+      check('status', 'Status must be ok, broken or skipped').optional().isIn(Object.values(models.PosterCheckStatuses)),
+      ...posterCheckListing.validators
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const filter = req.query.status ? { Status: req.query.status } : {};
+      const { results } = await posterCheckListing.find(req, res, PosterChecks, filter, {
+        query: (query) => query.populate('Movie', 'Title')
+      });
+      res.status(200).json(results);
+    }
+  );
+
+  /**
+   * @function runPosterChecks
+   * @description - Start checking every movie's poster now instead of waiting for the next scheduled run (admin only).
+   * The check runs in the background; GET /poster-checks shows the results as they come in.
+   * @route POST /poster-checks
+   * @returns {object} - Confirmation message (202), or 409 when a check is already running
+   * @param {authentication} - Bearer token (JWT)
+   */
+  router.post(
+    "/poster-checks",
+    [
+      authenticate,
+      requireCatalogAdmin
+    ],
+    (req, res) => {
+      if (posterChecker.isChecking()) {
+        throw new ConflictError("A poster check is already running");
+      }
+      posterChecker.checkPosters().catch((error) => console.error("Poster check failed:", error));
+      res.status(202).json({ message: "Poster check started." });
+    }
+  );
+
+  return router;
+}
+
+module.exports = { createPosterRouter };
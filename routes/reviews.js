@@ -0,0 +1,328 @@
+/**
+ * @fileoverview Review routes for the myFlix API
+ * @description Reading, writing and voting on movie reviews.
+ * @author Sourav Das
+ * @version 1.0.0
+ */
+
+const express = require("express");
+const { createListing } = require("../listing");
+const { check } = require('express-validator');
+const { assertValid, BadRequestError, ForbiddenError, NotFoundError, ConflictError } = require("../errors");
+
+/**
+ * Creates the router for the review routes. Mount it on the app returned by createApp().
+ * @param {Object} context - Shared by every router of an app; see createApp()
+ * @param {Object} context.models - Mongoose models, as exported by models.js
+ * @param {Function} context.authenticate - Middleware that authenticates the Bearer token
+ * @returns {express.Router}
+ */
+function createReviewRouter({ models, authenticate }) {
+  const router = express.Router();
+  const Movies = models.Movie;
+  const Reviews = models.Review;
+
+  /**
+   * Paging and sorting for GET /movies/:id/reviews; "newest" and "helpful" are shorthand sorts
+   */
+  const reviewListing = createListing({
+    sortFields: { CreatedAt: "CreatedAt", HelpfulCount: "HelpfulCount", Rating: "Rating" },
+    sortAliases: { newest: "-CreatedAt", helpful: "-HelpfulCount,-CreatedAt" },
+    defaultSort: "newest",
+    defaultLimit: 10,
+    maxLimit: 50,
+  });
+
+  /**
+   * Loads a review that belongs to the movie in the URL
+   * @param {Object} params - Route parameters with id and reviewId
+   * @returns {Promise<Object|null>} - The review, or null if it doesn't exist on that movie
+   */
+  function findMovieReview(params) {
+    return Reviews.findOne({ _id: params.reviewId, Movie: params.id });
+  }
+
+  /**
+   * @function getMovieReviews
+   * @description - Get a page of reviews for a movie, with its community rating
+   * @route GET /movies/:id/reviews
+   * @param {Query_Parameters} - :id, ?page=1&limit=10&sort=newest|helpful (or e.g. -Rating), ?cursor=
+   * @returns {object} - Community rating, reviews and pagination information
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * {
+   *   "movieId": "507f1f77bcf86cd799439011",
+   *   "communityRating": { "Average": 8.5, "Count": 2 },
+   *   "reviews": [
+   *     {
+   *       "_id": "65a1f77bcf86cd7994390aa",
+   *       "Movie": "507f1f77bcf86cd799439011",
+   *       "User": { "_id": "507f1f77bcf86cd799439099", "Username": "johndoe" },
+   *       "Rating": 9,
+   *       "Text": "A masterpiece.",
+   *       "HelpfulCount": 3,
+   *       "CreatedAt": "2025-01-01T12:00:00.000Z",
+   *       "UpdatedAt": "2025-01-01T12:00:00.000Z"
+   *     }
+   *   ],
+   *   "pagination": {
+   *     "currentPage": 1,
+   *     "totalPages": 1,
+   *     "totalResults": 2,
+   *     "resultsPerPage": 10,
+   *     "hasNextPage": false,
+   *     "hasPrevPage": false,
+   *     "nextCursor": null
+   *   }
+   * }
+   */
+  router.get(
+    "/movies/:id/reviews",
+    [
+      authenticate,
+      check('id', 'Invalid movie ID').isMongoId(),
+      ...reviewListing.validators
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const movie = await Movies.findById(req.params.id, { CommunityRating: 1 });
+      if (!movie) {
+        throw new NotFoundError("Movie not found");
+      }
+      const { results, pagination } = await reviewListing.find(req, res, Reviews, { Movie: movie._id }, {
+        projection: { HelpfulBy: 0 },
+        query: (query) => query.populate('User', 'Username')
+      });
+
+      res.status(200).json({
+        movieId: movie._id,
+        communityRating: movie.CommunityRating,
+        reviews: results,
+        pagination: pagination
+      });
+    }
+  );
+
+  /**
+   * @function getMovieReview
+   * @description - Get a single review of a movie
+   * @route GET /movies/:id/reviews/:reviewId
+   * @param {Query_Parameters} - :id, :reviewId
+   * @returns {object} - Review object
+   * @param {authentication} - Bearer token (JWT)
+   */
+  router.get(
+    "/movies/:id/reviews/:reviewId",
+    [
+      authenticate,
+      check('id', 'Invalid movie ID').isMongoId(),
+      check('reviewId', 'Invalid review ID').isMongoId()
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const review = await findMovieReview(req.params)
+        .select({ HelpfulBy: 0 })
+        .populate('User', 'Username');
+      if (!review) {
+        throw new NotFoundError("Review not found");
+      }
+      res.status(200).json(review);
+    }
+  );
+
+  /**
+   * @function createMovieReview
+   * @description - Rate and optionally review a movie. Each user can review a movie once.
+   * @route POST /movies/:id/reviews
+   * @param {Query_Parameters} - :id
+   * @param {Request_Body} - JSON object
+   * @returns {object} - Created review object
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Request data format
+   * {
+   *   "Rating": 9,
+   *   "Text": "A masterpiece."
+   * }
+   */
+  router.post(
+    "/movies/:id/reviews",
+    [
+      authenticate,
+      check('id', 'Invalid movie ID').isMongoId(),
+      check('Rating', 'Rating must be a whole number from 1 to 10').isInt({ min: 1, max: 10 }).toInt(),
+      check('Text', 'Review text must be at most 5000 characters').optional().isString().trim().isLength({ max: 5000 })
+    ],
+    async (req, res) => {
+      assertValid(req);
+      try {
+        const movie = await Movies.findById(req.params.id, { _id: 1 });
+        if (!movie) {
+          throw new NotFoundError("Movie not found");
+        }
+        const existing = await Reviews.findOne({ Movie: movie._id, User: req.user._id });
+        if (existing) {
+          throw new ConflictError("You have already reviewed this movie");
+        }
+        const review = await Reviews.create({
+          Movie: movie._id,
+          User: req.user._id,
+          Rating: req.body.Rating,
+          Text: req.body.Text
+        });
+        await Reviews.updateCommunityRating(movie._id);
+        res.status(201).json(review);
+      } catch (error) {
+        // Two simultaneous requests can both pass the check above; the unique index catches the second.
+        if (error.code === 11000) {
+          throw new ConflictError("You have already reviewed this movie");
+        }
+        throw error;
+      }
+    }
+  );
+
+  /**
+   * @function updateMovieReview
+   * @description - Edit your own review of a movie
+   * @route PUT /movies/:id/reviews/:reviewId
+   * @param {Query_Parameters} - :id, :reviewId
+   * @param {Request_Body} - JSON object (same format as POST /movies/:id/reviews)
+   * @returns {object} - Updated review object
+   * @param {authentication} - Bearer token (JWT)
+   */
+  router.put(
+    "/movies/:id/reviews/:reviewId",
+    [
+      authenticate,
+      check('id', 'Invalid movie ID').isMongoId(),
+      check('reviewId', 'Invalid review ID').isMongoId(),
+      check('Rating', 'Rating must be a whole number from 1 to 10').isInt({ min: 1, max: 10 }).toInt(),
+      check('Text', 'Review text must be at most 5000 characters').optional().isString().trim().isLength({ max: 5000 })
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const review = await findMovieReview(req.params);
+      if (!review) {
+        throw new NotFoundError("Review not found");
+      }
+      if (!review.User.equals(req.user._id)) {
+        throw new ForbiddenError("Not authorized to edit this review");
+      }
+      review.Rating = req.body.Rating;
+      review.Text = req.body.Text;
+      await review.save();
+      await Reviews.updateCommunityRating(review.Movie);
+      res.status(200).json(review);
+    }
+  );
+
+  /**
+   * @function deleteMovieReview
+   * @description - Delete a review (its author or an admin)
+   * @route DELETE /movies/:id/reviews/:reviewId
+   * @param {Query_Parameters} - :id, :reviewId
+   * @returns {object} - Deletion confirmation message
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * {
+   *   "message": "Review was deleted."
+   * }
+   */
+  router.delete(
+    "/movies/:id/reviews/:reviewId",
+    [
+      authenticate,
+      check('id', 'Invalid movie ID').isMongoId(),
+      check('reviewId', 'Invalid review ID').isMongoId()
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const review = await findMovieReview(req.params);
+      if (!review) {
+        throw new NotFoundError("Review not found");
+      }
+      if (!review.User.equals(req.user._id) && !req.user.isAdmin) {
+        throw new ForbiddenError("Not authorized to delete this review");
+      }
+      await review.deleteOne();
+      await Reviews.updateCommunityRating(review.Movie);
+      res.status(200).json({ message: "Review was deleted." });
+    }
+  );
+
+  /**
+   * @function markReviewHelpful
+   * @description - Mark someone else's review as helpful (once per user)
+   * @route POST /movies/:id/reviews/:reviewId/helpful
+   * @param {Query_Parameters} - :id, :reviewId
+   * @returns {object} - Review id and its helpful count
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * {
+   *   "_id": "65a1f77bcf86cd7994390aa",
+   *   "HelpfulCount": 4
+   * }
+   */
+  router.post(
+    "/movies/:id/reviews/:reviewId/helpful",
+    [
+      authenticate,
+      check('id', 'Invalid movie ID').isMongoId(),
+      check('reviewId', 'Invalid review ID').isMongoId()
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const review = await findMovieReview(req.params);
+      if (!review) {
+        throw new NotFoundError("Review not found");
+      }
+      if (review.User.equals(req.user._id)) {
+        throw new BadRequestError("You cannot mark your own review as helpful");
+      }
+      const updated = await Reviews.findOneAndUpdate(
+        { _id: review._id, HelpfulBy: { $ne: req.user._id } },
+        { $push: { HelpfulBy: req.user._id }, $inc: { HelpfulCount: 1 } },
+        { new: true, projection: { HelpfulCount: 1 } }
+      );
+      res.status(200).json(updated || { _id: review._id, HelpfulCount: review.HelpfulCount });
+    }
+  );
+
+  /**
+   * @function unmarkReviewHelpful
+   * @description - Withdraw your helpful vote from a review
+   * @route DELETE /movies/:id/reviews/:reviewId/helpful
+   * @param {Query_Parameters} - :id, :reviewId
+   * @returns {object} - Review id and its helpful count
+   * @param {authentication} - Bearer token (JWT)
+   */
+  router.delete(
+    "/movies/:id/reviews/:reviewId/helpful",
+    [
+      authenticate,
+      check('id', 'Invalid movie ID').isMongoId(),
+      check('reviewId', 'Invalid review ID').isMongoId()
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const review = await findMovieReview(req.params);
+      if (!review) {
+        throw new NotFoundError("Review not found");
+      }
+      const updated = await Reviews.findOneAndUpdate(
+        { _id: review._id, HelpfulBy: req.user._id },
+        { $pull: { HelpfulBy: req.user._id }, $inc: { HelpfulCount: -1 } },
+        { new: true, projection: { HelpfulCount: 1 } }
+      );
+      res.status(200).json(updated || { _id: review._id, HelpfulCount: review.HelpfulCount });
+    }
+  );
+
+  return router;
+}
+
+module.exports = { createReviewRouter };
@@ -0,0 +1,777 @@
+/**
+ * @fileoverview Search routes for the myFlix API
+ * @description Full-text, advanced and faceted movie search, suggestions and typo-tolerant corrections.
+ * @author Sourav Das
+ * @version 1.0.0
+ */
+
+const express = require("express");
+const fuzzy = require("../fuzzy");
+const facets = require("../facets");
+const { createListing } = require("../listing");
+const { literalRegex } = require("../regex");
+const { textScore, movieFields, movieSortFields, movieListing } = require("./helpers");
+const { check, matchedData } = require('express-validator');
+const { assertValid, BadRequestError } = require("../errors");
+
+/**
+ * Creates the router for the search routes. Mount it on the app returned by createApp().
+ * @param {Object} context - Shared by every router of an app; see createApp()
+ * @param {Object} context.models - Mongoose models, as exported by models.js
+ * @param {Function} context.authenticate - Middleware that authenticates the Bearer token
+ * @param {Object} context.searchVocabularyCache - Cache of the titles and names used for typo-tolerant matching
+ * @returns {express.Router}
+ */
+function createSearchRouter({ models, authenticate, searchVocabularyCache }) {
+  const router = express.Router();
+  const Movies = models.Movie;
+
+  /**
+   * Filter for movies whose genre or director name contains the input. Names are matched in the
+   * small Genre or Director collection and movies are found through their indexed reference.
+   * @param {string} field - "Genre" or "Director"
+   * @param {string} value - Raw user input
+   * @returns {Promise<Object>}
+   */
+  async function creditFilter(field, value) {
+    const ids = await models[field].distinct("_id", { Name: literalRegex(value) });
+    return { [field + "._id"]: { $in: ids } };
+  }
+
+  /**
+   * Paging, sorting and field selection for full-text search results, ordered by relevance unless ?sort= is given
+   */
+  const relevanceListing = createListing({
+    sortFields: movieSortFields,
+    defaultSort: null,
+    fields: movieFields,
+  });
+
+  /**
+   * Like relevanceListing, but returning only the fields needed to render a quick result
+   */
+  const quickSearchListing = createListing({
+    sortFields: movieSortFields,
+    defaultSort: null,
+    fields: movieFields,
+    defaultFields: ["Title", "Genre.Name", "Director.Name", "ReleaseYear", "ImagePath"],
+  });
+
+  /**
+   * Paging and sorting for faceted browsing; the facet aggregation pages by number only
+   */
+  const browseListing = createListing({
+    sortFields: movieSortFields,
+    sortAliases: facets.sortAliases,
+    defaultSort: "title",
+    fields: movieFields,
+    cursor: false,
+  });
+
+  /**
+   * Loads every distinct title, genre, director and cast name, grouped by suggestion type
+   * @returns {Promise<{movie: string[], genre: string[], director: string[], actor: string[]}>}
+   */
+  async function getSearchVocabulary() {
+    let vocabulary = searchVocabularyCache.get("all");
+    if (!vocabulary) {
+      const [titles, genres, directors, actors, actresses] = await Promise.all([
+        Movies.distinct("Title"),
+        Movies.distinct("Genre.Name"),
+        Movies.distinct("Director.Name"),
+        Movies.distinct("Actors"),
+        Movies.distinct("Actresses")
+      ]);
+      vocabulary = searchVocabularyCache.set("all", {
+        movie: titles,
+        genre: genres,
+        director: directors,
+        actor: [...new Set([...actors, ...actresses])]
+      });
+    }
+    return vocabulary;
+  }
+
+  /**
+   * Finds typo-tolerant matches for a query
+   * @param {string} query - What the user typed
+   * @param {string[]} [types] - Suggestion types to search: movie, genre, director, actor
+   * @param {number} [limit=5] - Maximum matches per type
+   * @returns {Promise<Object<string, Array<{value: string, score: number}>>>} - Matches keyed by type
+   */
+  async function fuzzyMatches(query, types = ["movie", "genre", "director", "actor"], limit = 5) {
+    const vocabulary = await getSearchVocabulary();
+    const matches = {};
+    for (const type of types) {
+      matches[type] = fuzzy.rank(query, vocabulary[type], { limit });
+    }
+    return matches;
+  }
+
+  /**
+   * The closest known title or name to a query that found nothing
+   * @param {string} query - What the user typed
+   * @param {string[]} [types] - Suggestion types to consider
+   * @returns {Promise<string|null>} - Best correction, or null if nothing is close enough
+   */
+  async function didYouMean(query, types) {
+    return bestFuzzyMatch(await fuzzyMatches(query, types, 1));
+  }
+
+  /**
+   * Picks the highest scoring value out of fuzzyMatches() results
+   * @param {Object<string, Array<{value: string, score: number}>>} matches - Matches keyed by type
+   * @returns {string|null}
+   */
+  function bestFuzzyMatch(matches) {
+    const best = Object.values(matches)
+      .flat()
+      .sort((a, b) => b.score - a.score)[0];
+    return best ? best.value : null;
+  }
+
+  /**
+   * @function getMoviesByGenre
+   * @description - Get movies by genre (commonly needed for filtering)
+   * @route GET /movies/genre/:genre
+   * @param {Query_Parameters} - :genre, ?page=&limit=&cursor=&sort=&fields=
+   * @returns {Array} - Array of movies matching the genre (one page; see the Link and X-Total-Count headers)
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * [
+   *   {
+   *     "_id": "507f1f77bcf86cd799439011",
+   *     "Title": "The Shawshank Redemption",
+   *     "Genre": {
+   *       "Name": "Drama",
+   *       "Description": "Drama genre description"
+   *     }
+   *   }
+   * ]
+   */
+  // Get movies by genre (commonly needed for filtering)
+  router.get(
+    "/movies/genre/:genre",
+    [
+      authenticate,
+      check('genre', 'Genre is required').notEmpty(),
+      ...movieListing.validators
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const { results } = await movieListing.find(req, res, Movies, await creditFilter("Genre", req.params.genre));
+      res.status(200).json(results);
+    }
+  );
+
+  /**
+   * @function generalSearch
+   * @description - General search endpoint - full-text search across title, description,
+   * genre, director and cast, ordered by relevance (title matches weigh most)
+   * @route GET /search
+   * @param {Query_Parameters} - ?q=searchQuery&page=&limit=&cursor=&sort=&fields=
+   * @returns {object} - Search results object with query, results array, and count
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * {
+   *   "query": "drama",
+   *   "results": [
+   *     {
+   *       "_id": "507f1f77bcf86cd799439011",
+   *       "Title": "The Shawshank Redemption",
+   *       "score": 1.1
+   *     }
+   *   ],
+   *   "count": 1
+   * }
+   */
+  // General search endpoint - searches across multiple fields
+  router.get(
+    "/search",
+    [
+      authenticate,
+      check('q', 'Search query is required (at most 100 characters)').isString().notEmpty().isLength({ min: 1, max: 100 }),
+      ...relevanceListing.validators
+    ],
+    async (req, res) => {
+      assertValid(req);
+      
+      const searchQuery = req.query.q;
+
+      // Full-text search over the movie text index, best matches first
+      const { results, pagination } = await relevanceListing.find(req, res, Movies, { $text: { $search: searchQuery } }, {
+        projection: textScore,
+        sort: textScore
+      });
+      
+      res.status(200).json({
+        query: searchQuery,
+        results: results,
+        count: results.length,
+        pagination: pagination,
+        ...(pagination.totalResults === 0 && { didYouMean: await didYouMean(searchQuery) })
+      });
+    }
+  );
+
+  /**
+   * @function searchMoviesByTitle
+   * @description - Search movies by title. Matches the input anywhere in the title, through the Title index.
+   * @route GET /search/movies
+   * @param {Query_Parameters} - ?title=searchQuery&page=&limit=&cursor=&sort=&fields=
+   * @returns {object} - Search results object
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * {
+   *   "query": "shawshank",
+   *   "results": [
+   *     {
+   *       "_id": "507f1f77bcf86cd799439011",
+   *       "Title": "The Shawshank Redemption"
+   *     }
+   *   ],
+   *   "count": 1
+   * }
+   */
+  // Search movies by title
+  router.get(
+    "/search/movies",
+    [
+      authenticate,
+      check('title', 'Title search query is required').isString().notEmpty().isLength({ max: 100 }),
+      ...movieListing.validators
+    ],
+    async (req, res) => {
+      assertValid(req);
+      
+      const titleQuery = req.query.title;
+      
+      const { results, pagination } = await movieListing.find(req, res, Movies, { Title: literalRegex(titleQuery) });
+      
+      res.status(200).json({
+        query: titleQuery,
+        results: results,
+        count: results.length,
+        pagination: pagination,
+        ...(pagination.totalResults === 0 && { didYouMean: await didYouMean(titleQuery, ["movie"]) })
+      });
+    }
+  );
+
+  /**
+   * @function searchMoviesByGenre
+   * @description - Search movies by genre
+   * @route GET /search/genres
+   * @param {Query_Parameters} - ?genre=searchQuery&page=&limit=&cursor=&sort=&fields=
+   * @returns {object} - Search results object
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * {
+   *   "query": "drama",
+   *   "results": [
+   *     {
+   *       "_id": "507f1f77bcf86cd799439011",
+   *       "Title": "The Shawshank Redemption",
+   *       "Genre": {"Name": "Drama"}
+   *     }
+   *   ],
+   *   "count": 1
+   * }
+   */
+  // Search movies by genre
+  router.get(
+    "/search/genres",
+    [
+      authenticate,
+      check('genre', 'Genre search query is required').isString().notEmpty().isLength({ max: 100 }),
+      ...movieListing.validators
+    ],
+    async (req, res) => {
+      assertValid(req);
+      
+      const genreQuery = req.query.genre;
+      
+      const { results, pagination } = await movieListing.find(req, res, Movies, await creditFilter("Genre", genreQuery));
+      
+      res.status(200).json({
+        query: genreQuery,
+        results: results,
+        count: results.length,
+        pagination: pagination,
+        ...(pagination.totalResults === 0 && { didYouMean: await didYouMean(genreQuery, ["genre"]) })
+      });
+    }
+  );
+
+  /**
+   * @function searchMoviesByDirector
+   * @description - Search movies by director
+   * @route GET /search/directors
+   * @param {Query_Parameters} - ?director=searchQuery&page=&limit=&cursor=&sort=&fields=
+   * @returns {object} - Search results object
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * {
+   *   "query": "darabont",
+   *   "results": [
+   *     {
+   *       "_id": "507f1f77bcf86cd799439011",
+   *       "Title": "The Shawshank Redemption",
+   *       "Director": {"Name": "Frank Darabont"}
+   *     }
+   *   ],
+   *   "count": 1
+   * }
+   */
+  // Search movies by director
+  router.get(
+    "/search/directors",
+    [
+      authenticate,
+      check('director', 'Director search query is required').isString().notEmpty().isLength({ max: 100 }),
+      ...movieListing.validators
+    ],
+    async (req, res) => {
+      assertValid(req);
+      
+      const directorQuery = req.query.director;
+      
+      const { results, pagination } = await movieListing.find(req, res, Movies, await creditFilter("Director", directorQuery));
+      
+      res.status(200).json({
+        query: directorQuery,
+        results: results,
+        count: results.length,
+        pagination: pagination,
+        ...(pagination.totalResults === 0 && { didYouMean: await didYouMean(directorQuery, ["director"]) })
+      });
+    }
+  );
+
+  /**
+   * @function searchMoviesByActor
+   * @description - Search movies by actor or actress. Matches the input anywhere in a cast name.
+   * @route GET /search/actors
+   * @param {Query_Parameters} - ?actor=searchQuery&page=&limit=&cursor=&sort=&fields=
+   * @returns {object} - Search results object
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * {
+   *   "query": "tim robbins",
+   *   "results": [
+   *     {
+   *       "_id": "507f1f77bcf86cd799439011",
+   *       "Title": "The Shawshank Redemption",
+   *       "Actors": ["Tim Robbins", "Morgan Freeman"]
+   *     }
+   *   ],
+   *   "count": 1
+   * }
+   */
+  // Search movies by actor
+  router.get(
+    "/search/actors",
+    [
+      authenticate,
+      check('actor', 'Actor search query is required').isString().notEmpty().isLength({ max: 100 }),
+      ...movieListing.validators
+    ],
+    async (req, res) => {
+      assertValid(req);
+      
+      const actorQuery = req.query.actor;
+      const searchRegex = literalRegex(actorQuery);
+      
+      const { results, pagination } = await movieListing.find(req, res, Movies, {
+        $or: [{ Actors: searchRegex }, { Actresses: searchRegex }]
+      });
+      
+      res.status(200).json({
+        query: actorQuery,
+        results: results,
+        count: results.length,
+        pagination: pagination,
+        ...(pagination.totalResults === 0 && { didYouMean: await didYouMean(actorQuery, ["actor"]) })
+      });
+    }
+  );
+
+  /**
+   * @function advancedSearch
+   * @description - Advanced search with multiple filters
+   * @route GET /search/advanced
+   * @param {Query_Parameters} - ?title=&genre=&director=&actor=&year= (year matches ReleaseYear), plus &page=&limit=&cursor=&sort=&fields=
+   * @returns {object} - Search results object with filters applied
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * {
+   *   "filters": {
+   *     "title": "shawshank",
+   *     "genre": "drama"
+   *   },
+   *   "results": [
+   *     {
+   *       "_id": "507f1f77bcf86cd799439011",
+   *       "Title": "The Shawshank Redemption"
+   *     }
+   *   ],
+   *   "count": 1
+   * }
+   */
+  // Advanced search with multiple filters
+  router.get(
+    "/search/advanced",
+    [
+      authenticate,
+      check('year', 'Year must be a valid year').optional().isInt({ min: 1888, max: 2100 }),
+      ...movieListing.validators
+    ],
+    async (req, res) => {
+      assertValid(req);
+      
+      const { title, genre, director, actor, year } = req.query;
+      let searchCriteria = {};
+      
+      if (title) {
+        searchCriteria.Title = literalRegex(title);
+      }
+      
+      if (genre) {
+        Object.assign(searchCriteria, await creditFilter("Genre", genre));
+      }
+      
+      if (director) {
+        Object.assign(searchCriteria, await creditFilter("Director", director));
+      }
+      
+      if (actor) {
+        searchCriteria.$or = [{ Actors: literalRegex(actor) }, { Actresses: literalRegex(actor) }];
+      }
+      
+      if (year) {
+        searchCriteria.ReleaseYear = parseInt(year);
+      }
+      
+      if (Object.keys(searchCriteria).length === 0) {
+        throw new BadRequestError("At least one search parameter is required");
+      }
+      
+      const { results, pagination } = await movieListing.find(req, res, Movies, searchCriteria);
+      
+      res.status(200).json({
+        filters: req.query,
+        results: results,
+        count: results.length,
+        pagination: pagination
+      });
+    }
+  );
+
+  /**
+   * @function browseMovies
+   * @description - Faceted catalog browsing. Returns one page of movies matching every filter,
+   * plus counts per genre, director, decade, rating bucket and featured flag. Each facet is
+   * counted with all other filters applied but not its own, so selecting more genres widens the results.
+   * @route GET /search/browse
+   * @param {Query_Parameters} - ?genre=Drama&genre=Crime&director=&minYear=1990&maxYear=1999&minRating=8&maxRating=10&featured=true&sort=-rating&page=1&limit=20
+   * genre and director accept several values, repeated or comma-separated; sort takes title, year, rating
+   * (prefix "-" for descending) or movie sort fields; fields= selects returned fields
+   * @returns {object} - Movies, pagination and facet counts
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * {
+   *   "results": [
+   *     {
+   *       "_id": "507f1f77bcf86cd799439011",
+   *       "Title": "The Shawshank Redemption",
+   *       "ReleaseYear": 1994,
+   *       "IMDbRating": 9.3
+   *     }
+   *   ],
+   *   "facets": {
+   *     "genre": [{"value": "Drama", "count": 12}, {"value": "Crime", "count": 4}],
+   *     "director": [{"value": "Frank Darabont", "count": 2}],
+   *     "decade": [{"value": "1990s", "minYear": 1990, "maxYear": 1999, "count": 6}],
+   *     "rating": [{"value": "9+", "minRating": 9, "maxRating": null, "count": 1}, {"value": "unrated", "minRating": null, "maxRating": null, "count": 0}],
+   *     "featured": [{"value": true, "count": 3}, {"value": false, "count": 13}]
+   *   },
+   *   "pagination": {
+   *     "currentPage": 1,
+   *     "totalPages": 1,
+   *     "totalResults": 1,
+   *     "resultsPerPage": 20,
+   *     "hasNextPage": false,
+   *     "hasPrevPage": false,
+   *     "nextCursor": null
+   *   }
+   * }
+   */
+  router.get(
+    "/search/browse",
+    [
+      authenticate,
+      check(['genre', 'director'], 'Filter values must be text of at most 100 characters').optional()
+        .custom((value) => [].concat(value).every((item) => typeof item === 'string' && item.length <= 100)),
+      check(['minYear', 'maxYear'], 'Year must be a valid year').optional().isInt({ min: 1888, max: 2100 }).toInt(),
+      check(['minRating', 'maxRating'], 'Rating must be a number between 0 and 10').optional().isFloat({ min: 0, max: 10 }).toFloat(),
+      check('featured', 'Featured must be a boolean').optional().isBoolean().toBoolean(),
+      ...browseListing.validators
+    ],
+    async (req, res) => {
+      assertValid(req);
+      
+      // Sanitized filter values; req.query itself stays a string map
+      const filters = facets.buildFilters(matchedData(req, { locations: ['query'] }));
+      const listing = browseListing.parse(req);
+      
+      const [raw] = await Movies.aggregate(
+        facets.browsePipeline(filters, {
+          sort: listing.sort,
+          skip: (listing.page - 1) * listing.limit,
+          limit: listing.limit,
+          projection: listing.projection
+        })
+      );
+      const { results: fetched, total, facets: facetCounts } = facets.formatBrowseResult(raw);
+      const { results, pagination } = browseListing.paginate(req, res, listing, fetched, total);
+      
+      res.status(200).json({
+        results: results,
+        facets: facetCounts,
+        pagination: pagination
+      });
+    }
+  );
+
+  /**
+   * @function searchSuggestions
+   * @description - Auto-suggestions endpoint for search-as-you-type functionality.
+   * Substring matches come first; typo-tolerant matches (flagged "fuzzy") fill the remaining slots.
+   * When nothing matches literally, "didYouMean" holds the closest known title or name.
+   * @route GET /search/suggestions
+   * @param {Query_Parameters} - ?q=searchQuery&limit=10 (limit 1-50, defaults to 10)
+   * @returns {object} - Suggestions object with different categories
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * {
+   *   "query": "shaw",
+   *   "suggestions": {
+   *     "movies": [{"type": "movie", "value": "The Shawshank Redemption"}],
+   *     "genres": [{"type": "genre", "value": "Drama"}],
+   *     "directors": [{"type": "director", "value": "Frank Darabont"}],
+   *     "actors": [{"type": "actor", "value": "Tim Robbins"}]
+   *   }
+   * }
+   * @example
+   * // Response data format for a misspelled query
+   * {
+   *   "query": "shawshenk",
+   *   "suggestions": {
+   *     "movies": [{"type": "movie", "value": "The Shawshank Redemption", "fuzzy": true}],
+   *     "genres": [],
+   *     "directors": [],
+   *     "actors": []
+   *   },
+   *   "didYouMean": "The Shawshank Redemption"
+   * }
+   */
+  // Auto-suggestions endpoint for search-as-you-type functionality
+  router.get(
+    "/search/suggestions",
+    [
+      authenticate,
+      check('q', 'Search query is required').isString().notEmpty().isLength({ min: 1, max: 50 }),
+      check('limit', 'Limit must be between 1 and 50').optional().isInt({ min: 1, max: 50 })
+    ],
+    async (req, res) => {
+      assertValid(req);
+      
+      const searchQuery = req.query.q;
+      const limit = parseInt(req.query.limit) || 10; // Default to 10 suggestions
+      const searchRegex = literalRegex(searchQuery);
+      
+      // Get movie title suggestions
+      const movieTitles = await Movies.find(
+        { Title: searchRegex },
+        { Title: 1, _id: 0 }
+      ).limit(limit);
+      
+      // Get genre suggestions
+      const genres = await Movies.aggregate([
+        { $match: { "Genre.Name": searchRegex } },
+        { $group: { _id: "$Genre.Name" } },
+        { $limit: 5 },
+        { $project: { _id: 0, name: "$_id" } }
+      ]);
+      
+      // Get director suggestions
+      const directors = await Movies.aggregate([
+        { $match: { "Director.Name": searchRegex } },
+        { $group: { _id: "$Director.Name" } },
+        { $limit: 5 },
+        { $project: { _id: 0, name: "$_id" } }
+      ]);
+      
+      // Get actor suggestions
+      const actors = await Movies.aggregate([
+        { $unwind: "$Actors" },
+        { $match: { "Actors": searchRegex } },
+        { $group: { _id: "$Actors" } },
+        { $limit: 5 },
+        { $project: { _id: 0, name: "$_id" } }
+      ]);
+      
+      const suggestions = {
+        movies: movieTitles.map(m => ({ type: 'movie', value: m.Title })),
+        genres: genres.map(g => ({ type: 'genre', value: g.name })),
+        directors: directors.map(d => ({ type: 'director', value: d.name })),
+        actors: actors.map(a => ({ type: 'actor', value: a.name }))
+      };
+      const exactCount = Object.values(suggestions).reduce((total, list) => total + list.length, 0);
+
+      // Top up each category with typo-tolerant matches the substring search missed
+      const fuzzyByType = await fuzzyMatches(searchQuery, ['movie', 'genre', 'director', 'actor'], limit);
+      const categories = { movie: 'movies', genre: 'genres', director: 'directors', actor: 'actors' };
+      for (const [type, key] of Object.entries(categories)) {
+        const max = type === 'movie' ? limit : 5;
+        const seen = new Set(suggestions[key].map(s => s.value));
+        for (const match of fuzzyByType[type]) {
+          if (suggestions[key].length >= max) break;
+          if (!seen.has(match.value)) {
+            suggestions[key].push({ type, value: match.value, fuzzy: true });
+          }
+        }
+      }
+      
+      res.status(200).json({
+        query: searchQuery,
+        suggestions: suggestions,
+        ...(exactCount === 0 && { didYouMean: bestFuzzyMatch(fuzzyByType) })
+      });
+    }
+  );
+
+  /**
+   * @function quickSearch
+   * @description - Quick search endpoint optimized for fast results (limited fields), ordered by relevance
+   * @route GET /search/quick
+   * @param {Query_Parameters} - ?q=searchQuery&page=&limit=20&sort=&fields=
+   * @returns {object} - Quick search results with essential fields only
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * {
+   *   "query": "drama",
+   *   "results": [
+   *     {
+   *       "_id": "507f1f77bcf86cd799439011",
+   *       "Title": "The Shawshank Redemption",
+   *       "Genre": {"Name": "Drama"},
+   *       "Director": {"Name": "Frank Darabont"},
+   *       "ReleaseYear": 1994,
+   *       "ImagePath": "shawshank.png"
+   *     }
+   *   ],
+   *   "count": 1,
+   *   "isQuickSearch": true
+   * }
+   */
+  // Quick search endpoint optimized for fast results (limited fields)
+  router.get(
+    "/search/quick",
+    [
+      authenticate,
+      check('q', 'Search query is required (at most 100 characters)').isString().notEmpty().isLength({ min: 1, max: 100 }),
+      ...quickSearchListing.validators
+    ],
+    async (req, res) => {
+      assertValid(req);
+      
+      const searchQuery = req.query.q;
+      
+      // Return only essential fields for quick display (unless ?fields= asks otherwise), best matches first
+      const { results, pagination } = await quickSearchListing.find(req, res, Movies, { $text: { $search: searchQuery } }, {
+        projection: textScore,
+        sort: textScore
+      });
+      
+      res.status(200).json({
+        query: searchQuery,
+        results: results,
+        count: results.length,
+        isQuickSearch: true,
+        pagination: pagination,
+        ...(pagination.totalResults === 0 && { didYouMean: await didYouMean(searchQuery) })
+      });
+    }
+  );
+
+  /**
+   * @function paginatedSearch
+   * @description - Full-text search with pagination, ordered by relevance
+   * @route GET /search/paginated
+   * @param {Query_Parameters} - ?q=searchQuery&page=1&limit=20&cursor=&sort=&fields=
+   * @returns {object} - Search results with pagination information
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * {
+   *   "query": "drama",
+   *   "results": [
+   *     {
+   *       "_id": "507f1f77bcf86cd799439011",
+   *       "Title": "The Shawshank Redemption"
+   *     }
+   *   ],
+   *   "pagination": {
+   *     "currentPage": 1,
+   *     "totalPages": 1,
+   *     "totalResults": 1,
+   *     "resultsPerPage": 20,
+   *     "hasNextPage": false,
+   *     "hasPrevPage": false,
+   *     "nextCursor": null
+   *   }
+   * }
+   */
+  // Search with pagination for better performance
+  router.get(
+    "/search/paginated",
+    [
+      authenticate,
+      check('q', 'Search query is required (at most 100 characters)').isString().notEmpty().isLength({ max: 100 }),
+      ...relevanceListing.validators
+    ],
+    async (req, res) => {
+      assertValid(req);
+      
+      const searchQuery = req.query.q;
+      
+      // Paginated results, best matches first
+      const { results, pagination } = await relevanceListing.find(req, res, Movies, { $text: { $search: searchQuery } }, {
+        projection: textScore,
+        sort: textScore
+      });
+      
+      res.status(200).json({
+        query: searchQuery,
+        results: results,
+        pagination: pagination,
+        ...(pagination.totalResults === 0 && { didYouMean: await didYouMean(searchQuery) })
+      });
+    }
+  );
+
+  return router;
+}
+
+module.exports = { createSearchRouter };
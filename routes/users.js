@@ -0,0 +1,807 @@
+/**
+ * @fileoverview User routes for the myFlix API
+ * @description Registration, profiles, favorites, recommendations, watchlists, watch history and roles.
+ * @author Sourav Das
+ * @version 1.0.0
+ */
+
+const express = require("express");
+const recommender = require("../recommendations");
+const { createListing } = require("../listing");
+const { authorize } = require("../authorize");
+const { isReordering } = require("./helpers");
+const { check } = require('express-validator');
+const { assertValid, BadRequestError, NotFoundError, ConflictError } = require("../errors");
+
+/**
+ * Creates the router for the user routes. Mount it on the app returned by createApp().
+ * @param {Object} context - Shared by every router of an app; see createApp()
+ * @param {Object} context.models - Mongoose models, as exported by models.js
+ * @param {Function} context.authenticate - Middleware that authenticates the Bearer token
+ * @param {Object} context.tokens - Token functions of the app, see createTokens() in tokens.js
+ * @param {Object} context.mailer - Mailer of the app, see createMailer() in mailer.js
+ * @returns {express.Router}
+ */
+function createUserRouter({ models, authenticate, tokens, mailer }) {
+  const router = express.Router();
+  const Movies = models.Movie;
+  const Users = models.User;
+  const Roles = models.Roles;
+  const Reviews = models.Review;
+  const Lists = models.List;
+
+  /**
+   * Paging, sorting and field selection for the user list
+   */
+  const userListing = createListing({
+    sortFields: { Username: "Username", Email: "Email", Birthday: "Birthday", Role: "Role" },
+    defaultSort: "Username",
+    fields: ["Username", "Email", "Birthday", "FavoriteMovies", "Watchlist", "WatchHistory", "Role", "Verified"],
+    defaultLimit: 100,
+  });
+
+  /**
+   * @function getAllUsers
+   * @description - Get all users (admin only)
+   * @route GET /users
+   * @param {Query_Parameters} - ?page=&limit=&cursor=&sort=Username&fields=Username,Email
+   * @returns {Array} - Array of user objects (one page; see the Link and X-Total-Count headers)
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * [
+   *   {
+   *     "_id": "507f1f77bcf86cd799439011",
+   *     "Username": "johndoe",
+   *     "Email": "john@example.com",
+   *     "Birthday": "1990-01-01",
+   *     "FavoriteMovies": []
+   *   }
+   * ]
+   */
+  router.get(
+    "/users",
+    [
+      authenticate,
+      authorize({ roles: [Roles.ADMIN], message: "Not authorized to list users" }),
+      ...userListing.validators
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const { results } = await userListing.find(req, res, Users, {});
+      res.status(200).json(results);
+    }
+  );
+
+  /**
+   * @function registerUser
+   * @description - Register a new user account and send a verification email
+   * @route POST /users
+   * @param {Request_Body} - JSON object
+   * @returns {object} - Created user object
+   * @example
+   * // Request data format
+   * {
+   *   "Username": "johndoe",
+   *   "Password": "password123",
+   *   "Email": "john@example.com",
+   *   "Birthday": "1990-01-01"
+   * }
+   * @example
+   * // Response data format
+   * {
+   *   "_id": "507f1f77bcf86cd799439011",
+   *   "Username": "johndoe",
+   *   "Email": "john@example.com",
+   *   "Birthday": "1990-01-01",
+   *   "FavoriteMovies": []
+   * }
+   */
+  router.post('/users',
+    [
+      check('Username', 'Username is required').isLength({ min: 5 }),
+      check('Username', 'Username contains non alphanumeric characters - not allowed.').isAlphanumeric(),
+      check('Password', 'Password is required').not().isEmpty(),
+      check('Email', 'Email does not appear to be valid').isEmail()
+    ], async (req, res) => {
+
+      assertValid(req);
+
+      const existing = await Users.findOne({ Username: req.body.Username });
+      if (existing) {
+        throw new ConflictError(req.body.Username + ' already exists');
+      }
+      const user = await Users.create({
+        Username: req.body.Username,
+        Password: Users.hashPassword(req.body.Password),
+        Email: req.body.Email,
+        Birthday: req.body.Birthday
+      });
+      await mailer.sendVerificationEmail(user).catch((error) => {
+        console.error("Could not send verification email:", error);
+      });
+      res.status(201).json(user);
+    });
+
+  /**
+   * @function updateUser
+   * @description - Updates the logged in user's information.
+   * Changing the password revokes all of the user's access and refresh tokens.
+   * Changing the email marks the account unverified and sends a new verification email.
+   * A username another account already has is refused with 409.
+   * @route PUT /users/:Username
+   * @param {Query_Parameters} - :Username
+   * @param {Request_Body} - JSON object
+   * @param {Response} - JSON object
+   * @param {authentication} - Bearer token (JWT)
+   * @returns {object} - Updated user object
+   * @example
+   * // Request data format
+   * {
+   *   "Username": "johnsmith",
+   *   "Password": "newpassword123",
+   *   "Email": "johnsmith@example.com",
+   *   "Birthday": "1990-01-01"
+   * }
+   * @example
+   * // Response data format
+   * {
+   *   "_id": "507f1f77bcf86cd799439011",
+   *   "Username": "johnsmith",
+   *   "Email": "johnsmith@example.com",
+   *   "Birthday": "1990-01-01",
+   *   "FavoriteMovies": ["507f1f77bcf86cd799439012"]
+   * }
+   */
+  router.put(
+    "/users/:Username",
+    [
+      authenticate,
+      authorize({ self: "Username", message: "Not authorized to update this user" }),
+      check('Username', 'Username is required').isLength({ min: 5 }),
+      check('Username', 'Username contains non alphanumeric characters - not allowed.').isAlphanumeric(),
+      check('Password', 'Password is required').not().isEmpty(),
+      check('Email', 'Email does not appear to be valid').isEmail()
+    ],
+    async (req, res) => {
+      assertValid(req);
+
+      if (req.body.Username !== req.params.Username && (await Users.exists({ Username: req.body.Username }))) {
+        throw new ConflictError(req.body.Username + ' already exists');
+      }
+      // A new password signs the user out of every session.
+      const passwordChanged = !req.user.validatePassword(req.body.Password);
+      // A new address has to be verified again.
+      const emailChanged = req.user.Email !== req.body.Email;
+      const updatedUser = await Users.findOneAndUpdate(
+        { Username: req.params.Username },
+        {
+          $set: {
+            Username: req.body.Username,
+            Password: Users.hashPassword(req.body.Password),
+            Email: req.body.Email,
+            Birthday: req.body.Birthday,
+            ...(emailChanged && { Verified: false }),
+          },
+        },
+        { new: true }
+      );
+      if (passwordChanged) {
+        await tokens.revokeUserTokens(updatedUser._id);
+      }
+      if (emailChanged) {
+        await mailer.sendVerificationEmail(updatedUser).catch((error) => {
+          console.error("Could not send verification email:", error);
+        });
+      }
+      res.json(updatedUser);
+    }
+  );
+
+  /**
+   * @function getUserByUsername
+   * @description - Get user by username
+   * @route GET /users/:username
+   * @param {Query_Parameters} - :username
+   * @returns {object} - User object
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * {
+   *   "_id": "507f1f77bcf86cd799439011",
+   *   "Username": "johndoe",
+   *   "Email": "john@example.com",
+   *   "Birthday": "1990-01-01",
+   *   "FavoriteMovies": ["507f1f77bcf86cd799439012"]
+   * }
+   */
+  // Get user by username
+  router.get(
+    "/users/:username",
+    [
+      authenticate,
+      authorize({ self: "username", roles: [Roles.ADMIN], message: "Not authorized to view this user" }),
+      check('username', 'Username is required').notEmpty()
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const user = await Users.findOne({ Username: req.params.username });
+      if (!user) {
+        throw new NotFoundError("User not found");
+      }
+      res.status(200).json(user);
+    }
+  );
+
+  /**
+   * @function getUserFavorites
+   * @description - Get user's favorite movies with full movie details
+   * @route GET /users/:username/favorites
+   * @param {Query_Parameters} - :username
+   * @returns {object} - Object containing username, favorite movies array, and count
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * {
+   *   "username": "johndoe",
+   *   "favoriteMovies": [
+   *     {
+   *       "_id": "507f1f77bcf86cd799439012",
+   *       "Title": "The Godfather",
+   *       "Description": "Movie description..."
+   *     }
+   *   ],
+   *   "count": 1
+   * }
+   */
+  // Get user's favorite movies with full movie details
+  router.get(
+    "/users/:username/favorites",
+    [
+      authenticate,
+      authorize({ self: "username", roles: [Roles.ADMIN], message: "Not authorized to view this user's favorites" }),
+      check('username', 'Username is required').notEmpty()
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const user = await Users.findOne({ Username: req.params.username }).populate('FavoriteMovies');
+      if (!user) {
+        throw new NotFoundError("User not found");
+      }
+      res.status(200).json({
+        username: user.Username,
+        favoriteMovies: user.FavoriteMovies,
+        count: user.FavoriteMovies.length
+      });
+    }
+  );
+
+  /**
+   * @function getUserRecommendations
+   * @description - Recommend movies the user hasn't favorited, ranked by how much they share
+   * (genre, director, cast) with the user's favorites and weighted by IMDb rating.
+   * Users without favorites get the highest rated movies instead.
+   * @route GET /users/:username/recommendations
+   * @param {Query_Parameters} - :username, ?limit=10
+   * @returns {object} - Object containing username, recommendations array, and count
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * {
+   *   "username": "johndoe",
+   *   "recommendations": [
+   *     {
+   *       "movie": {
+   *         "_id": "507f1f77bcf86cd799439013",
+   *         "Title": "The Godfather Part II"
+   *       },
+   *       "score": 5.85,
+   *       "because": "Because you liked The Godfather: also directed by Francis Ford Coppola, also starring Al Pacino, also Crime",
+   *       "basedOn": { "_id": "507f1f77bcf86cd799439012", "Title": "The Godfather" }
+   *     }
+   *   ],
+   *   "count": 1
+   * }
+   */
+  router.get(
+    "/users/:username/recommendations",
+    [
+      authenticate,
+      authorize({ self: "username", roles: [Roles.ADMIN], message: "Not authorized to view this user's recommendations" }),
+      check('username', 'Username is required').notEmpty(),
+      check('limit', 'Limit must be between 1 and 50').optional().isInt({ min: 1, max: 50 }).toInt()
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const limit = req.query.limit || 10;
+      const user = await Users.findOne({ Username: req.params.username }).populate('FavoriteMovies');
+      if (!user) {
+        throw new NotFoundError("User not found");
+      }
+
+      const favorites = user.FavoriteMovies.filter(Boolean);
+      let recommendations;
+      if (favorites.length === 0) {
+        const topRated = await Movies.find().sort({ IMDbRating: -1 }).limit(limit);
+        recommendations = topRated.map((movie) => ({
+          movie: movie,
+          score: movie.IMDbRating || 0,
+          because: "Highly rated on IMDb",
+          basedOn: null
+        }));
+      } else {
+        const candidates = await Movies.find(recommender.candidateFilter(favorites));
+        recommendations = recommender.recommend(favorites, candidates, { limit });
+      }
+
+      res.status(200).json({
+        username: user.Username,
+        recommendations: recommendations,
+        count: recommendations.length
+      });
+    }
+  );
+
+  /**
+   * @function addToFavorites
+   * @description - Add a movie to user's list of favorite movies
+   * @route POST /users/:username/movies/:movieId
+   * @param {Query_Parameters} - :username, :movieId
+   * @returns {object} - Updated user object
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * {
+   *   "_id": "507f1f77bcf86cd799439011",
+   *   "Username": "johndoe",
+   *   "Email": "john@example.com",
+   *   "FavoriteMovies": ["507f1f77bcf86cd799439012", "507f1f77bcf86cd799439013"]
+   * }
+   */
+  router.post(
+    "/users/:username/movies/:movieId",
+    [
+      authenticate,
+      authorize({ self: "username", message: "Not authorized to update this user's favorites" }),
+      check('username', 'Username is required').notEmpty(),
+      check('movieId', 'Invalid movie ID').isMongoId()
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const updatedUser = await Users.findOneAndUpdate(
+        { Username: req.params.username },
+        { $addToSet: { FavoriteMovies: req.params.movieId } },
+        { new: true }
+      );
+      if (!updatedUser) {
+        throw new NotFoundError("User not found");
+      }
+      res.status(200).json(updatedUser);
+    }
+  );
+
+  /**
+   * @function removeFromFavorites
+   * @description - Remove a movie from user's list of favorite movies
+   * @route DELETE /users/:username/movies/:movieId
+   * @param {Query_Parameters} - :username, :movieId
+   * @returns {object} - Updated user object
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * {
+   *   "_id": "507f1f77bcf86cd799439011",
+   *   "Username": "johndoe",
+   *   "Email": "john@example.com",
+   *   "FavoriteMovies": ["507f1f77bcf86cd799439013"]
+   * }
+   */
+  router.delete(
+    "/users/:username/movies/:movieId",
+    [
+      authenticate,
+      authorize({ self: "username", message: "Not authorized to update this user's favorites" }),
+      check('username', 'Username is required').notEmpty(),
+      check('movieId', 'Invalid movie ID').isMongoId()
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const updatedUser = await Users.findOneAndUpdate(
+        { Username: req.params.username },
+        { $pull: { FavoriteMovies: req.params.movieId } },
+        { new: true }
+      );
+      if (!updatedUser) {
+        throw new NotFoundError("User not found");
+      }
+      res.status(200).json(updatedUser);
+    }
+  );
+
+  /**
+   * Shapes a user's populated watchlist for responses
+   * @param {Object} user - User with Watchlist populated
+   * @returns {object} - Username, ordered watchlist movies and count
+   */
+  function watchlistResponse(user) {
+    // Movies deleted from the catalog populate as null.
+    const watchlist = user.Watchlist.filter(Boolean);
+    return {
+      username: user.Username,
+      watchlist: watchlist,
+      count: watchlist.length
+    };
+  }
+
+  /**
+   * Shapes a user's populated watch history for responses, most recent first
+   * @param {Object} user - User with WatchHistory.Movie populated
+   * @returns {object} - Username, history entries and count
+   */
+  function historyResponse(user) {
+    const history = user.WatchHistory
+      .filter((entry) => entry.Movie)
+      .sort((a, b) => b.WatchedAt - a.WatchedAt);
+    return {
+      username: user.Username,
+      history: history,
+      count: history.length
+    };
+  }
+
+  /**
+   * @function getUserWatchlist
+   * @description - Get the user's "want to watch" queue with full movie details, in queue order
+   * @route GET /users/:username/watchlist
+   * @param {Query_Parameters} - :username
+   * @returns {object} - Object containing username, watchlist movies array, and count
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * {
+   *   "username": "johndoe",
+   *   "watchlist": [
+   *     {
+   *       "_id": "507f1f77bcf86cd799439012",
+   *       "Title": "The Godfather",
+   *       "Description": "Movie description..."
+   *     }
+   *   ],
+   *   "count": 1
+   * }
+   */
+  router.get(
+    "/users/:username/watchlist",
+    [
+      authenticate,
+      authorize({ self: "username", roles: [Roles.ADMIN], message: "Not authorized to view this user's watchlist" }),
+      check('username', 'Username is required').notEmpty()
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const user = await Users.findOne({ Username: req.params.username }).populate('Watchlist');
+      if (!user) {
+        throw new NotFoundError("User not found");
+      }
+      res.status(200).json(watchlistResponse(user));
+    }
+  );
+
+  /**
+   * @function addToWatchlist
+   * @description - Add a movie to the end of the user's watchlist
+   * @route POST /users/:username/watchlist/:movieId
+   * @param {Query_Parameters} - :username, :movieId
+   * @returns {object} - Updated watchlist (same format as GET /users/:username/watchlist)
+   * @param {authentication} - Bearer token (JWT)
+   */
+  router.post(
+    "/users/:username/watchlist/:movieId",
+    [
+      authenticate,
+      authorize({ self: "username", message: "Not authorized to update this user's watchlist" }),
+      check('username', 'Username is required').notEmpty(),
+      check('movieId', 'Invalid movie ID').isMongoId()
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const movieExists = await Movies.exists({ _id: req.params.movieId });
+      if (!movieExists) {
+        throw new NotFoundError("Movie not found");
+      }
+      const updatedUser = await Users.findOneAndUpdate(
+        { Username: req.params.username },
+        { $addToSet: { Watchlist: req.params.movieId } },
+        { new: true }
+      ).populate('Watchlist');
+      if (!updatedUser) {
+        throw new NotFoundError("User not found");
+      }
+      res.status(200).json(watchlistResponse(updatedUser));
+    }
+  );
+
+  /**
+   * @function removeFromWatchlist
+   * @description - Remove a movie from the user's watchlist
+   * @route DELETE /users/:username/watchlist/:movieId
+   * @param {Query_Parameters} - :username, :movieId
+   * @returns {object} - Updated watchlist (same format as GET /users/:username/watchlist)
+   * @param {authentication} - Bearer token (JWT)
+   */
+  router.delete(
+    "/users/:username/watchlist/:movieId",
+    [
+      authenticate,
+      authorize({ self: "username", message: "Not authorized to update this user's watchlist" }),
+      check('username', 'Username is required').notEmpty(),
+      check('movieId', 'Invalid movie ID').isMongoId()
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const updatedUser = await Users.findOneAndUpdate(
+        { Username: req.params.username },
+        { $pull: { Watchlist: req.params.movieId } },
+        { new: true }
+      ).populate('Watchlist');
+      if (!updatedUser) {
+        throw new NotFoundError("User not found");
+      }
+      res.status(200).json(watchlistResponse(updatedUser));
+    }
+  );
+
+  /**
+   * @function reorderWatchlist
+   * @description - Reorder the user's watchlist. The new order must contain exactly the movies already on it.
+   * @route PUT /users/:username/watchlist
+   * @param {Query_Parameters} - :username
+   * @param {Request_Body} - JSON object
+   * @returns {object} - Updated watchlist (same format as GET /users/:username/watchlist)
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Request data format
+   * {
+   *   "order": ["507f1f77bcf86cd799439013", "507f1f77bcf86cd799439012"]
+   * }
+   */
+  router.put(
+    "/users/:username/watchlist",
+    [
+      authenticate,
+      authorize({ self: "username", message: "Not authorized to update this user's watchlist" }),
+      check('username', 'Username is required').notEmpty(),
+      check('order', 'Order must be an array of movie IDs').isArray(),
+      check('order.*', 'Invalid movie ID').isMongoId()
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const user = await Users.findOne({ Username: req.params.username });
+      if (!user) {
+        throw new NotFoundError("User not found");
+      }
+      const order = req.body.order.map(String);
+      if (!isReordering(order, user.Watchlist)) {
+        throw new BadRequestError("Order must list every movie on the watchlist exactly once");
+      }
+      user.Watchlist = order;
+      await user.save();
+      await user.populate('Watchlist');
+      res.status(200).json(watchlistResponse(user));
+    }
+  );
+
+  /**
+   * @function getUserHistory
+   * @description - Get the movies the user has watched, most recent first, with full movie details
+   * @route GET /users/:username/history
+   * @param {Query_Parameters} - :username
+   * @returns {object} - Object containing username, history entries and count
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * {
+   *   "username": "johndoe",
+   *   "history": [
+   *     {
+   *       "_id": "65a1f77bcf86cd7994390bb",
+   *       "Movie": {
+   *         "_id": "507f1f77bcf86cd799439012",
+   *         "Title": "The Godfather"
+   *       },
+   *       "WatchedAt": "2025-01-01T20:00:00.000Z"
+   *     }
+   *   ],
+   *   "count": 1
+   * }
+   */
+  router.get(
+    "/users/:username/history",
+    [
+      authenticate,
+      authorize({ self: "username", roles: [Roles.ADMIN], message: "Not authorized to view this user's history" }),
+      check('username', 'Username is required').notEmpty()
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const user = await Users.findOne({ Username: req.params.username }).populate('WatchHistory.Movie');
+      if (!user) {
+        throw new NotFoundError("User not found");
+      }
+      res.status(200).json(historyResponse(user));
+    }
+  );
+
+  /**
+   * @function addToHistory
+   * @description - Record that the user watched a movie. Rewatches add another entry.
+   * The movie is taken off the user's watchlist.
+   * @route POST /users/:username/history/:movieId
+   * @param {Query_Parameters} - :username, :movieId
+   * @param {Request_Body} - Optional JSON object; WatchedAt defaults to now
+   * @returns {object} - Updated history (same format as GET /users/:username/history)
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Request data format
+   * {
+   *   "WatchedAt": "2025-01-01T20:00:00.000Z"
+   * }
+   */
+  router.post(
+    "/users/:username/history/:movieId",
+    [
+      authenticate,
+      authorize({ self: "username", message: "Not authorized to update this user's history" }),
+      check('username', 'Username is required').notEmpty(),
+      check('movieId', 'Invalid movie ID').isMongoId(),
+      check('WatchedAt', 'WatchedAt must be a valid date').optional().isISO8601()
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const watchedAt = req.body.WatchedAt ? new Date(req.body.WatchedAt) : new Date();
+      if (watchedAt > new Date()) {
+        throw new BadRequestError("WatchedAt cannot be in the future");
+      }
+      const movieExists = await Movies.exists({ _id: req.params.movieId });
+      if (!movieExists) {
+        throw new NotFoundError("Movie not found");
+      }
+      const updatedUser = await Users.findOneAndUpdate(
+        { Username: req.params.username },
+        {
+          $push: { WatchHistory: { Movie: req.params.movieId, WatchedAt: watchedAt } },
+          $pull: { Watchlist: req.params.movieId }
+        },
+        { new: true }
+      ).populate('WatchHistory.Movie');
+      if (!updatedUser) {
+        throw new NotFoundError("User not found");
+      }
+      res.status(201).json(historyResponse(updatedUser));
+    }
+  );
+
+  /**
+   * @function removeFromHistory
+   * @description - Delete a single entry from the user's watch history
+   * @route DELETE /users/:username/history/:entryId
+   * @param {Query_Parameters} - :username, :entryId
+   * @returns {object} - Updated history (same format as GET /users/:username/history)
+   * @param {authentication} - Bearer token (JWT)
+   */
+  router.delete(
+    "/users/:username/history/:entryId",
+    [
+      authenticate,
+      authorize({ self: "username", message: "Not authorized to update this user's history" }),
+      check('username', 'Username is required').notEmpty(),
+      check('entryId', 'Invalid history entry ID').isMongoId()
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const updatedUser = await Users.findOneAndUpdate(
+        { Username: req.params.username },
+        { $pull: { WatchHistory: { _id: req.params.entryId } } },
+        { new: true }
+      ).populate('WatchHistory.Movie');
+      if (!updatedUser) {
+        throw new NotFoundError("User not found");
+      }
+      res.status(200).json(historyResponse(updatedUser));
+    }
+  );
+
+  /**
+   * @function deleteUser
+   * @description - Delete a user account
+   * @route DELETE /users/:username
+   * @param {Query_Parameters} - :username
+   * @returns {object} - Deletion confirmation message
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Response data format
+   * {
+   *   "message": "johndoe was deleted."
+   * }
+   */
+  router.delete(
+    "/users/:username",
+    [
+      authenticate,
+      authorize({ self: "username", roles: [Roles.ADMIN], message: "Not authorized to delete this user" }),
+      check('username', 'Username is required').notEmpty()
+    ],
+    async (req, res) => {
+      assertValid(req);
+      const user = await Users.findOneAndDelete({
+        Username: req.params.username,
+      });
+      if (!user) {
+        throw new NotFoundError("User not found");
+      }
+      await tokens.revokeUserTokens(user._id);
+      await Lists.deleteMany({ Owner: user._id });
+      const reviewedMovies = await Reviews.distinct("Movie", { User: user._id });
+      await Reviews.deleteMany({ User: user._id });
+      await Reviews.updateMany(
+        { HelpfulBy: user._id },
+        { $pull: { HelpfulBy: user._id }, $inc: { HelpfulCount: -1 } }
+      );
+      await Promise.all(
+        reviewedMovies.map((movieId) => Reviews.updateCommunityRating(movieId))
+      );
+      res.status(200).json({ message: req.params.username + " was deleted." });
+    }
+  );
+
+  /**
+   * @function updateUserRole
+   * @description - Change the role of a user account (admin only)
+   * @route PATCH /users/:username/role
+   * @param {Query_Parameters} - :username
+   * @param {Request_Body} - JSON object
+   * @returns {object} - Updated user object
+   * @param {authentication} - Bearer token (JWT)
+   * @example
+   * // Request data format
+   * {
+   *   "Role": "admin"
+   * }
+   * @example
+   * // Response data format
+   * {
+   *   "_id": "507f1f77bcf86cd799439011",
+   *   "Username": "johndoe",
+   *   "Email": "john@example.com",
+   *   "Role": "admin"
+   * }
+   */
+  router.patch(
+    "/users/:username/role",
+    [
+      authenticate,
+      authorize({ roles: [Roles.ADMIN], message: "Not authorized to change user roles" }),
+      check('username', 'Username is required').notEmpty(),
+      check('Role', 'Role must be one of: ' + Object.values(Roles).join(', ')).isIn(Object.values(Roles))
+    ],
+    async (req, res) => {
+      assertValid(req);
+      if (req.user.Username === req.params.username && req.body.Role !== Roles.ADMIN) {
+        throw new BadRequestError("Admins cannot remove their own admin role");
+      }
+      const updatedUser = await Users.findOneAndUpdate(
+        { Username: req.params.username },
+        { $set: { Role: req.body.Role } },
+        { new: true, runValidators: true }
+      );
+      if (!updatedUser) {
+        throw new NotFoundError("User not found");
+      }
+      res.status(200).json(updatedUser);
+    }
+  );
+
+  return router;
+}
+
+module.exports = { createUserRouter };
@@ -0,0 +1,61 @@
+/**
+ * Seed an admin account: promotes an existing user, or creates a new one.
+ * Run with:  node seed-admin.js <Username> [Email]
+ * Creating a new user also needs ADMIN_PASSWORD, so the password never lands in shell history.
+ * Requires CONNECTION_URI or MONGODB_URI env var (same as the main app).
+ */
+
+const mongoose = require("mongoose");
+const Models = require("./models.js");
+
+const Users = Models.User;
+const Roles = Models.Roles;
+
+async function main() {
+  const [username, email] = process.argv.slice(2);
+  if (!username) {
+    console.error("Usage: node seed-admin.js <Username> [Email]");
+    process.exit(1);
+  }
+
+  const uri = process.env.CONNECTION_URI || process.env.MONGODB_URI;
+  if (!uri) {
+    console.error(
+      "Error: CONNECTION_URI or MONGODB_URI environment variable is required."
+    );
+    process.exit(1);
+  }
+
+  await mongoose.connect(uri);
+  console.log("Connected to MongoDB.\n");
+
+  const existing = await Users.findOne({ Username: username });
+  if (existing) {
+    existing.Role = Roles.ADMIN;
+    await existing.save();
+    console.log(`"${username}" is now an admin.`);
+  } else {
+    const password = process.env.ADMIN_PASSWORD;
+    if (!email || !password) {
+      await mongoose.disconnect();
+      console.error(
+        `Error: "${username}" does not exist. Pass an Email and set ADMIN_PASSWORD to create it.`
+      );
+      process.exit(1);
+    }
+    await Users.create({
+      Username: username,
+      Password: Users.hashPassword(password),
+      Email: email,
+      Role: Roles.ADMIN,
+    });
+    console.log(`Created admin "${username}".`);
+  }
+
+  await mongoose.disconnect();
+}
+
+main().catch((err) => {
+  console.error("Seeding admin failed:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,41 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { createApp } = require("../app");
+const { createTokens } = require("../tokens");
+
+/**
+ * App without a database, so only the routes in front of the database check answer normally
+ * @param {Object} [config] - Merged into the app's config
+ * @returns {Express}
+ */
+function offlineApp(config) {
+  return createApp({
+    config: { jwtSecret: "app-test-secret", logRequests: false, isDatabaseAvailable: () => false, ...config },
+  });
+}
+
+describe("createApp", () => {
+  it("refuses to build an app without a JWT secret", () => {
+    assert.throws(() => offlineApp({ jwtSecret: "" }), /JWT_SECRET/);
+  });
+
+  it("gives every app its own rate limit counts", async () => {
+    const rateLimits = { listing: { limit: 1 } };
+    const first = offlineApp({ rateLimits });
+    const second = offlineApp({ rateLimits });
+    await request(first).get("/movies").expect(503);
+    await request(first).get("/movies").expect(429);
+    await request(second).get("/movies").expect(503);
+  });
+
+  it("only accepts access tokens signed with the app's own secret", async () => {
+    const other = createTokens({ jwtSecret: "another-secret" });
+    const token = other.generateAccessToken({ _id: "507f1f77bcf86cd799439011", Username: "alicesmith" });
+    const res = await request(offlineApp())
+      .post("/email/verify/request")
+      .set("Authorization", "Bearer " + token)
+      .expect(401);
+    assert.equal(res.body.error.code, "unauthorized");
+  });
+});
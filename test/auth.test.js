@@ -0,0 +1,257 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const jwt = require("jsonwebtoken");
+const api = require("./support/api");
+const Models = require("../models.js");
+const loginLimiter = require("../login-limiter");
+
+describe("authentication", { skip: api.skipReason }, () => {
+  let app;
+  let data;
+
+  before(async () => {
+    app = await api.start();
+  });
+  after(api.stop);
+  beforeEach(async () => {
+    data = await api.reset();
+  });
+
+  describe("GET / and GET /health", () => {
+    it("answers without a token", async () => {
+      await request(app).get("/").expect(200);
+      const res = await request(app).get("/health").expect(200);
+      assert.deepEqual(res.body, { status: "ok", database: "connected" });
+    });
+  });
+
+  describe("POST /login", () => {
+    it("returns the user with an access token and a refresh token", async () => {
+      const res = await request(app)
+        .post("/login")
+        .send({ Username: "alicesmith", Password: api.password })
+        .expect(200);
+      assert.equal(res.body.user.Username, "alicesmith");
+      assert.equal(res.body.user.Password, undefined);
+      assert.equal(jwt.decode(res.body.token).Username, "alicesmith");
+      assert.ok(res.body.refreshToken);
+
+      await request(app).get("/movies").set("Authorization", "Bearer " + res.body.token).expect(200);
+    });
+
+    it("rejects a wrong password", async () => {
+      await request(app)
+        .post("/login")
+        .send({ Username: "alicesmith", Password: "not-the-password" })
+        .expect(401);
+    });
+
+    it("rejects an unknown username", async () => {
+      await request(app)
+        .post("/login")
+        .send({ Username: "nobodyhere", Password: api.password })
+        .expect(401);
+    });
+
+    const login = (Username, Password = "not-the-password") =>
+      request(app).post("/login").send({ Username, Password });
+
+    it("records the last failed attempt on the user without ever returning it", async () => {
+      await login("alicesmith").expect(401);
+      const alice = await Models.User.findOne({ Username: "alicesmith" });
+      assert.ok(alice.LastFailedLoginAt);
+
+      const res = await login("alicesmith", api.password).expect(200);
+      assert.equal(res.body.user.LastFailedLoginAt, undefined);
+    });
+
+    it("locks an account out after repeated failures, even for the right password", async () => {
+      for (let attempt = 0; attempt < loginLimiter.maxAccountFailures; attempt++) {
+        await login("alicesmith").expect(401);
+      }
+      const res = await login("alicesmith", api.password).expect(429);
+      assert.equal(res.body.error.code, "too_many_requests");
+      assert.equal(res.headers["retry-after"], String(loginLimiter.baseLockoutMs / 1000));
+      // Other accounts are not affected
+      await login("bobjones", api.password).expect(200);
+    });
+
+    it("rejects usernames and passwords that are not strings", async () => {
+      for (const Username of [["alicesmith"], { $eq: "alicesmith" }, { $ne: null }, undefined]) {
+        const res = await login(Username, api.password).expect(400);
+        assert.equal(res.body.error.code, "bad_request");
+      }
+      await login("alicesmith", { $ne: null }).expect(400);
+    });
+
+    it("keeps a locked account locked for usernames sent as arrays or operators", async () => {
+      for (let attempt = 0; attempt < loginLimiter.maxAccountFailures; attempt++) {
+        await login("alicesmith").expect(401);
+      }
+      await login(["alicesmith"], api.password).expect(400);
+      await login({ $eq: "alicesmith" }, api.password).expect(400);
+      await login("alicesmith", api.password).expect(429);
+    });
+
+    it("locks an IP out after repeated failures across accounts", async () => {
+      for (let attempt = 0; attempt < loginLimiter.maxIpFailures; attempt++) {
+        await login("guess" + attempt).expect(401);
+      }
+      await login("bobjones", api.password).expect(429);
+    });
+  });
+
+  describe("protected routes", () => {
+    it("reject requests without a token", async () => {
+      await request(app).get("/movies").expect(401);
+    });
+
+    it("reject malformed tokens", async () => {
+      await request(app).get("/movies").set("Authorization", "Bearer not-a-jwt").expect(401);
+    });
+
+    it("reject tokens signed with another secret", async () => {
+      const forged = jwt.sign(
+        { _id: String(data.users.admin._id), Username: "adminuser", Role: "admin", ver: 0 },
+        "some-other-secret"
+      );
+      await request(app).get("/users").set("Authorization", "Bearer " + forged).expect(401);
+    });
+
+    it("reject tokens of deleted users", async () => {
+      const token = api.bearer(data.users.bob);
+      await data.users.bob.deleteOne();
+      await request(app).get("/movies").set("Authorization", token).expect(401);
+    });
+  });
+
+  describe("POST /token/refresh", () => {
+    it("exchanges a refresh token for a new pair, once", async () => {
+      const login = await request(app)
+        .post("/login")
+        .send({ Username: "alicesmith", Password: api.password })
+        .expect(200);
+
+      const res = await request(app)
+        .post("/token/refresh")
+        .send({ refreshToken: login.body.refreshToken })
+        .expect(200);
+      assert.ok(res.body.token);
+      assert.notEqual(res.body.refreshToken, login.body.refreshToken);
+
+      // Reusing a rotated token looks like theft and ends every session
+      await request(app).post("/token/refresh").send({ refreshToken: login.body.refreshToken }).expect(401);
+      await request(app).post("/token/refresh").send({ refreshToken: res.body.refreshToken }).expect(401);
+      await request(app).get("/movies").set("Authorization", "Bearer " + res.body.token).expect(401);
+    });
+
+    it("lets only one of two parallel refreshes with the same token through", async () => {
+      const login = await request(app)
+        .post("/login")
+        .send({ Username: "alicesmith", Password: api.password })
+        .expect(200);
+
+      const refresh = () => request(app).post("/token/refresh").send({ refreshToken: login.body.refreshToken });
+      const statuses = (await Promise.all([refresh(), refresh()])).map((res) => res.status).sort();
+      assert.deepEqual(statuses, [200, 401]);
+    });
+
+    it("rejects unknown refresh tokens", async () => {
+      await request(app).post("/token/refresh").send({ refreshToken: "unknown" }).expect(401);
+    });
+
+    it("requires a refresh token", async () => {
+      const res = await request(app).post("/token/refresh").send({}).expect(422);
+      assert.equal(res.body.error.details[0].field, "refreshToken");
+    });
+  });
+
+  describe("POST /logout", () => {
+    it("revokes the refresh token", async () => {
+      const login = await request(app)
+        .post("/login")
+        .send({ Username: "alicesmith", Password: api.password })
+        .expect(200);
+
+      const res = await request(app).post("/logout").send({ refreshToken: login.body.refreshToken }).expect(200);
+      assert.deepEqual(res.body, { message: "Logged out" });
+      await request(app).post("/token/refresh").send({ refreshToken: login.body.refreshToken }).expect(401);
+      // The access token stays valid until it expires
+      await request(app).get("/movies").set("Authorization", "Bearer " + login.body.token).expect(200);
+    });
+
+    it("ends every session with all: true", async () => {
+      const login = await request(app)
+        .post("/login")
+        .send({ Username: "alicesmith", Password: api.password })
+        .expect(200);
+
+      await request(app).post("/logout").send({ refreshToken: login.body.refreshToken, all: true }).expect(200);
+      await request(app).get("/movies").set("Authorization", "Bearer " + login.body.token).expect(401);
+    });
+
+    it("validates the request", async () => {
+      await request(app).post("/logout").send({ refreshToken: "x", all: "sometimes" }).expect(422);
+    });
+  });
+
+  describe("password reset", () => {
+    it("emails a code that sets a new password and signs the user out", async () => {
+      const oldToken = api.bearer(data.users.alice);
+      await request(app).post("/password/forgot").send({ Email: "alice@example.com" }).expect(200);
+      assert.equal(api.outbox().length, 1);
+      assert.equal(api.outbox()[0].to, "alice@example.com");
+
+      await request(app)
+        .post("/password/reset")
+        .send({ token: api.codeFrom(api.outbox()[0]), Password: "a-new-password" })
+        .expect(200);
+
+      await request(app).get("/movies").set("Authorization", oldToken).expect(401);
+      await request(app).post("/login").send({ Username: "alicesmith", Password: api.password }).expect(401);
+      await request(app).post("/login").send({ Username: "alicesmith", Password: "a-new-password" }).expect(200);
+    });
+
+    it("gives the same answer for unknown addresses without sending mail", async () => {
+      const res = await request(app).post("/password/forgot").send({ Email: "nobody@example.com" }).expect(200);
+      assert.match(res.body.message, /If an account with that email exists/);
+      assert.equal(api.outbox().length, 0);
+    });
+
+    it("rejects invalid addresses and unknown codes", async () => {
+      await request(app).post("/password/forgot").send({ Email: "not-an-email" }).expect(422);
+      await request(app).post("/password/reset").send({ token: "unknown", Password: "whatever" }).expect(400);
+      await request(app).post("/password/reset").send({ token: "unknown" }).expect(422);
+    });
+
+    it("accepts each code once", async () => {
+      await request(app).post("/password/forgot").send({ Email: "alice@example.com" }).expect(200);
+      const code = api.codeFrom(api.outbox()[0]);
+      await request(app).post("/password/reset").send({ token: code, Password: "first-new-one" }).expect(200);
+      await request(app).post("/password/reset").send({ token: code, Password: "second-new-one" }).expect(400);
+    });
+  });
+
+  describe("email verification", () => {
+    it("sends a code that verifies the address", async () => {
+      const token = api.bearer(data.users.bob);
+      const res = await request(app).post("/email/verify/request").set("Authorization", token).expect(200);
+      assert.equal(res.body.message, "Verification email sent to bob@example.com");
+
+      await request(app).post("/email/verify").send({ token: api.codeFrom(api.outbox()[0]) }).expect(200);
+
+      const again = await request(app).post("/email/verify/request").set("Authorization", token).expect(200);
+      assert.equal(again.body.message, "Email is already verified");
+    });
+
+    it("needs a token to request a code", async () => {
+      await request(app).post("/email/verify/request").expect(401);
+    });
+
+    it("rejects unknown codes", async () => {
+      await request(app).post("/email/verify").send({ token: "unknown" }).expect(400);
+      await request(app).post("/email/verify").send({}).expect(422);
+    });
+  });
+});
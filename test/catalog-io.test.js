@@ -0,0 +1,94 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseRecords, toMovieData, movieDataErrors } = require("../catalog-io");
+
+describe("parseRecords", () => {
+  it("reads quoted CSV cells and numbers rows after the header", () => {
+    const csv =
+      "\uFEFFTitle,Genre.Name,Actors,ReleaseYear\n" +
+      '"Heat, the movie",Crime,Al Pacino|Robert De Niro,1995\r\n' +
+      '"Say ""hi""",,,\n' +
+      ",,,\n" +
+      "A,B,C,D,E\n";
+    const records = parseRecords(csv, "csv");
+    assert.deepEqual(records.slice(0, 2), [
+      {
+        row: 1,
+        data: { Title: "Heat, the movie", Genre: { Name: "Crime" }, Actors: "Al Pacino|Robert De Niro", ReleaseYear: "1995" },
+      },
+      { row: 2, data: { Title: 'Say "hi"', Genre: { Name: "" }, Actors: "", ReleaseYear: "" } },
+    ]);
+    assert.equal(records.length, 3);
+    assert.equal(records[2].row, 3);
+    assert.match(records[2].error, /5 values but the header has 4 columns/);
+  });
+
+  it("rejects a CSV file without a Title column or with an unclosed quote", () => {
+    assert.throws(() => parseRecords("Name\nHeat\n", "csv"), /must include a Title column/);
+    assert.throws(() => parseRecords('Title\n"Heat\n', "csv"), /never closed/);
+  });
+
+  it("rejects only the NDJSON lines that are not JSON", () => {
+    const records = parseRecords('{"Title":"Heat"}\n\nnot json\n', "ndjson");
+    assert.deepEqual(records[0], { row: 1, data: { Title: "Heat" } });
+    assert.equal(records[1].row, 2);
+    assert.match(records[1].error, /^Invalid JSON/);
+  });
+
+  it("needs a JSON import to be an array", () => {
+    assert.deepEqual(parseRecords('[{"Title":"Heat"}]', "json"), [{ row: 1, data: { Title: "Heat" } }]);
+    assert.throws(() => parseRecords('{"Title":"Heat"}', "json"), /must be an array/);
+    assert.throws(() => parseRecords("[", "json"), /Invalid JSON/);
+  });
+});
+
+describe("toMovieData", () => {
+  it("converts CSV text to movie data and leaves blanks out", () => {
+    const [record] = parseRecords("Title,Actors,ReleaseYear,Genre.Name\nHeat,Al Pacino| Robert De Niro |,1995,\n", "csv");
+    assert.deepEqual(toMovieData(record.data), {
+      Title: "Heat",
+      Actors: ["Al Pacino", "Robert De Niro"],
+      ReleaseYear: 1995,
+    });
+    assert.deepEqual(
+      toMovieData({ Title: " Inception ", Description: "  ", Director: "Christopher Nolan", IMDbRating: "8.8", Featured: "yes" }),
+      { Title: "Inception", Director: { Name: "Christopher Nolan" }, IMDbRating: 8.8, Featured: true }
+    );
+  });
+});
+
+describe("movieDataErrors", () => {
+  it("accepts valid movie data", () => {
+    const data = {
+      Title: "Heat",
+      Genre: { Name: "Crime" },
+      Director: { Name: "Michael Mann", Birth: "1943-02-05" },
+      Actors: ["Al Pacino"],
+      ReleaseYear: 1995,
+      IMDbRating: 8.3,
+      Featured: false,
+    };
+    assert.deepEqual(movieDataErrors(data), []);
+  });
+
+  it("lists every rule the data breaks", () => {
+    const data = {
+      Title: 5,
+      Genre: "Crime",
+      Director: { Name: "Michael Mann", Birth: "someday" },
+      Actors: ["Al Pacino", 1],
+      ReleaseYear: 1500,
+      IMDbRating: 11,
+      Featured: "maybe",
+    };
+    assert.deepEqual(movieDataErrors(data), [
+      "Title must be a string",
+      "Genre must be an object",
+      "Director birth must be a valid date",
+      "Actors must be an array of names",
+      "Release year must be a valid year",
+      "IMDb rating must be a number between 0 and 10",
+      "Featured must be a boolean",
+    ]);
+  });
+});
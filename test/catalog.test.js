@@ -0,0 +1,281 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const Models = require("../models.js");
+const api = require("./support/api");
+
+describe("catalog routes", { skip: api.skipReason }, () => {
+  let app;
+  let data;
+  let admin;
+  let alice;
+
+  before(async () => {
+    app = await api.start();
+  });
+  after(api.stop);
+  beforeEach(async () => {
+    data = await api.reset();
+    admin = api.bearer(data.users.admin);
+    alice = api.bearer(data.users.alice);
+  });
+
+  describe("genres", () => {
+    it("are listed by name", async () => {
+      const res = await request(app).get("/genres").set("Authorization", alice).expect(200);
+      assert.deepEqual(res.body.map((genre) => genre.Name), ["Crime", "Drama", "Science Fiction"]);
+    });
+
+    it("are found by name, ignoring case, with their movie count", async () => {
+      const res = await request(app).get("/genres/drama").set("Authorization", alice).expect(200);
+      assert.equal(res.body.Name, "Drama");
+      assert.equal(res.body.movieCount, 2);
+      await request(app).get("/genres/Western").set("Authorization", alice).expect(404);
+    });
+
+    it("can be renamed, which updates their movies", async () => {
+      const res = await request(app)
+        .patch("/genres/" + data.genres["Science Fiction"]._id)
+        .set("Authorization", admin)
+        .send({ Name: "Sci-Fi" })
+        .expect(200);
+      assert.equal(res.body.Name, "Sci-Fi");
+      assert.equal(res.body.moviesUpdated, 1);
+      const matrix = await Models.Movie.findById(data.movies.matrix._id);
+      assert.equal(matrix.Genre.Name, "Sci-Fi");
+    });
+
+    it("cannot take another genre's name or be left unchanged", async () => {
+      await request(app)
+        .patch("/genres/" + data.genres.Crime._id)
+        .set("Authorization", admin)
+        .send({ Name: "drama" })
+        .expect(409);
+      await request(app).patch("/genres/" + data.genres.Crime._id).set("Authorization", admin).send({}).expect(400);
+    });
+
+    it("are changed by admins only", async () => {
+      await request(app)
+        .patch("/genres/" + data.genres.Crime._id)
+        .set("Authorization", alice)
+        .send({ Description: "Heists" })
+        .expect(403);
+    });
+  });
+
+  describe("directors", () => {
+    it("are listed by name", async () => {
+      const res = await request(app).get("/directors").set("Authorization", alice).expect(200);
+      assert.deepEqual(
+        res.body.map((director) => director.Name),
+        ["Francis Ford Coppola", "Frank Darabont", "Lana Wachowski"]
+      );
+    });
+
+    it("are found by name with their movies in release order", async () => {
+      const res = await request(app).get("/directors/frank%20darabont").set("Authorization", alice).expect(200);
+      assert.equal(res.body.name, "Frank Darabont");
+      assert.deepEqual(res.body.movies.map((movie) => movie.Title), ["The Shawshank Redemption", "The Green Mile"]);
+      await request(app).get("/directors/Nobody").set("Authorization", alice).expect(404);
+    });
+
+    it("can be changed, which updates their movies", async () => {
+      const res = await request(app)
+        .patch("/directors/" + data.directors["Frank Darabont"]._id)
+        .set("Authorization", admin)
+        .send({ Bio: "Director of prison dramas" })
+        .expect(200);
+      assert.equal(res.body.moviesUpdated, 2);
+      const greenMile = await Models.Movie.findById(data.movies.greenMile._id);
+      assert.equal(greenMile.Director.Bio, "Director of prison dramas");
+    });
+
+    it("validate dates", async () => {
+      await request(app)
+        .patch("/directors/" + data.directors["Frank Darabont"]._id)
+        .set("Authorization", admin)
+        .send({ Birth: "yesterday" })
+        .expect(422);
+    });
+  });
+
+  describe("actors and actresses", () => {
+    it("are listed by name, once each", async () => {
+      const actors = await request(app).get("/actors").set("Authorization", alice).expect(200);
+      assert.equal(actors.body.length, 8);
+      assert.equal(actors.body[0], "Al Pacino");
+
+      const actresses = await request(app).get("/actresses").set("Authorization", alice).expect(200);
+      assert.deepEqual(actresses.body.actresses, ["Bonnie Hunt", "Carrie-Anne Moss", "Diane Keaton"]);
+      assert.equal(actresses.body.pagination.totalResults, 3);
+    });
+
+    it("can be sorted by number of movies", async () => {
+      await Models.Movie.create({ Title: "Heat", Description: "Thieves and a detective.", Actors: ["Robert De Niro", "Al Pacino"] });
+      const res = await request(app).get("/actors?sort=-Movies&limit=1").set("Authorization", alice).expect(200);
+      assert.deepEqual(res.body, ["Al Pacino"]);
+    });
+  });
+
+  describe("people", () => {
+    const createPerson = (body) => request(app).post("/people").set("Authorization", admin).send(body);
+
+    it("are created, changed and deleted by admins", async () => {
+      const { body: person } = await createPerson({ Name: "Keanu Reeves", Birth: "1964-09-02" }).expect(201);
+
+      const changed = await request(app)
+        .patch("/people/" + person._id)
+        .set("Authorization", admin)
+        .send({ Bio: "Canadian actor" })
+        .expect(200);
+      assert.equal(changed.body.Bio, "Canadian actor");
+
+      await request(app).delete("/people/" + person._id).set("Authorization", admin).expect(200);
+      await request(app).get("/people/" + person._id).set("Authorization", alice).expect(404);
+    });
+
+    it("are listed and filtered by name", async () => {
+      await createPerson({ Name: "Keanu Reeves" }).expect(201);
+      await createPerson({ Name: "Diane Keaton" }).expect(201);
+      const res = await request(app).get("/people?name=keanu").set("Authorization", alice).expect(200);
+      assert.deepEqual(res.body.map((person) => person.Name), ["Keanu Reeves"]);
+    });
+
+    it("need a name and are changed by admins only", async () => {
+      await createPerson({ Bio: "No name" }).expect(422);
+      const { body: person } = await createPerson({ Name: "Keanu Reeves" }).expect(201);
+      await request(app).patch("/people/" + person._id).set("Authorization", admin).send({}).expect(400);
+      await request(app).post("/people").set("Authorization", alice).send({ Name: "Someone" }).expect(403);
+    });
+  });
+
+  describe("cast credits", () => {
+    let keanu;
+    let laurence;
+    let castPath;
+
+    beforeEach(async () => {
+      keanu = await Models.Person.create({ Name: "Keanu Reeves" });
+      laurence = await Models.Person.create({ Name: "Laurence Fishburne" });
+      castPath = "/movies/" + data.movies.matrix._id + "/cast";
+    });
+
+    it("are billed in the order they are added unless given", async () => {
+      await request(app)
+        .post(castPath)
+        .set("Authorization", admin)
+        .send({ Person: String(laurence._id), Character: "Morpheus", Billing: 2 })
+        .expect(201);
+      const neo = await request(app)
+        .post(castPath)
+        .set("Authorization", admin)
+        .send({ Person: String(keanu._id), Character: "Neo" })
+        .expect(201);
+      assert.equal(neo.body.Billing, 3);
+
+      await request(app)
+        .patch(castPath + "/" + neo.body._id)
+        .set("Authorization", admin)
+        .send({ Billing: 1 })
+        .expect(200);
+      const cast = await request(app).get(castPath).set("Authorization", alice).expect(200);
+      assert.deepEqual(cast.body.cast.map((credit) => credit.Person.Name), ["Keanu Reeves", "Laurence Fishburne"]);
+
+      const person = await request(app).get("/people/" + keanu._id).set("Authorization", alice).expect(200);
+      assert.equal(person.body.filmography[0].character, "Neo");
+      assert.equal(person.body.filmography[0].movie.Title, "The Matrix");
+    });
+
+    it("cannot credit a person twice for the same character", async () => {
+      const body = { Person: String(keanu._id), Character: "Neo" };
+      await request(app).post(castPath).set("Authorization", admin).send(body).expect(201);
+      await request(app).post(castPath).set("Authorization", admin).send(body).expect(409);
+    });
+
+    it("need an existing person and movie", async () => {
+      await request(app).post(castPath).set("Authorization", admin).send({ Person: "nobody" }).expect(422);
+      await request(app)
+        .post(castPath)
+        .set("Authorization", admin)
+        .send({ Person: "507f1f77bcf86cd799439011" })
+        .expect(404);
+      await request(app)
+        .post("/movies/507f1f77bcf86cd799439011/cast")
+        .set("Authorization", admin)
+        .send({ Person: String(keanu._id) })
+        .expect(404);
+    });
+
+    it("are changed and removed by admins only", async () => {
+      const { body: credit } = await request(app)
+        .post(castPath)
+        .set("Authorization", admin)
+        .send({ Person: String(keanu._id), Character: "Neo" })
+        .expect(201);
+      await request(app).patch(castPath + "/" + credit._id).set("Authorization", admin).send({}).expect(400);
+      await request(app).delete(castPath + "/" + credit._id).set("Authorization", alice).expect(403);
+      await request(app).delete(castPath + "/" + credit._id).set("Authorization", admin).expect(200);
+      await request(app).delete(castPath + "/" + credit._id).set("Authorization", admin).expect(404);
+    });
+
+    it("keep the movie's Actors and Actresses in line", async () => {
+      const credit = (person, Character) =>
+        request(app)
+          .post(castPath)
+          .set("Authorization", admin)
+          .send({ Person: String(person._id), Character })
+          .expect(201);
+      const castNames = async () => {
+        const movie = await Models.Movie.findById(data.movies.matrix._id);
+        return { Actors: [...movie.Actors], Actresses: [...movie.Actresses] };
+      };
+      const hugo = await Models.Person.create({ Name: "Hugo Weaving" });
+      const carrieAnne = await Models.Person.create({ Name: "Carrie-Anne Moss" });
+
+      const { body: smith } = await credit(hugo, "Agent Smith");
+      await credit(carrieAnne, "Trinity");
+      assert.deepEqual(await castNames(), {
+        Actors: ["Keanu Reeves", "Laurence Fishburne", "Hugo Weaving"],
+        Actresses: ["Carrie-Anne Moss"],
+      });
+
+      await request(app).delete(castPath + "/" + smith._id).set("Authorization", admin).expect(200);
+      assert.deepEqual((await castNames()).Actors, ["Keanu Reeves", "Laurence Fishburne"]);
+
+      await request(app)
+        .patch("/people/" + carrieAnne._id)
+        .set("Authorization", admin)
+        .send({ Name: "Carrie Anne Moss" })
+        .expect(200);
+      assert.deepEqual((await castNames()).Actresses, ["Carrie Anne Moss"]);
+
+      // Carrie-Anne Moss was listed before she was credited, so her name stays
+      await request(app).delete("/people/" + carrieAnne._id).set("Authorization", admin).expect(200);
+      assert.deepEqual((await castNames()).Actresses, ["Carrie Anne Moss"]);
+    });
+
+    it("only drop the cast names they added, once nobody of that name is credited", async () => {
+      const credit = (person, Character) =>
+        request(app)
+          .post(castPath)
+          .set("Authorization", admin)
+          .send({ Person: String(person._id), Character })
+          .expect(201);
+      const actors = async () => [...(await Models.Movie.findById(data.movies.matrix._id)).Actors];
+
+      const { body: neo } = await credit(keanu, "Neo");
+      await request(app).delete(castPath + "/" + neo._id).set("Authorization", admin).expect(200);
+      assert.deepEqual(await actors(), ["Keanu Reeves", "Laurence Fishburne"]);
+
+      const firstSmith = await Models.Person.create({ Name: "John Smith" });
+      const secondSmith = await Models.Person.create({ Name: "John Smith" });
+      const { body: first } = await credit(firstSmith, "Agent Jones");
+      await credit(secondSmith, "Agent Brown");
+      await request(app).delete(castPath + "/" + first._id).set("Authorization", admin).expect(200);
+      assert.deepEqual(await actors(), ["Keanu Reeves", "Laurence Fishburne", "John Smith"]);
+
+      await request(app).delete("/people/" + secondSmith._id).set("Authorization", admin).expect(200);
+      assert.deepEqual(await actors(), ["Keanu Reeves", "Laurence Fishburne"]);
+    });
+  });
+});
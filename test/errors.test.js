@@ -0,0 +1,117 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const mongoose = require("mongoose");
+const request = require("supertest");
+const { check } = require("express-validator");
+const {
+  NotFoundError,
+  ValidationError,
+  assertValid,
+  assignRequestId,
+  errorHandler,
+  notFoundHandler,
+} = require("../errors");
+
+/**
+ * Small app that raises the given error from GET /fail, mounted with the API's error middleware
+ * @param {Function} fail - Route handler
+ * @returns {express.Express}
+ */
+function appFailingWith(fail) {
+  const app = express();
+  app.use(assignRequestId);
+  app.use(express.json());
+  app.get("/fail", fail);
+  app.post("/echo", (req, res) => res.json(req.body));
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+  return app;
+}
+
+describe("error handling", () => {
+  it("answers thrown API errors with their status, code and message", async () => {
+    const app = appFailingWith(async () => {
+      throw new NotFoundError("Movie not found");
+    });
+    const res = await request(app).get("/fail").expect(404);
+    assert.deepEqual(res.body, {
+      error: { code: "not_found", message: "Movie not found", requestId: res.headers["x-request-id"] },
+    });
+  });
+
+  it("lists validation details", async () => {
+    const details = [{ field: "Title", message: "Title is required", location: "body" }];
+    const app = appFailingWith(() => {
+      throw new ValidationError(undefined, details);
+    });
+    const res = await request(app).get("/fail").expect(422);
+    assert.equal(res.body.error.code, "validation_failed");
+    assert.deepEqual(res.body.error.details, details);
+  });
+
+  it("never echoes the submitted values of failed fields", async () => {
+    const app = express();
+    app.use(express.json());
+    app.post("/signup", check("Password", "Password must be at least 12 characters").isLength({ min: 12 }), (req) => {
+      assertValid(req);
+    });
+    app.use(errorHandler);
+    const res = await request(app).post("/signup").send({ Password: "hunter2" }).expect(422);
+    assert.deepEqual(res.body.error.details, [
+      { field: "Password", message: "Password must be at least 12 characters", location: "body" },
+    ]);
+    assert.doesNotMatch(res.text, /hunter2/);
+  });
+
+  it("hides unexpected errors behind a generic 500", async (t) => {
+    const logged = t.mock.method(console, "error", () => {});
+    const app = appFailingWith(() => {
+      throw new Error("connection string mongodb://secret@db leaked");
+    });
+    const res = await request(app).get("/fail").set("X-Request-Id", "req-42").expect(500);
+    assert.equal(res.body.error.code, "internal_error");
+    assert.doesNotMatch(res.body.error.message, /secret/);
+    assert.equal(res.body.error.requestId, "req-42");
+    assert.match(logged.mock.calls[0].arguments[0], /req-42/);
+  });
+
+  it("maps errors from other libraries", async () => {
+    const duplicate = appFailingWith(() => {
+      throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+    });
+    assert.equal((await request(duplicate).get("/fail").expect(409)).body.error.code, "conflict");
+
+    const cast = appFailingWith(() => {
+      throw new mongoose.Error.CastError("ObjectId", "nope", "_id");
+    });
+    assert.equal((await request(cast).get("/fail").expect(400)).body.error.message, "Invalid value for _id");
+
+    const malformed = await request(appFailingWith(() => {}))
+      .post("/echo")
+      .set("Content-Type", "application/json")
+      .send("{not json")
+      .expect(400);
+    assert.equal(malformed.body.error.code, "bad_request");
+  });
+
+  it("answers unknown routes with 404", async () => {
+    const res = await request(appFailingWith(() => {})).delete("/nowhere").expect(404);
+    assert.equal(res.body.error.message, "No route for DELETE /nowhere");
+  });
+
+  describe("request IDs", () => {
+    it("are generated when the client sends none", async () => {
+      const res = await request(appFailingWith(() => {})).get("/nowhere");
+      assert.match(res.headers["x-request-id"], /^[0-9a-f-]{36}$/);
+    });
+
+    it("keep a well-formed X-Request-Id and replace anything else", async () => {
+      const app = appFailingWith(() => {});
+      const kept = await request(app).get("/nowhere").set("X-Request-Id", "edge:1.2-abc");
+      assert.equal(kept.headers["x-request-id"], "edge:1.2-abc");
+      const replaced = await request(app).get("/nowhere").set("X-Request-Id", "<script>");
+      assert.notEqual(replaced.headers["x-request-id"], "<script>");
+    });
+  });
+});
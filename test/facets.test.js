@@ -0,0 +1,56 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const facets = require("../facets");
+
+describe("facets", () => {
+  it("read repeated and comma-separated list parameters", () => {
+    assert.deepEqual(facets.listParam(["Drama,Crime", " Action ", ""]), ["Drama", "Crime", "Action"]);
+    assert.deepEqual(facets.listParam(undefined), []);
+  });
+
+  it("build one filter per dimension", () => {
+    const filters = facets.buildFilters({ genre: "Sci-Fi (Old),Drama", minYear: 1990, maxRating: 8, featured: false });
+    assert.deepEqual(Object.keys(filters).sort(), ["decade", "featured", "genre", "rating"]);
+    assert.deepEqual(filters.decade, { ReleaseYear: { $gte: 1990 } });
+    assert.deepEqual(filters.rating, { IMDbRating: { $lte: 8 } });
+    assert.deepEqual(filters.featured, { Featured: { $ne: true } });
+
+    const [oldSciFi, drama] = filters.genre["Genre.Name"].$in;
+    assert.ok(oldSciFi.test("sci-fi (old)"));
+    assert.ok(!oldSciFi.test("Sci-Fi Old"));
+    assert.ok(!drama.test("Dramatic"));
+  });
+
+  it("leave a dimension's own filter out of its counts", () => {
+    const filters = facets.buildFilters({ genre: "Drama", featured: true });
+    assert.deepEqual(facets.combine(filters, "genre"), { $and: [{ Featured: true }] });
+    assert.deepEqual(facets.combine({}), {});
+
+    const [{ $facet: stages }] = facets.browsePipeline(filters, { sort: { Title: 1 }, skip: 0, limit: 5 });
+    assert.deepEqual(stages.results[0], { $match: facets.combine(filters) });
+    assert.deepEqual(stages.genre[0], { $match: { $and: [{ Featured: true }] } });
+    assert.deepEqual(stages.featured[0], { $match: { $and: [filters.genre] } });
+  });
+
+  it("shape the aggregation output, listing empty buckets too", () => {
+    const formatted = facets.formatBrowseResult({
+      results: [{ Title: "Heat" }],
+      total: [{ count: 1 }],
+      genre: [{ _id: "Crime", count: 1 }],
+      director: [{ _id: "Michael Mann", count: 1 }],
+      decade: [{ _id: 1990, count: 1 }],
+      rating: [{ _id: "8-9", count: 1 }],
+      featured: [{ _id: false, count: 1 }],
+    });
+    assert.equal(formatted.total, 1);
+    assert.deepEqual(formatted.facets.decade, [{ value: "1990s", minYear: 1990, maxYear: 1999, count: 1 }]);
+    assert.deepEqual(
+      formatted.facets.rating.map((bucket) => [bucket.value, bucket.count]),
+      [["9+", 0], ["8-9", 1], ["7-8", 0], ["6-7", 0], ["5-6", 0], ["under 5", 0], ["unrated", 0]]
+    );
+    assert.deepEqual(formatted.facets.featured, [{ value: true, count: 0 }, { value: false, count: 1 }]);
+
+    const empty = facets.formatBrowseResult({ results: [], total: [], genre: [], director: [], decade: [], rating: [], featured: [] });
+    assert.equal(empty.total, 0);
+  });
+});
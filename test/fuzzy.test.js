@@ -0,0 +1,43 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { normalize, levenshtein, trigramSimilarity, similarity, rank } = require("../fuzzy");
+
+describe("fuzzy matching", () => {
+  it("normalizes case, accents, punctuation and spacing", () => {
+    assert.equal(normalize("  Amélie:  Le Fabuleux Destin!  "), "amelie le fabuleux destin");
+    assert.equal(normalize(undefined), "");
+  });
+
+  it("counts single-character edits", () => {
+    assert.equal(levenshtein("kitten", "sitting"), 3);
+    assert.equal(levenshtein("", "heat"), 4);
+    assert.equal(levenshtein("heat", "heat"), 0);
+  });
+
+  it("scores shared trigrams from 0 to 1", () => {
+    assert.equal(trigramSimilarity("heat", "heat"), 1);
+    assert.equal(trigramSimilarity("heat", "xyz"), 0);
+  });
+
+  it("matches a misspelled word inside a longer title", () => {
+    assert.equal(similarity("matrix", "The Matrix"), 1);
+    assert.ok(similarity("shawshenk", "The Shawshank Redemption") > 0.8);
+    assert.ok(similarity("shawshenk", "The Green Mile") < 0.6);
+  });
+
+  it("ranks the candidates above the threshold, best first and without duplicates", () => {
+    const candidates = ["The Godfather", "The Godfather", "Heat", "The Godfather Part II"];
+    assert.deepEqual(
+      rank("godfathr", candidates).map((match) => match.value),
+      ["The Godfather", "The Godfather Part II"]
+    );
+    assert.deepEqual(rank("heat", ["Heath", "Heat 2", "Heat"], { limit: 2 }), [
+      { value: "Heat", score: 1 },
+      { value: "Heat 2", score: 1 },
+    ]);
+  });
+
+  it("does not fuzzy match queries shorter than three characters", () => {
+    assert.deepEqual(rank("go", ["Go", "Gone Girl"]), []);
+  });
+});
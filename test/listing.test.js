@@ -0,0 +1,90 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { createListing, encodeCursor, decodeCursor, cursorCondition } = require("../listing");
+const { assertValid, ValidationError } = require("../errors");
+
+/**
+ * Cursor with hand-picked values, as a client could forge one
+ * @param {string} sort
+ * @param {Array} values
+ * @returns {string}
+ */
+const forge = (sort, values) => Buffer.from(JSON.stringify({ s: sort, v: values })).toString("base64url");
+
+describe("listing cursors", () => {
+  const sortKeys = [
+    { path: "ReleaseYear", direction: -1 },
+    { path: "CreatedAt", direction: 1 },
+    { path: "_id", direction: 1 },
+  ];
+
+  it("survive the round trip with dates and object IDs", () => {
+    const doc = {
+      ReleaseYear: 1999,
+      CreatedAt: new Date("2024-03-01T12:00:00Z"),
+      _id: new mongoose.Types.ObjectId("507f1f77bcf86cd799439011"),
+    };
+    const decoded = decodeCursor(encodeCursor(doc, "-ReleaseYear,CreatedAt", sortKeys));
+    assert.equal(decoded.s, "-ReleaseYear,CreatedAt");
+    assert.equal(decoded.v[0], 1999);
+    assert.ok(decoded.v[1] instanceof Date);
+    assert.equal(decoded.v[1].toISOString(), "2024-03-01T12:00:00.000Z");
+    assert.ok(decoded.v[2] instanceof mongoose.Types.ObjectId);
+    assert.equal(decoded.v[2].toHexString(), "507f1f77bcf86cd799439011");
+  });
+
+  it("reject malformed input", () => {
+    assert.equal(decodeCursor("not a cursor"), null);
+    assert.equal(decodeCursor(Buffer.from('{"s":"Title"}').toString("base64url")), null);
+  });
+
+  it("reject values that are not scalars or the wrappers encodeCursor() writes", () => {
+    const forged = [
+      { $ne: null },
+      { $regex: ".*" },
+      { $gt: "" },
+      ["a"],
+      { $date: "yesterday" },
+      { $oid: "xyz" },
+      { $date: "2024-01-01", $ne: 1 },
+    ];
+    for (const value of forged) {
+      assert.equal(decodeCursor(forge("Title", [value, null])), null, JSON.stringify(value));
+    }
+    assert.deepEqual(decodeCursor(forge("Title", ["Heat", null])).v, ["Heat", null]);
+  });
+
+  it("read nested sort keys and store missing values as null", () => {
+    const keys = [{ path: "Genre.Name", direction: 1 }, { path: "IMDbRating", direction: -1 }, { path: "_id", direction: 1 }];
+    const decoded = decodeCursor(encodeCursor({ Genre: { Name: "Crime" }, _id: "x" }, "Genre,-IMDbRating", keys));
+    assert.deepEqual(decoded.v, ["Crime", null, "x"]);
+  });
+
+  it("select the documents after the cursor position", () => {
+    assert.deepEqual(cursorCondition([{ path: "Title", direction: 1 }, { path: "_id", direction: 1 }], ["Heat", 7]), {
+      $or: [{ Title: { $gt: "Heat" } }, { $and: [{ Title: "Heat" }, { _id: { $gt: 7 } }] }],
+    });
+  });
+
+  it("place null values first ascending and last descending", () => {
+    assert.deepEqual(cursorCondition([{ path: "IMDbRating", direction: 1 }, { path: "_id", direction: 1 }], [null, 7]), {
+      $or: [{ IMDbRating: { $ne: null } }, { $and: [{ IMDbRating: null }, { _id: { $gt: 7 } }] }],
+    });
+    assert.deepEqual(cursorCondition([{ path: "IMDbRating", direction: -1 }, { path: "_id", direction: 1 }], [null, 7]), {
+      $or: [{ $and: [{ IMDbRating: null }, { _id: { $gt: 7 } }] }],
+    });
+    assert.deepEqual(cursorCondition([{ path: "IMDbRating", direction: -1 }], [null]), { _id: { $exists: false } });
+  });
+
+  it("are refused by the listing validators when forged with query operators", async () => {
+    const listing = createListing({ sortFields: { Title: "Title" }, defaultSort: "Title" });
+    const req = { query: { cursor: forge("Title", [{ $ne: null }, { $ne: null }]) } };
+    await Promise.all(listing.validators.map((validator) => validator.run(req)));
+    assert.throws(() => assertValid(req), (error) => {
+      assert.ok(error instanceof ValidationError);
+      assert.equal(error.details[0].field, "cursor");
+      return true;
+    });
+  });
+});
@@ -0,0 +1,180 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const api = require("./support/api");
+
+describe("custom list routes", { skip: api.skipReason }, () => {
+  let app;
+  let data;
+  let admin;
+  let alice;
+  let bob;
+
+  before(async () => {
+    app = await api.start();
+  });
+  after(api.stop);
+  beforeEach(async () => {
+    data = await api.reset();
+    admin = api.bearer(data.users.admin);
+    alice = api.bearer(data.users.alice);
+    bob = api.bearer(data.users.bob);
+  });
+
+  const createList = (body, token = alice) => request(app).post("/lists").set("Authorization", token).send(body);
+
+  describe("POST /lists", () => {
+    it("creates a private list of movies", async () => {
+      const res = await createList({
+        Title: "Prison films",
+        Movies: [String(data.movies.shawshank._id), String(data.movies.greenMile._id)],
+      }).expect(201);
+      assert.equal(res.body.Owner.Username, "alicesmith");
+      assert.equal(res.body.IsPublic, false);
+      assert.deepEqual(res.body.Movies.map((movie) => movie.Title), ["The Shawshank Redemption", "The Green Mile"]);
+    });
+
+    it("needs a title and existing movies", async () => {
+      await createList({ Description: "No title" }).expect(422);
+      await createList({ Title: "Bad ID", Movies: ["nope"] }).expect(422);
+      await createList({ Title: "Missing", Movies: ["507f1f77bcf86cd799439011"] }).expect(404);
+    });
+  });
+
+  describe("GET /lists", () => {
+    it("lists only your own lists", async () => {
+      await createList({ Title: "Alice's list" }).expect(201);
+      await createList({ Title: "Bob's list", IsPublic: true }, bob).expect(201);
+      const res = await request(app).get("/lists").set("Authorization", alice).expect(200);
+      assert.deepEqual(res.body.map((list) => list.Title), ["Alice's list"]);
+    });
+  });
+
+  describe("GET /lists/:id", () => {
+    it("shows private lists to their owner and admins only", async () => {
+      const { body: list } = await createList({ Title: "Secret" }).expect(201);
+      await request(app).get("/lists/" + list._id).set("Authorization", alice).expect(200);
+      await request(app).get("/lists/" + list._id).set("Authorization", admin).expect(200);
+      // Other users cannot tell that the list exists
+      await request(app).get("/lists/" + list._id).set("Authorization", bob).expect(404);
+    });
+
+    it("shows public lists to every user", async () => {
+      const { body: list } = await createList({ Title: "Shared", IsPublic: true }).expect(201);
+      await request(app).get("/lists/" + list._id).set("Authorization", bob).expect(200);
+    });
+  });
+
+  describe("PUT /lists/:id", () => {
+    it("lets the owner change the details", async () => {
+      const { body: list } = await createList({ Title: "Draft" }).expect(201);
+      const res = await request(app)
+        .put("/lists/" + list._id)
+        .set("Authorization", alice)
+        .send({ Title: "Final", IsPublic: true })
+        .expect(200);
+      assert.equal(res.body.Title, "Final");
+      assert.equal(res.body.IsPublic, true);
+    });
+
+    it("is for the owner only", async () => {
+      const { body: list } = await createList({ Title: "Mine", IsPublic: true }).expect(201);
+      await request(app).put("/lists/" + list._id).set("Authorization", bob).send({ Title: "Yours" }).expect(403);
+      await request(app).put("/lists/" + list._id).set("Authorization", admin).send({ Title: "Yours" }).expect(403);
+    });
+
+    it("validates the details", async () => {
+      const { body: list } = await createList({ Title: "Mine" }).expect(201);
+      await request(app).put("/lists/" + list._id).set("Authorization", alice).send({ Title: "" }).expect(422);
+      await request(app).put("/lists/" + list._id).set("Authorization", alice).send({ IsPublic: "maybe" }).expect(422);
+    });
+  });
+
+  describe("list movies", () => {
+    it("are added once, reordered and removed by the owner", async () => {
+      const { body: list } = await createList({ Title: "Watch next" }).expect(201);
+      const moviesPath = "/lists/" + list._id + "/movies";
+
+      await request(app).post(moviesPath + "/" + data.movies.matrix._id).set("Authorization", alice).expect(200);
+      await request(app).post(moviesPath + "/" + data.movies.godfather._id).set("Authorization", alice).expect(200);
+      const again = await request(app)
+        .post(moviesPath + "/" + data.movies.matrix._id)
+        .set("Authorization", alice)
+        .expect(200);
+      assert.deepEqual(again.body.Movies.map((movie) => movie.Title), ["The Matrix", "The Godfather"]);
+
+      const reordered = await request(app)
+        .put(moviesPath)
+        .set("Authorization", alice)
+        .send({ order: [String(data.movies.godfather._id), String(data.movies.matrix._id)] })
+        .expect(200);
+      assert.deepEqual(reordered.body.Movies.map((movie) => movie.Title), ["The Godfather", "The Matrix"]);
+
+      const removed = await request(app)
+        .delete(moviesPath + "/" + data.movies.godfather._id)
+        .set("Authorization", alice)
+        .expect(200);
+      assert.deepEqual(removed.body.Movies.map((movie) => movie.Title), ["The Matrix"]);
+    });
+
+    it("reject orders that are not a permutation of the list", async () => {
+      const { body: list } = await createList({ Title: "One", Movies: [String(data.movies.matrix._id)] }).expect(201);
+      await request(app)
+        .put("/lists/" + list._id + "/movies")
+        .set("Authorization", alice)
+        .send({ order: [String(data.movies.matrix._id), String(data.movies.matrix._id)] })
+        .expect(400);
+    });
+
+    it("answer 404 for unknown movies", async () => {
+      const { body: list } = await createList({ Title: "Watch next" }).expect(201);
+      await request(app)
+        .post("/lists/" + list._id + "/movies/507f1f77bcf86cd799439011")
+        .set("Authorization", alice)
+        .expect(404);
+    });
+
+    it("are changed by the owner only", async () => {
+      const { body: list } = await createList({ Title: "Mine", IsPublic: true }).expect(201);
+      const moviePath = "/lists/" + list._id + "/movies/" + data.movies.matrix._id;
+      await request(app).post(moviePath).set("Authorization", bob).expect(403);
+      await request(app).delete(moviePath).set("Authorization", bob).expect(403);
+      await request(app)
+        .put("/lists/" + list._id + "/movies")
+        .set("Authorization", bob)
+        .send({ order: [] })
+        .expect(403);
+    });
+  });
+
+  describe("DELETE /lists/:id", () => {
+    it("lets the owner or an admin delete the list", async () => {
+      const { body: first } = await createList({ Title: "First" }).expect(201);
+      const { body: second } = await createList({ Title: "Second" }).expect(201);
+
+      await request(app).delete("/lists/" + first._id).set("Authorization", bob).expect(403);
+      await request(app).delete("/lists/" + first._id).set("Authorization", alice).expect(200);
+      await request(app).delete("/lists/" + second._id).set("Authorization", admin).expect(200);
+      await request(app).delete("/lists/" + second._id).set("Authorization", admin).expect(404);
+    });
+  });
+
+  describe("GET /public/lists/:id", () => {
+    it("shows public lists without a token", async () => {
+      const { body: list } = await createList({
+        Title: "Crime classics",
+        IsPublic: true,
+        Movies: [String(data.movies.godfather._id)],
+      }).expect(201);
+      const res = await request(app).get("/public/lists/" + list._id).expect(200);
+      assert.equal(res.body.Title, "Crime classics");
+      assert.equal(res.body.Movies[0].Title, "The Godfather");
+    });
+
+    it("hides private lists", async () => {
+      const { body: list } = await createList({ Title: "Secret" }).expect(201);
+      await request(app).get("/public/lists/" + list._id).expect(404);
+      await request(app).get("/public/lists/not-an-id").expect(422);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const loginLimiter = require("../login-limiter");
+const { TooManyRequestsError } = require("../errors");
+
+describe("login limiter", () => {
+  const minute = 60 * 1000;
+  const ip = "203.0.113.7";
+  let limiter;
+
+  beforeEach((t) => {
+    t.mock.timers.enable({ apis: ["Date"], now: 0 });
+    limiter = loginLimiter.createLoginLimiter();
+  });
+  afterEach((t) => t.mock.timers.reset());
+
+  /**
+   * Makes failed attempts for an account from the test IP
+   * @param {string} username
+   * @param {number} count
+   */
+  async function fail(username, count) {
+    for (let attempt = 0; attempt < count; attempt++) {
+      await limiter.recordLoginFailure(await limiter.reserveLoginAttempt(ip, username));
+    }
+  }
+
+  /**
+   * Resolves when an attempt would be let through, without counting it
+   * @param {string} username
+   * @param {string} [from=ip]
+   */
+  async function allowed(username, from = ip) {
+    await limiter.releaseLoginAttempt(await limiter.reserveLoginAttempt(from, username));
+  }
+
+  it("doubles the lockout with every failure past the limit, up to the maximum", () => {
+    assert.equal(loginLimiter.lockoutMs(4, 5), 0);
+    assert.equal(loginLimiter.lockoutMs(5, 5), minute);
+    assert.equal(loginLimiter.lockoutMs(6, 5), 2 * minute);
+    assert.equal(loginLimiter.lockoutMs(8, 5), 8 * minute);
+    assert.equal(loginLimiter.lockoutMs(50, 5), loginLimiter.maxLockoutMs);
+  });
+
+  it("locks an account once it reaches the limit and lets it try again afterwards", async (t) => {
+    await fail("alicesmith", loginLimiter.maxAccountFailures - 1);
+    await allowed("alicesmith");
+
+    await fail("alicesmith", 1);
+    await assert.rejects(allowed("AliceSmith"), (error) => {
+      assert.ok(error instanceof TooManyRequestsError);
+      assert.equal(error.retryAfter, 60);
+      return true;
+    });
+
+    t.mock.timers.tick(minute);
+    await allowed("alicesmith");
+    // The next failure locks the account again, for twice as long
+    await fail("alicesmith", 1);
+    await assert.rejects(allowed("alicesmith"), { retryAfter: 120 });
+  });
+
+  it("counts guesses sent in parallel before any of them is checked", async () => {
+    const attempts = await Promise.allSettled(
+      Array.from({ length: 10 }, () => limiter.reserveLoginAttempt(ip, "alicesmith"))
+    );
+    const reserved = attempts.filter((attempt) => attempt.status === "fulfilled");
+    assert.equal(reserved.length, loginLimiter.maxAccountFailures);
+    assert.ok(attempts.every((attempt) => attempt.status === "fulfilled" || attempt.reason instanceof TooManyRequestsError));
+
+    await Promise.all(reserved.map((attempt) => limiter.recordLoginFailure(attempt.value)));
+    await assert.rejects(allowed("alicesmith"), { retryAfter: 60 });
+  });
+
+  it("forgets failures after a quiet period or a successful login", async (t) => {
+    await fail("alicesmith", loginLimiter.maxAccountFailures - 1);
+    t.mock.timers.tick(loginLimiter.failureWindowMs);
+    await fail("alicesmith", 1);
+    await allowed("alicesmith");
+
+    await fail("bobjones", loginLimiter.maxAccountFailures - 1);
+    await limiter.recordLoginSuccess(await limiter.reserveLoginAttempt(ip, "bobjones"));
+    await fail("bobjones", 1);
+    await allowed("bobjones");
+  });
+
+  it("locks an IP that guesses across many accounts", async () => {
+    for (let attempt = 0; attempt < loginLimiter.maxIpFailures; attempt++) {
+      await fail("user" + attempt, 1);
+    }
+    await assert.rejects(allowed("someoneelse"), TooManyRequestsError);
+    await allowed("someoneelse", "198.51.100.1");
+  });
+
+  it("only accepts stores with get, set, delete and increment", () => {
+    assert.throws(() => loginLimiter.createLoginLimiter({ store: { get() {} } }), /get\(\), set\(\), delete\(\) and increment\(\)/);
+  });
+});
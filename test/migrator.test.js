@@ -0,0 +1,70 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadMigrations } = require("../migrator");
+
+/**
+ * Source of a migration file that does nothing
+ * @param {string} description
+ * @returns {string}
+ */
+const migrationSource = (description) =>
+  `module.exports = { description: ${JSON.stringify(description)}, async up() {}, async down() {} };\n`;
+
+describe("loadMigrations", () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "migrations-"));
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  /**
+   * Fills a fresh subdirectory of the temporary directory with files
+   * @param {Object<string, string>} files - Contents by file name
+   * @returns {string} The subdirectory
+   */
+  const withFiles = (files) => {
+    const target = fs.mkdtempSync(path.join(dir, "case-"));
+    for (const [name, contents] of Object.entries(files)) {
+      fs.writeFileSync(path.join(target, name), contents);
+    }
+    return target;
+  };
+
+  it("orders migrations by number, not by file name", () => {
+    const target = withFiles({
+      "10-later.js": migrationSource("Later"),
+      "2-earlier.js": migrationSource("Earlier"),
+      "001-first.js": migrationSource("First"),
+      "notes.txt": "not a migration",
+      "helper.js": "module.exports = {};\n",
+    });
+    assert.deepEqual(
+      loadMigrations(target).map((migration) => [migration.name, migration.number, migration.description]),
+      [
+        ["001-first", 1, "First"],
+        ["2-earlier", 2, "Earlier"],
+        ["10-later", 10, "Later"],
+      ]
+    );
+  });
+
+  it("refuses two migrations with the same number", () => {
+    const target = withFiles({ "2-one.js": migrationSource("One"), "002-two.js": migrationSource("Two") });
+    assert.throws(() => loadMigrations(target), /have the same number/);
+  });
+
+  it("refuses a migration without down()", () => {
+    const target = withFiles({ "1-only-up.js": "module.exports = { async up() {} };\n" });
+    assert.throws(() => loadMigrations(target), /1-only-up\.js must export up\(\) and down\(\)/);
+  });
+
+  it("loads the repository's migrations in order", () => {
+    const numbers = loadMigrations().map((migration) => migration.number);
+    assert.deepEqual(numbers, [...numbers].sort((a, b) => a - b));
+    assert.equal(new Set(numbers).size, numbers.length);
+  });
+});
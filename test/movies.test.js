@@ -0,0 +1,326 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const Models = require("../models.js");
+const api = require("./support/api");
+
+describe("movie routes", { skip: api.skipReason }, () => {
+  let app;
+  let data;
+  let admin;
+  let alice;
+
+  before(async () => {
+    app = await api.start();
+  });
+  after(api.stop);
+  beforeEach(async () => {
+    data = await api.reset();
+    admin = api.bearer(data.users.admin);
+    alice = api.bearer(data.users.alice);
+  });
+
+  const newMovie = () => ({
+    Title: "Heat",
+    Description: "A detective hunts a crew of professional thieves.",
+    Genre: { Name: "crime" },
+    Director: { Name: "Michael Mann", Bio: "Director and producer", Birth: "1943-02-05" },
+    Actors: ["Al Pacino", "Robert De Niro"],
+    ReleaseYear: 1995,
+    IMDbRating: 8.3,
+    ImagePath: "https://images.example.com/heat.jpg",
+  });
+
+  describe("GET /movies", () => {
+    it("lists the catalog by title", async () => {
+      const res = await request(app).get("/movies").set("Authorization", alice).expect(200);
+      assert.deepEqual(
+        res.body.map((movie) => movie.Title),
+        ["The Godfather", "The Green Mile", "The Matrix", "The Shawshank Redemption"]
+      );
+      assert.equal(res.headers["x-total-count"], "4");
+    });
+
+    it("pages, sorts and selects fields", async () => {
+      const res = await request(app)
+        .get("/movies?limit=2&sort=-IMDbRating&fields=Title")
+        .set("Authorization", alice)
+        .expect(200);
+      assert.deepEqual(res.body.map((movie) => movie.Title), ["The Shawshank Redemption", "The Godfather"]);
+      assert.equal(res.body[0].Description, undefined);
+      assert.match(res.headers.link, /rel="next"/);
+    });
+
+    it("rejects unknown sort fields", async () => {
+      const res = await request(app).get("/movies?sort=Budget").set("Authorization", alice).expect(422);
+      assert.equal(res.body.error.details[0].field, "sort");
+    });
+  });
+
+  describe("GET /movies/featured", () => {
+    it("lists only featured movies", async () => {
+      const res = await request(app).get("/movies/featured").set("Authorization", alice).expect(200);
+      assert.deepEqual(res.body.map((movie) => movie.Title), ["The Godfather", "The Shawshank Redemption"]);
+    });
+  });
+
+  describe("GET /movies/:title", () => {
+    it("finds a movie by title, ignoring case and spacing", async () => {
+      const res = await request(app).get("/movies/the%20%20MATRIX").set("Authorization", alice).expect(200);
+      assert.equal(res.body._id, String(data.movies.matrix._id));
+    });
+
+    it("also accepts a movie ID", async () => {
+      const res = await request(app)
+        .get("/movies/" + data.movies.godfather._id)
+        .set("Authorization", alice)
+        .expect(200);
+      assert.equal(res.body.Title, "The Godfather");
+    });
+
+    it("answers 404 for unknown titles", async () => {
+      await request(app).get("/movies/Casablanca").set("Authorization", alice).expect(404);
+    });
+  });
+
+  describe("GET /movies/id/:id", () => {
+    it("returns the movie", async () => {
+      const res = await request(app)
+        .get("/movies/id/" + data.movies.matrix._id)
+        .set("Authorization", alice)
+        .expect(200);
+      assert.equal(res.body.Title, "The Matrix");
+      assert.equal(res.body.Genre.Name, "Science Fiction");
+    });
+
+    it("validates the ID and answers 404 for unknown movies", async () => {
+      await request(app).get("/movies/id/not-an-id").set("Authorization", alice).expect(422);
+      await request(app).get("/movies/id/507f1f77bcf86cd799439011").set("Authorization", alice).expect(404);
+    });
+  });
+
+  describe("GET /movies/id/:id/similar", () => {
+    it("ranks movies sharing the director and genre first and leaves out the movie itself", async () => {
+      const res = await request(app)
+        .get("/movies/id/" + data.movies.shawshank._id + "/similar")
+        .set("Authorization", alice)
+        .expect(200);
+      assert.equal(res.body.similar[0].movie.Title, "The Green Mile");
+      assert.ok(res.body.similar.every((result) => result.movie._id !== String(data.movies.shawshank._id)));
+      assert.equal(res.body.count, res.body.similar.length);
+    });
+
+    it("validates the limit", async () => {
+      await request(app)
+        .get("/movies/id/" + data.movies.shawshank._id + "/similar?limit=0")
+        .set("Authorization", alice)
+        .expect(422);
+    });
+  });
+
+  describe("POST /movies", () => {
+    it("creates a movie linked to shared genre and director records", async () => {
+      const res = await request(app).post("/movies").set("Authorization", admin).send(newMovie()).expect(201);
+      assert.equal(res.body.Title, "Heat");
+      // "crime" matches the existing genre; the director is new
+      assert.equal(res.body.Genre._id, String(data.genres.Crime._id));
+      assert.equal(res.body.Genre.Name, "Crime");
+      assert.ok(await Models.Director.findByName("Michael Mann"));
+    });
+
+    it("is for admins only", async () => {
+      const res = await request(app).post("/movies").set("Authorization", alice).send(newMovie()).expect(403);
+      assert.equal(res.body.error.message, "Not authorized to modify the movie catalog");
+    });
+
+    it("validates the movie", async () => {
+      const res = await request(app)
+        .post("/movies")
+        .set("Authorization", admin)
+        .send({ ...newMovie(), Title: "", ReleaseYear: 1700 })
+        .expect(422);
+      assert.deepEqual(res.body.error.details.map((error) => error.field).sort(), ["ReleaseYear", "Title"]);
+    });
+
+    it("rejects titles that already exist", async () => {
+      await request(app)
+        .post("/movies")
+        .set("Authorization", admin)
+        .send({ ...newMovie(), Title: "the matrix" })
+        .expect(409);
+    });
+  });
+
+  describe("PUT /movies/:id", () => {
+    it("replaces the movie", async () => {
+      const res = await request(app)
+        .put("/movies/" + data.movies.matrix._id)
+        .set("Authorization", admin)
+        .send(newMovie())
+        .expect(200);
+      assert.equal(res.body.Title, "Heat");
+      assert.equal(res.body.Featured, undefined);
+      assert.deepEqual(res.body.Actresses, []);
+    });
+
+    it("answers 404 for unknown movies and 409 for taken titles", async () => {
+      await request(app).put("/movies/507f1f77bcf86cd799439011").set("Authorization", admin).send(newMovie()).expect(404);
+      await request(app)
+        .put("/movies/" + data.movies.matrix._id)
+        .set("Authorization", admin)
+        .send({ ...newMovie(), Title: "The Godfather" })
+        .expect(409);
+    });
+  });
+
+  describe("PATCH /movies/:id", () => {
+    it("changes only the fields sent", async () => {
+      const res = await request(app)
+        .patch("/movies/" + data.movies.matrix._id)
+        .set("Authorization", admin)
+        .send({ IMDbRating: 8.8, Featured: true })
+        .expect(200);
+      assert.equal(res.body.IMDbRating, 8.8);
+      assert.equal(res.body.Featured, true);
+      assert.equal(res.body.Title, "The Matrix");
+    });
+
+    it("needs at least one field", async () => {
+      await request(app).patch("/movies/" + data.movies.matrix._id).set("Authorization", admin).send({}).expect(400);
+    });
+
+    it("validates the fields", async () => {
+      await request(app)
+        .patch("/movies/" + data.movies.matrix._id)
+        .set("Authorization", admin)
+        .send({ IMDbRating: 11 })
+        .expect(422);
+    });
+
+    it("is for admins only", async () => {
+      await request(app)
+        .patch("/movies/" + data.movies.matrix._id)
+        .set("Authorization", alice)
+        .send({ IMDbRating: 1 })
+        .expect(403);
+    });
+  });
+
+  describe("DELETE /movies/:id", () => {
+    it("deletes the movie and removes it from users", async () => {
+      await Models.User.updateOne({ _id: data.users.alice._id }, { $push: { FavoriteMovies: data.movies.matrix._id } });
+
+      const res = await request(app).delete("/movies/" + data.movies.matrix._id).set("Authorization", admin).expect(200);
+      assert.equal(res.body.message, "The Matrix was deleted.");
+      const user = await Models.User.findById(data.users.alice._id);
+      assert.equal(user.FavoriteMovies.length, 0);
+
+      await request(app).delete("/movies/" + data.movies.matrix._id).set("Authorization", admin).expect(404);
+    });
+
+    it("is for admins only", async () => {
+      await request(app).delete("/movies/" + data.movies.matrix._id).set("Authorization", alice).expect(403);
+    });
+  });
+
+  describe("POST /movies/import", () => {
+    const csv =
+      "Title,Description,Genre.Name,Director.Name,Actors,ReleaseYear\r\n" +
+      "Heat,A detective hunts a crew of thieves.,Crime,Michael Mann,Al Pacino|Robert De Niro,1995\r\n" +
+      "The Matrix,Duplicate title,Science Fiction,Lana Wachowski,,1999\r\n";
+
+    it("imports new movies and rejects existing titles", async () => {
+      const res = await request(app)
+        .post("/movies/import?format=csv")
+        .set("Authorization", admin)
+        .set("Content-Type", "text/plain")
+        .send(csv)
+        .expect(200);
+      assert.equal(res.body.created, 1);
+      assert.equal(res.body.rejected, 1);
+      assert.deepEqual(res.body.rows.map((row) => row.status), ["created", "rejected"]);
+
+      const heat = await Models.Movie.findOne({ Title: "Heat" });
+      assert.deepEqual([...heat.Actors], ["Al Pacino", "Robert De Niro"]);
+    });
+
+    it("updates existing titles with upsert and writes nothing on a dry run", async () => {
+      const res = await request(app)
+        .post("/movies/import?dryRun=true&upsert=true")
+        .set("Authorization", admin)
+        .set("Content-Type", "text/csv")
+        .send(csv)
+        .expect(200);
+      assert.equal(res.body.created, 1);
+      assert.equal(res.body.updated, 1);
+      assert.equal(await Models.Movie.countDocuments(), 4);
+    });
+
+    it("reads JSON arrays", async () => {
+      const res = await request(app)
+        .post("/movies/import")
+        .set("Authorization", admin)
+        .set("Content-Type", "application/json")
+        .send(JSON.stringify([{ Title: "Heat", Description: "Thieves and a detective." }]))
+        .expect(200);
+      assert.equal(res.body.created, 1);
+    });
+
+    it("needs a known format and a non-empty, parseable file", async () => {
+      await request(app)
+        .post("/movies/import")
+        .set("Authorization", admin)
+        .set("Content-Type", "text/plain")
+        .send(csv)
+        .expect(415);
+      await request(app)
+        .post("/movies/import?format=csv")
+        .set("Authorization", admin)
+        .set("Content-Type", "text/plain")
+        .send(" ")
+        .expect(400);
+      await request(app)
+        .post("/movies/import?format=json")
+        .set("Authorization", admin)
+        .set("Content-Type", "text/plain")
+        .send("{ not json")
+        .expect(400);
+      await request(app)
+        .post("/movies/import?format=xml")
+        .set("Authorization", admin)
+        .set("Content-Type", "text/plain")
+        .send(csv)
+        .expect(422);
+    });
+
+    it("is for admins only", async () => {
+      await request(app)
+        .post("/movies/import?format=csv")
+        .set("Authorization", alice)
+        .set("Content-Type", "text/plain")
+        .send(csv)
+        .expect(403);
+    });
+  });
+
+  describe("GET /movies/export", () => {
+    it("downloads the catalog as NDJSON", async () => {
+      const res = await request(app).get("/movies/export?format=ndjson").set("Authorization", admin).expect(200);
+      assert.match(res.headers["content-type"], /^application\/x-ndjson/);
+      assert.match(res.headers["content-disposition"], /movies\.ndjson/);
+      const titles = res.text.trim().split("\n").map((line) => JSON.parse(line).Title);
+      assert.equal(titles.length, 4);
+      assert.ok(titles.includes("The Matrix"));
+    });
+
+    it("downloads JSON by default", async () => {
+      const res = await request(app).get("/movies/export").set("Authorization", admin).expect(200);
+      assert.equal(JSON.parse(res.text).length, 4);
+    });
+
+    it("validates the format and is for admins only", async () => {
+      await request(app).get("/movies/export?format=xml").set("Authorization", admin).expect(422);
+      await request(app).get("/movies/export").set("Authorization", alice).expect(403);
+    });
+  });
+});
@@ -0,0 +1,45 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createPosterOverrides } = require("../poster-overrides");
+
+/**
+ * Models with a PosterOverride model that returns the given overrides, like find().lean() would
+ * @param {Object[]} overrides
+ * @returns {Object}
+ */
+const fakeModels = (overrides) => ({
+  PosterOverride: { find: () => ({ lean: async () => overrides }) },
+});
+
+describe("poster overrides", () => {
+  const heat = { _id: "507f1f77bcf86cd799439011", Title: "Heat", ImagePath: "https://example.com/heat.jpg" };
+  const alien = { _id: "507f1f77bcf86cd799439012", Title: "Alien", ImagePath: "https://example.com/alien.jpg" };
+
+  it("swap the override in for the ImagePath of movies in responses", async () => {
+    const posterOverrides = createPosterOverrides({
+      models: fakeModels([{ Movie: heat._id, ImagePath: "/posters/heat.webp" }]),
+    });
+    assert.equal(await posterOverrides.load(), 1);
+    const sent = JSON.parse(JSON.stringify({ results: [heat, alien], Title: "Heat" }, posterOverrides.jsonReplacer));
+    assert.equal(sent.results[0].ImagePath, "/posters/heat.webp");
+    assert.equal(sent.results[1].ImagePath, alien.ImagePath);
+    assert.equal(heat.ImagePath, "https://example.com/heat.jpg");
+  });
+
+  it("leave movies loaded without ImagePath alone", async () => {
+    const posterOverrides = createPosterOverrides({
+      models: fakeModels([{ Movie: heat._id, ImagePath: "/posters/heat.webp" }]),
+    });
+    await posterOverrides.load();
+    const sent = JSON.parse(JSON.stringify({ _id: heat._id, Title: "Heat" }, posterOverrides.jsonReplacer));
+    assert.equal("ImagePath" in sent, false);
+  });
+
+  it("are kept apart for each cache", async () => {
+    const loaded = createPosterOverrides({ models: fakeModels([{ Movie: heat._id, ImagePath: "/posters/heat.webp" }]) });
+    const other = createPosterOverrides({ models: fakeModels([]) });
+    await Promise.all([loaded.load(), other.load()]);
+    assert.equal(loaded.get(heat._id), "/posters/heat.webp");
+    assert.equal(other.get(heat._id), undefined);
+  });
+});
@@ -0,0 +1,166 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { setTimeout: delay } = require("node:timers/promises");
+const request = require("supertest");
+const sharp = require("sharp");
+const api = require("./support/api");
+
+describe("poster routes", { skip: api.skipReason }, () => {
+  let app;
+  let data;
+  let admin;
+  let alice;
+  let png;
+
+  before(async () => {
+    app = await api.start();
+    png = await sharp({ create: { width: 600, height: 900, channels: 3, background: "#336699" } }).png().toBuffer();
+  });
+  after(api.stop);
+  beforeEach(async () => {
+    data = await api.reset();
+    admin = api.bearer(data.users.admin);
+    alice = api.bearer(data.users.alice);
+  });
+
+  describe("POST /movies/:id/poster", () => {
+    it("stores the poster with thumbnails and makes it the movie's ImagePath", async () => {
+      const res = await request(app)
+        .post("/movies/" + data.movies.matrix._id + "/poster")
+        .set("Authorization", admin)
+        .attach("poster", png, { filename: "matrix.png", contentType: "image/png" })
+        .expect(200);
+      assert.match(res.body.ImagePath, /\/posters\/.+\.png$/);
+      assert.deepEqual(Object.keys(res.body.Poster.Thumbnails).sort(), ["Large", "Medium", "Small"]);
+
+      const poster = await request(app).get(new URL(res.body.ImagePath).pathname).expect(200);
+      assert.equal(poster.headers["content-type"], "image/png");
+      const thumbnail = await request(app).get(new URL(res.body.Poster.Thumbnails.Small).pathname).expect(200);
+      assert.equal((await sharp(thumbnail.body).metadata()).width, 185);
+    });
+
+    it("needs a file in the poster field", async () => {
+      await request(app)
+        .post("/movies/" + data.movies.matrix._id + "/poster")
+        .set("Authorization", admin)
+        .field("title", "no file")
+        .expect(400);
+    });
+
+    it("accepts only JPEG, PNG and WebP images", async () => {
+      await request(app)
+        .post("/movies/" + data.movies.matrix._id + "/poster")
+        .set("Authorization", admin)
+        .attach("poster", Buffer.from("GIF89a"), { filename: "matrix.gif", contentType: "image/gif" })
+        .expect(415);
+      // The declared type is not trusted; the contents have to be an image
+      await request(app)
+        .post("/movies/" + data.movies.matrix._id + "/poster")
+        .set("Authorization", admin)
+        .attach("poster", Buffer.from("not an image"), { filename: "matrix.png", contentType: "image/png" })
+        .expect(415);
+    });
+
+    it("answers 404 for unknown movies and is for admins only", async () => {
+      await request(app)
+        .post("/movies/507f1f77bcf86cd799439011/poster")
+        .set("Authorization", admin)
+        .attach("poster", png, { filename: "matrix.png", contentType: "image/png" })
+        .expect(404);
+      await request(app)
+        .post("/movies/" + data.movies.matrix._id + "/poster")
+        .set("Authorization", alice)
+        .attach("poster", png, { filename: "matrix.png", contentType: "image/png" })
+        .expect(403);
+    });
+  });
+
+  describe("poster overrides", () => {
+    const replacement = "https://images.example.com/matrix-alternate.jpg";
+
+    it("show another poster without changing the movie", async () => {
+      const created = await request(app)
+        .put("/movies/" + data.movies.matrix._id + "/poster-override")
+        .set("Authorization", admin)
+        .send({ ImagePath: replacement, Note: "Original host removed the image" })
+        .expect(201);
+      assert.equal(created.body.ImagePath, replacement);
+
+      const movie = await request(app)
+        .get("/movies/id/" + data.movies.matrix._id)
+        .set("Authorization", alice)
+        .expect(200);
+      assert.equal(movie.body.ImagePath, replacement);
+
+      const list = await request(app).get("/poster-overrides").set("Authorization", admin).expect(200);
+      assert.equal(list.body.length, 1);
+      assert.equal(list.body[0].Movie.Title, "The Matrix");
+    });
+
+    it("are replaced by a second PUT and removed by DELETE", async () => {
+      const path = "/movies/" + data.movies.matrix._id + "/poster-override";
+      await request(app).put(path).set("Authorization", admin).send({ ImagePath: replacement }).expect(201);
+      await request(app).put(path).set("Authorization", admin).send({ ImagePath: "/posters/other.jpg" }).expect(200);
+
+      await request(app).delete(path).set("Authorization", admin).expect(200);
+      const movie = await request(app)
+        .get("/movies/id/" + data.movies.matrix._id)
+        .set("Authorization", alice)
+        .expect(200);
+      assert.equal(movie.body.ImagePath, data.movies.matrix.ImagePath);
+
+      await request(app).delete(path).set("Authorization", admin).expect(404);
+    });
+
+    it("need an http(s) URL or an absolute path", async () => {
+      const res = await request(app)
+        .put("/movies/" + data.movies.matrix._id + "/poster-override")
+        .set("Authorization", admin)
+        .send({ ImagePath: "javascript:alert(1)" })
+        .expect(422);
+      assert.equal(res.body.error.details[0].field, "ImagePath");
+    });
+
+    it("are for admins only", async () => {
+      await request(app)
+        .put("/movies/" + data.movies.matrix._id + "/poster-override")
+        .set("Authorization", alice)
+        .send({ ImagePath: replacement })
+        .expect(403);
+      await request(app).get("/poster-overrides").set("Authorization", alice).expect(403);
+    });
+  });
+
+  describe("poster checks", () => {
+    beforeEach(() => {
+      Object.assign(api.posterChecker().fetcher.responses, {
+        [data.movies.shawshank.ImagePath]: { status: 200, contentType: "image/jpeg" },
+        [data.movies.greenMile.ImagePath]: { status: 200, contentType: "image/jpeg" },
+        [data.movies.godfather.ImagePath]: { status: 200, contentType: "text/html" },
+      });
+    });
+
+    it("run in the background and list broken posters", async () => {
+      await request(app).post("/poster-checks").set("Authorization", admin).expect(202);
+      while (api.posterChecker().isChecking()) await delay(10);
+
+      const all = await request(app).get("/poster-checks").set("Authorization", admin).expect(200);
+      assert.equal(all.body.length, 4);
+
+      const broken = await request(app).get("/poster-checks?status=broken").set("Authorization", admin).expect(200);
+      assert.deepEqual(broken.body.map((check) => check.Movie.Title).sort(), ["The Godfather", "The Matrix"]);
+    });
+
+    it("start only one run at a time", async () => {
+      const running = api.posterChecker().checkPosters();
+      await request(app).post("/poster-checks").set("Authorization", admin).expect(409);
+      await running;
+    });
+
+    it("validate the status filter and are for admins only", async () => {
+      await request(app).get("/poster-checks?status=missing").set("Authorization", admin).expect(422);
+      await request(app).get("/poster-checks").set("Authorization", alice).expect(403);
+      await request(app).post("/poster-checks").set("Authorization", alice).expect(403);
+    });
+  });
+});
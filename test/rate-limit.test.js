@@ -0,0 +1,88 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const request = require("supertest");
+const rateLimit = require("../rate-limit");
+const { createTokens } = require("../tokens");
+const { errorHandler } = require("../errors");
+
+const tokens = createTokens({ jwtSecret: "rate-limit-test-secret" });
+
+/**
+ * Small app with every route answering 200, behind the given limits and its own counts
+ * @param {Object|false} [limits] - See createRateLimiter()
+ * @returns {express.Express}
+ */
+function limitedApp(limits) {
+  const app = express();
+  app.use(rateLimit.createRateLimiter(limits, { tokens }));
+  app.use((req, res) => res.json({ ok: true }));
+  app.use(errorHandler);
+  return app;
+}
+
+describe("rate limits", () => {
+  it("report the tightest limit in RateLimit headers", async () => {
+    const res = await request(limitedApp()).get("/search?q=matrix").expect(200);
+    assert.equal(res.headers["ratelimit-limit"], "60");
+    assert.equal(res.headers["ratelimit-remaining"], "59");
+    assert.equal(res.headers["ratelimit-reset"], "60");
+    assert.equal(res.headers["ratelimit-policy"], "300;w=60, 60;w=60");
+  });
+
+  it("answer 429 with Retry-After once a group is used up", async () => {
+    const app = limitedApp({ search: { limit: 2 } });
+    await request(app).get("/search").expect(200);
+    await request(app).get("/search/suggestions").expect(200);
+    const res = await request(app).get("/search/quick").expect(429);
+    assert.equal(res.body.error.code, "too_many_requests");
+    assert.equal(res.headers["ratelimit-remaining"], "0");
+    assert.equal(res.headers["retry-after"], res.headers["ratelimit-reset"]);
+    // Other groups still have room
+    await request(app).get("/movies/The%20Matrix").expect(200);
+  });
+
+  it("count every paged collection as a listing, but not single documents", async () => {
+    const app = limitedApp();
+    for (const path of ["/movies", "/actresses", "/people", "/genres", "/directors", "/lists"]) {
+      const res = await request(app).get(path).expect(200);
+      assert.equal(res.headers["ratelimit-limit"], String(rateLimit.routeGroups.listing.limit), path);
+    }
+    const single = await request(app).get("/genres/Drama").expect(200);
+    assert.equal(single.headers["ratelimit-limit"], String(rateLimit.routeGroups.general.limit));
+  });
+
+  it("count each user's tokens together and apart from other users", async () => {
+    const app = limitedApp({ listing: { limit: 1 } });
+    const alice = { _id: "507f1f77bcf86cd799439011", Username: "alicesmith" };
+    const bob = { _id: "507f1f77bcf86cd799439012", Username: "bobjones" };
+    await request(app).get("/movies").set("Authorization", "Bearer " + tokens.generateAccessToken(alice)).expect(200);
+    await request(app).get("/movies").set("Authorization", "Bearer " + tokens.generateAccessToken(alice)).expect(429);
+    await request(app).get("/movies").set("Authorization", "Bearer " + tokens.generateAccessToken(bob)).expect(200);
+    // Forged tokens are counted by IP
+    await request(app).get("/movies").set("Authorization", "Bearer forged").expect(200);
+    await request(app).get("/movies").set("Authorization", "Bearer forged-too").expect(429);
+  });
+
+  it("count sign-ups by IP even with a token", async () => {
+    const app = limitedApp();
+    const alice = "Bearer " + tokens.generateAccessToken({ _id: "507f1f77bcf86cd799439011", Username: "alicesmith" });
+    for (let signup = 0; signup < rateLimit.routeGroups.signup.limit; signup++) {
+      await request(app).post("/users").expect(200);
+    }
+    await request(app).post("/users").set("Authorization", alice).expect(429);
+    // Updating a profile is not a sign-up
+    await request(app).put("/users/alicesmith").set("Authorization", alice).expect(200);
+  });
+
+  it("can be turned off per group or altogether", async () => {
+    const withoutSearch = await request(limitedApp({ search: false })).get("/search").expect(200);
+    assert.equal(withoutSearch.headers["ratelimit-limit"], "300");
+    const unlimited = await request(limitedApp(false)).get("/search").expect(200);
+    assert.equal(unlimited.headers["ratelimit-limit"], undefined);
+  });
+
+  it("only accept stores with increment", () => {
+    assert.throws(() => rateLimit.createRateLimiter({}, { tokens, store: { get() {} } }), /increment/);
+  });
+});
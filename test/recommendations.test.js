@@ -0,0 +1,89 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const recommendations = require("../recommendations");
+
+describe("recommendations", () => {
+  const godfather = {
+    _id: "1",
+    Title: "The Godfather",
+    Genre: { Name: "Crime" },
+    Director: { Name: "Francis Ford Coppola" },
+    Actors: ["Al Pacino", "Marlon Brando"],
+    ReleaseYear: 1972,
+    IMDbRating: 9.2,
+  };
+  const godfatherTwo = {
+    _id: "2",
+    Title: "The Godfather Part II",
+    Genre: { Name: "crime" },
+    Director: { Name: "Francis Ford Coppola" },
+    Actors: ["Al Pacino", "Robert De Niro"],
+    ReleaseYear: 1974,
+    IMDbRating: 9.0,
+  };
+  const heat = {
+    _id: "3",
+    Title: "Heat",
+    Genre: { Name: "Crime" },
+    Director: { Name: "Michael Mann" },
+    Actors: ["Al Pacino", "Robert De Niro"],
+    ReleaseYear: 1995,
+    IMDbRating: 8.3,
+  };
+  const apocalypseNow = { _id: "4", Title: "Apocalypse Now", Director: { Name: "Francis Ford Coppola" } };
+  const amelie = {
+    _id: "5",
+    Title: "Amélie",
+    Genre: { Name: "Comedy" },
+    Director: { Name: "Jean-Pierre Jeunet" },
+    Actresses: ["Audrey Tautou"],
+    ReleaseYear: 2001,
+  };
+  const catalog = [godfather, godfatherTwo, heat, apocalypseNow, amelie];
+
+  it("find what two movies share, ignoring case", () => {
+    assert.deepEqual(recommendations.sharedFeatures(godfather, godfatherTwo), {
+      genre: "Crime",
+      director: "Francis Ford Coppola",
+      cast: ["Al Pacino"],
+    });
+    assert.deepEqual(recommendations.sharedFeatures(godfather, amelie), { genre: null, director: null, cast: [] });
+  });
+
+  it("score similarity by overlap and release year", () => {
+    // Genre 2 + director 3 + one cast member 1.5 + two years apart 0.8
+    assert.equal(recommendations.similarityScore(godfather, godfatherTwo), 7.3);
+    assert.equal(recommendations.similarityScore(godfather, amelie), 0);
+    assert.deepEqual(
+      recommendations.similarTo(godfather, catalog).map((result) => result.movie.Title),
+      ["The Godfather Part II", "Heat", "Apocalypse Now"]
+    );
+  });
+
+  it("weight picks by rating and explain each one", () => {
+    const picks = recommendations.recommend([godfather], catalog);
+    assert.deepEqual(
+      picks.map((pick) => pick.movie.Title),
+      ["The Godfather Part II", "Heat", "Apocalypse Now"]
+    );
+    assert.equal(picks[0].score, 5.85);
+    assert.equal(
+      picks[0].because,
+      "Because you liked The Godfather: also directed by Francis Ford Coppola, also starring Al Pacino, also Crime"
+    );
+    assert.deepEqual(picks[0].basedOn, { _id: "1", Title: "The Godfather" });
+    // Unrated movies count as rated 5
+    assert.equal(picks[2].score, 1.5);
+    assert.equal(recommendations.recommend([godfather], catalog, { limit: 1 }).length, 1);
+  });
+
+  it("narrow the catalog to movies sharing anything", () => {
+    const filter = recommendations.candidateFilter([godfather]);
+    assert.deepEqual(filter._id, { $nin: ["1"] });
+    assert.deepEqual(filter.$or[0], { "Genre.Name": { $in: ["Crime"] } });
+    assert.deepEqual(filter.$or[2], { Actors: { $in: ["Al Pacino", "Marlon Brando"] } });
+    assert.deepEqual(recommendations.similarCandidateFilter(godfather).$or[4], {
+      ReleaseYear: { $gt: 1962, $lt: 1982 },
+    });
+  });
+});
@@ -0,0 +1,149 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const api = require("./support/api");
+
+describe("review routes", { skip: api.skipReason }, () => {
+  let app;
+  let data;
+  let admin;
+  let alice;
+  let bob;
+  let reviewsPath;
+
+  before(async () => {
+    app = await api.start();
+  });
+  after(api.stop);
+  beforeEach(async () => {
+    data = await api.reset();
+    admin = api.bearer(data.users.admin);
+    alice = api.bearer(data.users.alice);
+    bob = api.bearer(data.users.bob);
+    reviewsPath = "/movies/" + data.movies.matrix._id + "/reviews";
+  });
+
+  const review = (token, body = { Rating: 9, Text: "Still holds up." }) =>
+    request(app).post(reviewsPath).set("Authorization", token).send(body);
+
+  describe("POST /movies/:id/reviews", () => {
+    it("adds a review and updates the community rating", async () => {
+      const res = await review(alice).expect(201);
+      assert.equal(res.body.Rating, 9);
+      assert.equal(res.body.User, String(data.users.alice._id));
+      await review(bob, { Rating: 6 }).expect(201);
+
+      const list = await request(app).get(reviewsPath).set("Authorization", alice).expect(200);
+      assert.deepEqual(list.body.communityRating, { Average: 7.5, Count: 2 });
+      assert.equal(list.body.reviews.length, 2);
+      assert.equal(list.body.pagination.totalResults, 2);
+    });
+
+    it("allows one review per user and movie", async () => {
+      await review(alice).expect(201);
+      const res = await review(alice, { Rating: 3 }).expect(409);
+      assert.equal(res.body.error.message, "You have already reviewed this movie");
+    });
+
+    it("validates the rating", async () => {
+      for (const Rating of [0, 11, 7.5, "great"]) {
+        const res = await review(alice, { Rating }).expect(422);
+        assert.equal(res.body.error.details[0].field, "Rating");
+      }
+    });
+
+    it("answers 404 for unknown movies", async () => {
+      await request(app)
+        .post("/movies/507f1f77bcf86cd799439011/reviews")
+        .set("Authorization", alice)
+        .send({ Rating: 5 })
+        .expect(404);
+    });
+  });
+
+  describe("GET /movies/:id/reviews/:reviewId", () => {
+    it("returns the review with its author", async () => {
+      const { body: created } = await review(alice).expect(201);
+      const res = await request(app).get(reviewsPath + "/" + created._id).set("Authorization", bob).expect(200);
+      assert.equal(res.body.User.Username, "alicesmith");
+      assert.equal(res.body.HelpfulBy, undefined);
+    });
+
+    it("answers 404 for reviews of another movie", async () => {
+      const { body: created } = await review(alice).expect(201);
+      await request(app)
+        .get("/movies/" + data.movies.godfather._id + "/reviews/" + created._id)
+        .set("Authorization", alice)
+        .expect(404);
+    });
+  });
+
+  describe("PUT /movies/:id/reviews/:reviewId", () => {
+    it("lets the author change the review", async () => {
+      const { body: created } = await review(alice).expect(201);
+      const res = await request(app)
+        .put(reviewsPath + "/" + created._id)
+        .set("Authorization", alice)
+        .send({ Rating: 4, Text: "Did not age well." })
+        .expect(200);
+      assert.equal(res.body.Rating, 4);
+
+      const list = await request(app).get(reviewsPath).set("Authorization", alice).expect(200);
+      assert.deepEqual(list.body.communityRating, { Average: 4, Count: 1 });
+    });
+
+    it("is for the author only, even for admins", async () => {
+      const { body: created } = await review(alice).expect(201);
+      for (const token of [bob, admin]) {
+        const res = await request(app)
+          .put(reviewsPath + "/" + created._id)
+          .set("Authorization", token)
+          .send({ Rating: 1 })
+          .expect(403);
+        assert.equal(res.body.error.message, "Not authorized to edit this review");
+      }
+    });
+  });
+
+  describe("DELETE /movies/:id/reviews/:reviewId", () => {
+    it("lets the author delete the review", async () => {
+      const { body: created } = await review(alice).expect(201);
+      await request(app).delete(reviewsPath + "/" + created._id).set("Authorization", alice).expect(200);
+
+      const list = await request(app).get(reviewsPath).set("Authorization", alice).expect(200);
+      assert.deepEqual(list.body.communityRating, { Average: null, Count: 0 });
+    });
+
+    it("lets admins delete any review, but no other user", async () => {
+      const { body: created } = await review(alice).expect(201);
+      await request(app).delete(reviewsPath + "/" + created._id).set("Authorization", bob).expect(403);
+      await request(app).delete(reviewsPath + "/" + created._id).set("Authorization", admin).expect(200);
+      await request(app).delete(reviewsPath + "/" + created._id).set("Authorization", admin).expect(404);
+    });
+  });
+
+  describe("helpful votes", () => {
+    it("count each user once and can be taken back", async () => {
+      const { body: created } = await review(alice).expect(201);
+      const helpfulPath = reviewsPath + "/" + created._id + "/helpful";
+
+      let res = await request(app).post(helpfulPath).set("Authorization", bob).expect(200);
+      assert.equal(res.body.HelpfulCount, 1);
+      res = await request(app).post(helpfulPath).set("Authorization", bob).expect(200);
+      assert.equal(res.body.HelpfulCount, 1);
+
+      res = await request(app).delete(helpfulPath).set("Authorization", bob).expect(200);
+      assert.equal(res.body.HelpfulCount, 0);
+      res = await request(app).delete(helpfulPath).set("Authorization", bob).expect(200);
+      assert.equal(res.body.HelpfulCount, 0);
+    });
+
+    it("cannot be given to your own review", async () => {
+      const { body: created } = await review(alice).expect(201);
+      await request(app)
+        .post(reviewsPath + "/" + created._id + "/helpful")
+        .set("Authorization", alice)
+        .expect(400);
+    });
+  });
+});
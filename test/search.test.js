@@ -0,0 +1,162 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const api = require("./support/api");
+const Models = require("../models.js");
+
+describe("search routes", { skip: api.skipReason }, () => {
+  let app;
+  let alice;
+
+  before(async () => {
+    app = await api.start();
+  });
+  after(api.stop);
+  beforeEach(async () => {
+    const data = await api.reset();
+    alice = api.bearer(data.users.alice);
+  });
+
+  const search = (path) => request(app).get(path).set("Authorization", alice);
+  const titles = (movies) => movies.map((movie) => movie.Title);
+
+  describe("GET /movies/genre/:genre", () => {
+    it("lists the movies of a genre", async () => {
+      const res = await search("/movies/genre/drama").expect(200);
+      assert.deepEqual(titles(res.body), ["The Green Mile", "The Shawshank Redemption"]);
+    });
+  });
+
+  describe("full-text search", () => {
+    it("finds movies by words in their description", async () => {
+      const res = await search("/search?q=hacker").expect(200);
+      assert.deepEqual(titles(res.body.results), ["The Matrix"]);
+      assert.equal(res.body.count, 1);
+      assert.equal(res.body.didYouMean, undefined);
+    });
+
+    it("suggests a correction when nothing matches", async () => {
+      const res = await search("/search?q=godfathr").expect(200);
+      assert.equal(res.body.count, 0);
+      assert.equal(res.body.didYouMean, "The Godfather");
+    });
+
+    it("returns only the display fields from quick search", async () => {
+      const res = await search("/search/quick?q=hacker").expect(200);
+      assert.equal(res.body.isQuickSearch, true);
+      assert.equal(res.body.results[0].Title, "The Matrix");
+      assert.equal(res.body.results[0].Description, undefined);
+    });
+
+    it("pages results", async () => {
+      const res = await search("/search/paginated?q=crime&limit=1").expect(200);
+      assert.equal(res.body.results.length, 1);
+      assert.equal(res.body.pagination.resultsPerPage, 1);
+    });
+
+    it("needs a query", async () => {
+      const res = await search("/search").expect(422);
+      assert.equal(res.body.error.details[0].field, "q");
+      await search("/search/quick?q=").expect(422);
+    });
+  });
+
+  describe("field searches", () => {
+    it("match titles, cast, genres and directors as substrings", async () => {
+      assert.deepEqual(titles((await search("/search/movies?title=green").expect(200)).body.results), ["The Green Mile"]);
+      assert.deepEqual(titles((await search("/search/movies?title=godf").expect(200)).body.results), ["The Godfather"]);
+      // Words that appear in the description but not the title do not count
+      assert.equal((await search("/search/movies?title=simulation").expect(200)).body.count, 0);
+      assert.deepEqual(
+        titles((await search("/search/genres?genre=science").expect(200)).body.results),
+        ["The Matrix"]
+      );
+      assert.deepEqual(
+        titles((await search("/search/directors?director=darabont").expect(200)).body.results),
+        ["The Green Mile", "The Shawshank Redemption"]
+      );
+      assert.deepEqual(
+        titles((await search("/search/actors?actor=keaton").expect(200)).body.results),
+        ["The Godfather"]
+      );
+    });
+
+    it("find titles made of stop words", async () => {
+      await Models.Movie.create({ Title: "Up", Description: "A house flies away." });
+      await Models.Movie.create({ Title: "It", Description: "A clown haunts a town." });
+      assert.deepEqual(titles((await search("/search/movies?title=up").expect(200)).body.results), ["Up"]);
+      assert.deepEqual(titles((await search("/search/advanced?title=it").expect(200)).body.results), ["It"]);
+    });
+
+    it("treat regex characters as text", async () => {
+      const res = await search("/search/movies?title=" + encodeURIComponent(".*")).expect(200);
+      assert.equal(res.body.count, 0);
+    });
+
+    it("suggest corrections for typos", async () => {
+      assert.equal((await search("/search/movies?title=godfathr").expect(200)).body.didYouMean, "The Godfather");
+      assert.equal((await search("/search/directors?director=darabnot").expect(200)).body.didYouMean, "Frank Darabont");
+    });
+
+    it("need their query parameter", async () => {
+      await search("/search/movies").expect(422);
+      await search("/search/actors").expect(422);
+    });
+  });
+
+  describe("GET /search/advanced", () => {
+    it("combines filters", async () => {
+      const res = await search("/search/advanced?genre=drama&year=1999").expect(200);
+      assert.deepEqual(titles(res.body.results), ["The Green Mile"]);
+    });
+
+    it("needs at least one filter", async () => {
+      await search("/search/advanced").expect(400);
+      await search("/search/advanced?year=1700").expect(422);
+    });
+  });
+
+  describe("GET /search/browse", () => {
+    it("filters and counts every facet", async () => {
+      const res = await search("/search/browse?genre=Drama").expect(200);
+      assert.deepEqual(titles(res.body.results), ["The Green Mile", "The Shawshank Redemption"]);
+      assert.equal(res.body.pagination.totalResults, 2);
+      // The genre facet ignores the genre filter, so other genres can still be picked
+      const crime = res.body.facets.genre.find((facet) => facet.value === "Crime");
+      assert.equal(crime.count, 1);
+      const decade = res.body.facets.decade.find((facet) => facet.value === "1990s");
+      assert.equal(decade.count, 2);
+    });
+
+    it("combines ranges and sorts", async () => {
+      const res = await search("/search/browse?minYear=1990&minRating=8.7&sort=-IMDbRating").expect(200);
+      assert.deepEqual(titles(res.body.results), ["The Shawshank Redemption", "The Matrix"]);
+    });
+
+    it("validates the filters", async () => {
+      await search("/search/browse?minRating=11").expect(422);
+      await search("/search/browse?featured=sometimes").expect(422);
+    });
+  });
+
+  describe("GET /search/suggestions", () => {
+    it("suggests titles and names as you type", async () => {
+      const res = await search("/search/suggestions?q=god").expect(200);
+      assert.deepEqual(res.body.suggestions.movies[0], { type: "movie", value: "The Godfather" });
+
+      const directors = await search("/search/suggestions?q=frank").expect(200);
+      assert.deepEqual(directors.body.suggestions.directors[0], { type: "director", value: "Frank Darabont" });
+    });
+
+    it("needs a query", async () => {
+      await search("/search/suggestions").expect(422);
+    });
+
+    it("rejects a limit outside 1 to 50", async () => {
+      await search("/search/suggestions?q=god&limit=0").expect(422);
+      await search("/search/suggestions?q=god&limit=51").expect(422);
+      await search("/search/suggestions?q=god&limit=many").expect(422);
+      await search("/search/suggestions?q=god&limit=50").expect(200);
+    });
+  });
+});
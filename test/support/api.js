@@ -0,0 +1,188 @@
+/**
+ * @fileoverview Test harness for the API integration tests
+ * @description Starts a throwaway MongoDB in memory, builds the app against it with createApp()
+ * and resets the data to the fixtures before each test. Mail, poster storage and poster link
+ * checks use their in-memory backends, so nothing leaves the process.
+ *
+ * The first `npm install` downloads the MongoDB binary pinned in package.json
+ * (config.mongodbMemoryServer.version) into node_modules/.cache; after that the tests run offline.
+ * Set MONGOMS_SYSTEM_BINARY to use a mongod that is already installed. Without either, a local run
+ * skips every suite that passes skipReason on, rather than cancelling them while trying to download
+ * a binary. Under CI the suites run and start() fails, so a missing binary cannot pass as green.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+const Models = require("../../models.js");
+const { createMemoryTransport } = require("../../mailer");
+const loginLimiter = require("../../login-limiter");
+const rateLimit = require("../../rate-limit");
+const { createTokens } = require("../../tokens");
+const { createMemoryStorage } = require("../../poster-storage");
+const { createPosterChecker, createStubFetcher } = require("../../poster-checker");
+const { createPosterOverrides } = require("../../poster-overrides");
+const { createApp } = require("../../app");
+const fixtures = require("./fixtures");
+const { config } = require("../../package.json");
+
+/**
+ * Secret the app under test signs its access tokens with
+ * @type {string}
+ */
+const jwtSecret = "integration-test-secret";
+
+/**
+ * Token functions matching the app's, for signing in users directly
+ * @type {Object}
+ */
+const tokens = createTokens({ models: Models, jwtSecret });
+
+/**
+ * Mail, login attempt, rate limit and poster backends handed to the app, so tests can inspect and
+ * reset them. The poster checker answers from a stub fetcher and never touches the network.
+ * @type {{mailTransport: Object, loginAttemptStore: Object, rateLimitStore: Object, posterStorage: Object,
+ * posterChecker: Object, posterOverrides: Object}}
+ */
+const backends = {
+  mailTransport: createMemoryTransport(),
+  loginAttemptStore: loginLimiter.createMemoryStore(),
+  rateLimitStore: rateLimit.createMemoryStore(),
+  posterStorage: createMemoryStorage(),
+  posterChecker: createPosterChecker({ models: Models, fetcher: createStubFetcher() }),
+  posterOverrides: createPosterOverrides({ models: Models }),
+};
+
+/**
+ * Whether a mongod binary is available without downloading one: MONGOMS_SYSTEM_BINARY, or a
+ * binary of the pinned version in one of the directories mongodb-memory-server caches downloads in
+ * @returns {boolean}
+ */
+function hasMongodBinary() {
+  if (process.env.MONGOMS_SYSTEM_BINARY) {
+    return fs.existsSync(process.env.MONGOMS_SYSTEM_BINARY);
+  }
+  const version = process.env.MONGOMS_VERSION || config.mongodbMemoryServer.version;
+  const cacheDirs = [
+    process.env.MONGOMS_DOWNLOAD_DIR,
+    path.join(__dirname, "../../node_modules/.cache/mongodb-memory-server"),
+    path.join(os.homedir(), ".cache/mongodb-binaries"),
+  ];
+  return cacheDirs.some(
+    (dir) => dir && fs.existsSync(dir) && fs.readdirSync(dir).some((name) => name.startsWith("mongod") && name.includes(version))
+  );
+}
+
+/**
+ * Why the database tests cannot run, or undefined when they can
+ * @type {string|undefined}
+ */
+const missingBinary = hasMongodBinary()
+  ? undefined
+  : "no MongoDB binary: set MONGOMS_SYSTEM_BINARY to an installed mongod, or run " +
+    "`npm rebuild mongodb-memory-server` online to download one";
+
+/**
+ * Reason to skip the database tests, or undefined when they must run. Pass it as the skip option
+ * of each suite that calls start(). Never set under CI: there a missing binary fails the run.
+ * @type {string|undefined}
+ */
+const skipReason = process.env.CI ? undefined : missingBinary;
+
+/**
+ * Database server of the current test file
+ * @type {MongoMemoryServer|undefined}
+ */
+let server;
+
+/**
+ * Starts the database and builds the app. Call once per test file, in before().
+ * @returns {Promise<Express>}
+ * @throws {Error} When there is no MongoDB binary to start
+ */
+async function start() {
+  if (missingBinary) throw new Error("Cannot run the database tests: " + missingBinary);
+  server = await MongoMemoryServer.create();
+  await mongoose.connect(server.getUri());
+  // Unique and text indexes have to exist before the tests rely on them
+  await Promise.all(mongoose.modelNames().map((name) => mongoose.model(name).init()));
+  return createApp({ config: { logRequests: false, jwtSecret, ...backends } });
+}
+
+/**
+ * Disconnects and throws the database away. Call in after().
+ * @returns {Promise<void>}
+ */
+async function stop() {
+  await mongoose.disconnect();
+  if (server) await server.stop();
+}
+
+/**
+ * Empties every collection, the in-memory outbox, the login attempt counts, the rate limit
+ * counts, the poster overrides and the stub poster responses, then inserts the fixtures.
+ * Call in beforeEach().
+ * @returns {Promise<Object>} The created fixtures; see fixtures.seed()
+ */
+async function reset() {
+  await Promise.all(
+    Object.values(mongoose.connection.collections).map((collection) => collection.deleteMany({}))
+  );
+  await backends.posterOverrides.load();
+  const { fetcher } = backends.posterChecker;
+  for (const url of Object.keys(fetcher.responses)) delete fetcher.responses[url];
+  fetcher.requests.length = 0;
+  backends.mailTransport.outbox.length = 0;
+  await backends.loginAttemptStore.clear();
+  await backends.rateLimitStore.clear();
+  return fixtures.seed();
+}
+
+/**
+ * Authorization header value for a user, as if they had logged in
+ * @param {Object} user - User document
+ * @returns {string}
+ */
+function bearer(user) {
+  return "Bearer " + tokens.generateAccessToken(user);
+}
+
+/**
+ * Messages sent through the in-memory mail transport since the last reset()
+ * @returns {Object[]}
+ */
+function outbox() {
+  return backends.mailTransport.outbox;
+}
+
+/**
+ * Poster checker of the app under test. Its stub fetcher answers 404 for any URL not put in
+ * fetcher.responses.
+ * @returns {Object} See createPosterChecker()
+ */
+function posterChecker() {
+  return backends.posterChecker;
+}
+
+/**
+ * Pulls the one-time code out of a verification or reset email
+ * @param {Object} message - Sent message
+ * @returns {string}
+ */
+function codeFrom(message) {
+  return message.text.match(/(?:Verification|Reset) code: (\S+)/)[1];
+}
+
+module.exports = {
+  skipReason,
+  password: fixtures.password,
+  start,
+  stop,
+  reset,
+  bearer,
+  outbox,
+  posterChecker,
+  codeFrom,
+};
@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Fixture data for the API integration tests
+ * @description A small catalog (three genres, three directors, four movies) and three accounts:
+ * an admin and two regular users. Every test starts from exactly this data.
+ */
+
+const Models = require("../../models.js");
+
+/**
+ * Password of every fixture account
+ * @type {string}
+ */
+const password = "password123";
+
+/**
+ * Hashing is slow on purpose, so the hash is computed once and reused
+ * @type {string|undefined}
+ */
+let passwordHash;
+
+const genres = [
+  { Name: "Drama", Description: "Character-driven stories" },
+  { Name: "Science Fiction", Description: "Speculative futures and technology" },
+  { Name: "Crime", Description: "Criminals and the people who chase them" },
+];
+
+const directors = [
+  { Name: "Frank Darabont", Bio: "Writer and director", Birth: "1959-01-28" },
+  { Name: "Lana Wachowski", Bio: "Writer and director", Birth: "1965-06-21" },
+  { Name: "Francis Ford Coppola", Bio: "Writer, director and producer", Birth: "1939-04-07" },
+];
+
+const movies = [
+  {
+    key: "shawshank",
+    Title: "The Shawshank Redemption",
+    Description: "Two imprisoned men bond over a number of years.",
+    Genre: "Drama",
+    Director: "Frank Darabont",
+    Actors: ["Tim Robbins", "Morgan Freeman"],
+    Actresses: [],
+    ReleaseYear: 1994,
+    IMDbRating: 9.3,
+    ImagePath: "https://images.example.com/shawshank.jpg",
+    Featured: true,
+  },
+  {
+    key: "greenMile",
+    Title: "The Green Mile",
+    Description: "A death row guard meets an inmate with a mysterious gift.",
+    Genre: "Drama",
+    Director: "Frank Darabont",
+    Actors: ["Tom Hanks", "Michael Clarke Duncan"],
+    Actresses: ["Bonnie Hunt"],
+    ReleaseYear: 1999,
+    IMDbRating: 8.6,
+    ImagePath: "https://images.example.com/green-mile.jpg",
+    Featured: false,
+  },
+  {
+    key: "matrix",
+    Title: "The Matrix",
+    Description: "A hacker learns the world he lives in is a simulation.",
+    Genre: "Science Fiction",
+    Director: "Lana Wachowski",
+    Actors: ["Keanu Reeves", "Laurence Fishburne"],
+    Actresses: ["Carrie-Anne Moss"],
+    ReleaseYear: 1999,
+    IMDbRating: 8.7,
+    ImagePath: "https://images.example.com/matrix.jpg",
+    Featured: false,
+  },
+  {
+    key: "godfather",
+    Title: "The Godfather",
+    Description: "The aging patriarch of a crime dynasty hands control to his son.",
+    Genre: "Crime",
+    Director: "Francis Ford Coppola",
+    Actors: ["Marlon Brando", "Al Pacino"],
+    Actresses: ["Diane Keaton"],
+    ReleaseYear: 1972,
+    IMDbRating: 9.2,
+    ImagePath: "https://images.example.com/godfather.jpg",
+    Featured: true,
+  },
+];
+
+const users = [
+  { key: "admin", Username: "adminuser", Email: "admin@example.com", Role: Models.Roles.ADMIN, Verified: true },
+  { key: "alice", Username: "alicesmith", Email: "alice@example.com", Birthday: "1990-05-01", Verified: true },
+  { key: "bob", Username: "bobjones", Email: "bob@example.com", Birthday: "1985-11-12" },
+];
+
+/**
+ * Inserts the fixtures into an empty database
+ * @returns {Promise<{genres: Object, directors: Object, movies: Object, users: Object}>} Created documents;
+ * genres and directors are keyed by name, movies and users by their fixture key
+ */
+async function seed() {
+  if (!passwordHash) passwordHash = Models.User.hashPassword(password);
+
+  const created = { genres: {}, directors: {}, movies: {}, users: {} };
+  for (const genre of await Models.Genre.create(genres)) {
+    created.genres[genre.Name] = genre;
+  }
+  for (const director of await Models.Director.create(directors)) {
+    created.directors[director.Name] = director;
+  }
+  for (const { key, Genre, Director, ...fields } of movies) {
+    created.movies[key] = await Models.Movie.create({
+      ...fields,
+      Genre: created.genres[Genre].toMovieCopy(),
+      Director: created.directors[Director].toMovieCopy(),
+    });
+  }
+  for (const { key, ...fields } of users) {
+    created.users[key] = await Models.User.create({ ...fields, Password: passwordHash });
+  }
+  return created;
+}
+
+module.exports = { password, seed };
@@ -0,0 +1,358 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const Models = require("../models.js");
+const api = require("./support/api");
+
+describe("user routes", { skip: api.skipReason }, () => {
+  let app;
+  let data;
+  let admin;
+  let alice;
+  let bob;
+
+  before(async () => {
+    app = await api.start();
+  });
+  after(api.stop);
+  beforeEach(async () => {
+    data = await api.reset();
+    admin = api.bearer(data.users.admin);
+    alice = api.bearer(data.users.alice);
+    bob = api.bearer(data.users.bob);
+  });
+
+  const profile = (overrides = {}) => ({
+    Username: "alicesmith",
+    Password: api.password,
+    Email: "alice@example.com",
+    Birthday: "1990-05-01",
+    ...overrides,
+  });
+
+  describe("POST /users", () => {
+    it("registers a user and emails a verification code", async () => {
+      const res = await request(app)
+        .post("/users")
+        .send({ Username: "carolking", Password: "secret123", Email: "carol@example.com" })
+        .expect(201);
+      assert.equal(res.body.Username, "carolking");
+      assert.equal(res.body.Password, undefined);
+      assert.equal(res.body.Role, "user");
+      assert.equal(api.outbox().length, 1);
+      assert.equal(api.outbox()[0].to, "carol@example.com");
+
+      await request(app).post("/login").send({ Username: "carolking", Password: "secret123" }).expect(200);
+    });
+
+    it("rejects taken usernames", async () => {
+      const res = await request(app)
+        .post("/users")
+        .send({ Username: "alicesmith", Password: "secret123", Email: "other@example.com" })
+        .expect(409);
+      assert.equal(res.body.error.message, "alicesmith already exists");
+    });
+
+    it("validates the username, password and email", async () => {
+      const res = await request(app)
+        .post("/users")
+        .send({ Username: "al!", Email: "not-an-email" })
+        .expect(422);
+      assert.deepEqual(
+        [...new Set(res.body.error.details.map((error) => error.field))].sort(),
+        ["Email", "Password", "Username"]
+      );
+    });
+
+    it("limits sign-ups from one address", async () => {
+      for (let signup = 0; signup < 5; signup++) {
+        await request(app)
+          .post("/users")
+          .send({ Username: "newuser" + signup, Password: "secret123", Email: `new${signup}@example.com` })
+          .expect(201);
+      }
+      const res = await request(app)
+        .post("/users")
+        .send({ Username: "newuser5", Password: "secret123", Email: "new5@example.com" })
+        .expect(429);
+      assert.equal(res.headers["ratelimit-remaining"], "0");
+      assert.ok(Number(res.headers["retry-after"]) > 0);
+    });
+  });
+
+  describe("GET /users", () => {
+    it("lists users for admins", async () => {
+      const res = await request(app).get("/users").set("Authorization", admin).expect(200);
+      assert.deepEqual(res.body.map((user) => user.Username), ["adminuser", "alicesmith", "bobjones"]);
+      assert.ok(res.body.every((user) => user.Password === undefined));
+    });
+
+    it("is for admins only", async () => {
+      const res = await request(app).get("/users").set("Authorization", alice).expect(403);
+      assert.equal(res.body.error.message, "Not authorized to list users");
+    });
+  });
+
+  describe("GET /users/:username", () => {
+    it("returns your own profile", async () => {
+      const res = await request(app).get("/users/alicesmith").set("Authorization", alice).expect(200);
+      assert.equal(res.body.Email, "alice@example.com");
+    });
+
+    it("hides other users' profiles unless you are an admin", async () => {
+      await request(app).get("/users/alicesmith").set("Authorization", bob).expect(403);
+      await request(app).get("/users/alicesmith").set("Authorization", admin).expect(200);
+      await request(app).get("/users/nobodyhere").set("Authorization", admin).expect(404);
+    });
+  });
+
+  describe("PUT /users/:Username", () => {
+    it("updates your own profile", async () => {
+      const res = await request(app)
+        .put("/users/alicesmith")
+        .set("Authorization", alice)
+        .send(profile({ Birthday: "1991-06-02" }))
+        .expect(200);
+      assert.equal(res.body.Birthday.slice(0, 10), "1991-06-02");
+      // Same password, same address: the session stays valid and nothing is sent
+      await request(app).get("/users/alicesmith").set("Authorization", alice).expect(200);
+      assert.equal(api.outbox().length, 0);
+    });
+
+    it("signs you out everywhere when the password changes", async () => {
+      await request(app)
+        .put("/users/alicesmith")
+        .set("Authorization", alice)
+        .send(profile({ Password: "a-new-password" }))
+        .expect(200);
+      await request(app).get("/users/alicesmith").set("Authorization", alice).expect(401);
+    });
+
+    it("asks for verification again when the email changes", async () => {
+      const res = await request(app)
+        .put("/users/alicesmith")
+        .set("Authorization", alice)
+        .send(profile({ Email: "alice@example.org" }))
+        .expect(200);
+      assert.equal(res.body.Verified, false);
+      assert.equal(api.outbox()[0].to, "alice@example.org");
+    });
+
+    it("is for yourself only, even for admins", async () => {
+      await request(app).put("/users/alicesmith").set("Authorization", bob).send(profile()).expect(403);
+      await request(app).put("/users/alicesmith").set("Authorization", admin).send(profile()).expect(403);
+    });
+
+    it("refuses a username another account has", async () => {
+      const res = await request(app)
+        .put("/users/alicesmith")
+        .set("Authorization", alice)
+        .send(profile({ Username: "bobjones" }))
+        .expect(409);
+      assert.equal(res.body.error.message, "bobjones already exists");
+      assert.equal(await Models.User.countDocuments({ Username: "bobjones" }), 1);
+    });
+
+    it("validates the profile", async () => {
+      await request(app)
+        .put("/users/alicesmith")
+        .set("Authorization", alice)
+        .send(profile({ Email: "nope" }))
+        .expect(422);
+    });
+  });
+
+  describe("favorites", () => {
+    const favoritePath = (movie) => "/users/alicesmith/movies/" + movie._id;
+
+    it("are added once and removed", async () => {
+      await request(app).post(favoritePath(data.movies.matrix)).set("Authorization", alice).expect(200);
+      const res = await request(app).post(favoritePath(data.movies.matrix)).set("Authorization", alice).expect(200);
+      assert.deepEqual(res.body.FavoriteMovies, [String(data.movies.matrix._id)]);
+
+      const favorites = await request(app).get("/users/alicesmith/favorites").set("Authorization", alice).expect(200);
+      assert.equal(favorites.body.count, 1);
+      assert.equal(favorites.body.favoriteMovies[0].Title, "The Matrix");
+
+      const removed = await request(app).delete(favoritePath(data.movies.matrix)).set("Authorization", alice).expect(200);
+      assert.deepEqual(removed.body.FavoriteMovies, []);
+    });
+
+    it("are changed by their owner only", async () => {
+      await request(app).post(favoritePath(data.movies.matrix)).set("Authorization", bob).expect(403);
+      await request(app).post(favoritePath(data.movies.matrix)).set("Authorization", admin).expect(403);
+      await request(app).delete(favoritePath(data.movies.matrix)).set("Authorization", bob).expect(403);
+    });
+
+    it("are viewed by their owner or an admin", async () => {
+      await request(app).get("/users/alicesmith/favorites").set("Authorization", bob).expect(403);
+      await request(app).get("/users/alicesmith/favorites").set("Authorization", admin).expect(200);
+    });
+
+    it("need a valid movie ID", async () => {
+      await request(app).post("/users/alicesmith/movies/not-an-id").set("Authorization", alice).expect(422);
+    });
+  });
+
+  describe("GET /users/:username/recommendations", () => {
+    it("suggests top-rated movies to users without favorites", async () => {
+      const res = await request(app)
+        .get("/users/alicesmith/recommendations?limit=2")
+        .set("Authorization", alice)
+        .expect(200);
+      assert.deepEqual(
+        res.body.recommendations.map((recommendation) => recommendation.movie.Title),
+        ["The Shawshank Redemption", "The Godfather"]
+      );
+    });
+
+    it("suggests movies like the favorites and leaves the favorites out", async () => {
+      await Models.User.updateOne({ _id: data.users.alice._id }, { $push: { FavoriteMovies: data.movies.shawshank._id } });
+      const res = await request(app).get("/users/alicesmith/recommendations").set("Authorization", alice).expect(200);
+      const titles = res.body.recommendations.map((recommendation) => recommendation.movie.Title);
+      assert.equal(titles[0], "The Green Mile");
+      assert.ok(!titles.includes("The Shawshank Redemption"));
+    });
+
+    it("are private", async () => {
+      await request(app).get("/users/alicesmith/recommendations").set("Authorization", bob).expect(403);
+    });
+  });
+
+  describe("watchlist", () => {
+    const watchlistPath = "/users/alicesmith/watchlist";
+
+    it("keeps movies in the order they are added and can be reordered", async () => {
+      await request(app).post(watchlistPath + "/" + data.movies.matrix._id).set("Authorization", alice).expect(200);
+      const added = await request(app)
+        .post(watchlistPath + "/" + data.movies.godfather._id)
+        .set("Authorization", alice)
+        .expect(200);
+      assert.deepEqual(added.body.watchlist.map((movie) => movie.Title), ["The Matrix", "The Godfather"]);
+
+      const reordered = await request(app)
+        .put(watchlistPath)
+        .set("Authorization", alice)
+        .send({ order: [String(data.movies.godfather._id), String(data.movies.matrix._id)] })
+        .expect(200);
+      assert.deepEqual(reordered.body.watchlist.map((movie) => movie.Title), ["The Godfather", "The Matrix"]);
+
+      const removed = await request(app)
+        .delete(watchlistPath + "/" + data.movies.godfather._id)
+        .set("Authorization", alice)
+        .expect(200);
+      assert.equal(removed.body.count, 1);
+    });
+
+    it("rejects orders that are not a permutation of the watchlist", async () => {
+      await request(app).post(watchlistPath + "/" + data.movies.matrix._id).set("Authorization", alice).expect(200);
+      await request(app)
+        .put(watchlistPath)
+        .set("Authorization", alice)
+        .send({ order: [String(data.movies.godfather._id)] })
+        .expect(400);
+      await request(app).put(watchlistPath).set("Authorization", alice).send({ order: ["nope"] }).expect(422);
+    });
+
+    it("answers 404 for unknown movies", async () => {
+      await request(app).post(watchlistPath + "/507f1f77bcf86cd799439011").set("Authorization", alice).expect(404);
+    });
+
+    it("is changed by its owner only and viewed by its owner or an admin", async () => {
+      await request(app).post(watchlistPath + "/" + data.movies.matrix._id).set("Authorization", bob).expect(403);
+      await request(app).get(watchlistPath).set("Authorization", bob).expect(403);
+      await request(app).get(watchlistPath).set("Authorization", admin).expect(200);
+    });
+  });
+
+  describe("watch history", () => {
+    const historyPath = "/users/alicesmith/history";
+
+    it("records what was watched, newest first, and takes it off the watchlist", async () => {
+      await request(app).post("/users/alicesmith/watchlist/" + data.movies.matrix._id).set("Authorization", alice).expect(200);
+
+      await request(app)
+        .post(historyPath + "/" + data.movies.godfather._id)
+        .set("Authorization", alice)
+        .send({ WatchedAt: "2024-01-01T20:00:00Z" })
+        .expect(201);
+      const res = await request(app)
+        .post(historyPath + "/" + data.movies.matrix._id)
+        .set("Authorization", alice)
+        .expect(201);
+      assert.deepEqual(res.body.history.map((entry) => entry.Movie.Title), ["The Matrix", "The Godfather"]);
+
+      const watchlist = await request(app).get("/users/alicesmith/watchlist").set("Authorization", alice).expect(200);
+      assert.equal(watchlist.body.count, 0);
+
+      const removed = await request(app)
+        .delete(historyPath + "/" + res.body.history[0]._id)
+        .set("Authorization", alice)
+        .expect(200);
+      assert.deepEqual(removed.body.history.map((entry) => entry.Movie.Title), ["The Godfather"]);
+    });
+
+    it("rejects dates in the future and invalid dates", async () => {
+      const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+      await request(app)
+        .post(historyPath + "/" + data.movies.matrix._id)
+        .set("Authorization", alice)
+        .send({ WatchedAt: tomorrow })
+        .expect(400);
+      await request(app)
+        .post(historyPath + "/" + data.movies.matrix._id)
+        .set("Authorization", alice)
+        .send({ WatchedAt: "last week" })
+        .expect(422);
+    });
+
+    it("is changed by its owner only", async () => {
+      await request(app).post(historyPath + "/" + data.movies.matrix._id).set("Authorization", bob).expect(403);
+      await request(app).get(historyPath).set("Authorization", bob).expect(403);
+    });
+  });
+
+  describe("DELETE /users/:username", () => {
+    it("deletes your own account and its reviews and lists", async () => {
+      await request(app)
+        .post("/movies/" + data.movies.matrix._id + "/reviews")
+        .set("Authorization", alice)
+        .send({ Rating: 8 })
+        .expect(201);
+      await request(app).post("/lists").set("Authorization", alice).send({ Title: "Weekend" }).expect(201);
+
+      const res = await request(app).delete("/users/alicesmith").set("Authorization", alice).expect(200);
+      assert.equal(res.body.message, "alicesmith was deleted.");
+      assert.equal(await Models.Review.countDocuments(), 0);
+      assert.equal(await Models.List.countDocuments(), 0);
+      const matrix = await Models.Movie.findById(data.movies.matrix._id);
+      assert.equal(matrix.CommunityRating.Count, 0);
+    });
+
+    it("lets admins delete any account, but no other user", async () => {
+      await request(app).delete("/users/alicesmith").set("Authorization", bob).expect(403);
+      await request(app).delete("/users/alicesmith").set("Authorization", admin).expect(200);
+      await request(app).delete("/users/alicesmith").set("Authorization", admin).expect(404);
+    });
+  });
+
+  describe("PATCH /users/:username/role", () => {
+    it("lets admins promote users", async () => {
+      const res = await request(app)
+        .patch("/users/alicesmith/role")
+        .set("Authorization", admin)
+        .send({ Role: "admin" })
+        .expect(200);
+      assert.equal(res.body.Role, "admin");
+    });
+
+    it("keeps admins from demoting themselves", async () => {
+      await request(app).patch("/users/adminuser/role").set("Authorization", admin).send({ Role: "user" }).expect(400);
+    });
+
+    it("validates the role and is for admins only", async () => {
+      await request(app).patch("/users/alicesmith/role").set("Authorization", admin).send({ Role: "owner" }).expect(422);
+      await request(app).patch("/users/bobjones/role").set("Authorization", alice).send({ Role: "admin" }).expect(403);
+    });
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * @fileoverview Token issuing and revocation for the myFlix API
+ * @description Short-lived JWT access tokens plus rotating refresh tokens stored in MongoDB.
+ * Bumping a user's TokenVersion invalidates every access token issued before it.
+ * Also issues the single-use tokens sent in password reset and verification emails.
+ * @author Sourav Das
+ * @version 1.0.0
+ */
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Models = require("./models.js");
+
+/**
+ * Hashes a refresh token for storage and lookup
+ * @param {string} token - Raw refresh token
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+/**
+ * Creates the token functions of one app, bound to its models and signing secret
+ * @param {Object} [options]
+ * @param {Object} [options.models] - Mongoose models, as exported by models.js
+ * @param {string} [options.jwtSecret] - Secret access tokens are signed with; defaults to JWT_SECRET
+ * @param {string} [options.accessTokenTtl] - Lifetime of access tokens in any format jsonwebtoken
+ * accepts; defaults to ACCESS_TOKEN_TTL or "15m"
+ * @param {number} [options.refreshTokenTtlDays] - Lifetime of refresh tokens in days; defaults to
+ * REFRESH_TOKEN_TTL_DAYS or 30
+ * @returns {Object} generateAccessToken, verifyAccessToken, issueTokens, rotateRefreshToken,
+ * revokeRefreshToken, revokeUserTokens, issueOneTimeToken and consumeOneTimeToken
+ * @throws {Error} When no secret is given and JWT_SECRET is not set
+ * @example
+ * const tokens = createTokens({ models, jwtSecret: process.env.JWT_SECRET });
+ * const { token, refreshToken } = await tokens.issueTokens(user);
+ */
+function createTokens({
+  models = Models,
+  jwtSecret = process.env.JWT_SECRET,
+  accessTokenTtl = process.env.ACCESS_TOKEN_TTL || "15m",
+  refreshTokenTtlDays = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+} = {}) {
+  if (!jwtSecret) {
+    throw new Error("JWT_SECRET environment variable is required");
+  }
+
+  const RefreshTokens = models.RefreshToken;
+  const OneTimeTokens = models.OneTimeToken;
+  const Users = models.User;
+
+  /**
+   * Generates a short-lived JWT access token.
+   * The payload only identifies the user; "ver" is the user's TokenVersion at signing time.
+   * @param {Object} user - User document
+   * @param {string} user.Username - Username of the authenticated user
+   * @param {number} user.TokenVersion - Current token version of the user
+   * @returns {string} Signed JWT
+   */
+  const generateAccessToken = (user) => {
+    const payload = {
+      _id: String(user._id),
+      Username: user.Username,
+      Role: user.Role,
+      ver: user.TokenVersion || 0,
+    };
+    return jwt.sign(payload, jwtSecret, {
+      subject: user.Username,
+      expiresIn: accessTokenTtl,
+      algorithm: "HS256",
+    });
+  };
+
+  /**
+   * Checks an access token's signature and expiry without touching the database.
+   * Does not notice revoked tokens; use passport's "jwt" strategy to authenticate requests.
+   * @param {string} token - Signed JWT
+   * @returns {Object|null} The payload, or null when the token is invalid or expired
+   */
+  const verifyAccessToken = (token) => {
+    try {
+      return jwt.verify(token, jwtSecret, { algorithms: ["HS256"] });
+    } catch {
+      return null;
+    }
+  };
+
+  /**
+   * Creates and stores a new refresh token for a user
+   * @param {Object} user - User document
+   * @returns {Promise<string>} The raw refresh token; only its hash is persisted
+   */
+  const issueRefreshToken = async (user) => {
+    const token = crypto.randomBytes(48).toString("base64url");
+    await RefreshTokens.create({
+      User: user._id,
+      TokenHash: hashToken(token),
+      ExpiresAt: new Date(Date.now() + refreshTokenTtlDays * 24 * 60 * 60 * 1000),
+    });
+    return token;
+  };
+
+  /**
+   * Issues a fresh access/refresh token pair
+   * @param {Object} user - User document
+   * @returns {Promise<{token: string, refreshToken: string}>}
+   */
+  const issueTokens = async (user) => ({
+    token: generateAccessToken(user),
+    refreshToken: await issueRefreshToken(user),
+  });
+
+  /**
+   * Revokes every refresh token of a user and invalidates their access tokens
+   * @param {Object|string} userId - User id
+   * @returns {Promise<void>}
+   */
+  const revokeUserTokens = async (userId) => {
+    await RefreshTokens.deleteMany({ User: userId });
+    await Users.updateOne({ _id: userId }, { $inc: { TokenVersion: 1 } });
+  };
+
+  /**
+   * Exchanges a refresh token for a new token pair.
+   * The presented token is claimed and revoked in one update before anything is issued, so of
+   * two refreshes sent with the same token only one succeeds. Presenting an already rotated
+   * token is treated as theft and revokes all of the user's tokens.
+   * @param {string} token - Raw refresh token
+   * @returns {Promise<{user: Object, token: string, refreshToken: string}|null>} Null when the token is not usable
+   */
+  const rotateRefreshToken = async (token) => {
+    const tokenHash = hashToken(token);
+    const now = new Date();
+    const claimed = await RefreshTokens.findOneAndUpdate(
+      { TokenHash: tokenHash, RevokedAt: null, ExpiresAt: { $gt: now } },
+      { $set: { RevokedAt: now } }
+    );
+    if (!claimed) {
+      const stored = await RefreshTokens.findOne({ TokenHash: tokenHash }, { User: 1, RevokedAt: 1 });
+      if (stored && stored.RevokedAt) {
+        await revokeUserTokens(stored.User);
+      }
+      return null;
+    }
+
+    const user = await Users.findById(claimed.User);
+    if (!user) {
+      await RefreshTokens.deleteMany({ User: claimed.User });
+      return null;
+    }
+
+    const tokens = await issueTokens(user);
+    await RefreshTokens.updateOne({ _id: claimed._id }, { $set: { ReplacedBy: hashToken(tokens.refreshToken) } });
+    return { user, ...tokens };
+  };
+
+  /**
+   * Revokes a single refresh token
+   * @param {string} token - Raw refresh token
+   * @returns {Promise<Object|null>} The revoked token document, or null if unknown
+   */
+  const revokeRefreshToken = async (token) => {
+    return RefreshTokens.findOneAndDelete({ TokenHash: hashToken(token) });
+  };
+
+  /**
+   * Creates a single-use token for an emailed link, replacing any earlier
+   * token the user had for the same purpose
+   * @param {Object} user - User document
+   * @param {string} purpose - One of Models.OneTimeTokenPurposes
+   * @param {number} ttlMs - How long the token stays valid, in milliseconds
+   * @returns {Promise<string>} The raw token; only its hash is persisted
+   */
+  const issueOneTimeToken = async (user, purpose, ttlMs) => {
+    const token = crypto.randomBytes(32).toString("base64url");
+    await OneTimeTokens.deleteMany({ User: user._id, Purpose: purpose });
+    await OneTimeTokens.create({
+      User: user._id,
+      Purpose: purpose,
+      TokenHash: hashToken(token),
+      ExpiresAt: new Date(Date.now() + ttlMs),
+    });
+    return token;
+  };
+
+  /**
+   * Redeems a single-use token. The token is deleted, so a second call fails.
+   * @param {string} token - Raw token from the emailed link
+   * @param {string} purpose - Purpose the token must have been issued for
+   * @returns {Promise<Object|null>} The owning user's id, or null if the token is unknown or expired
+   */
+  const consumeOneTimeToken = async (token, purpose) => {
+    const stored = await OneTimeTokens.findOneAndDelete({
+      TokenHash: hashToken(token),
+      Purpose: purpose,
+      ExpiresAt: { $gt: new Date() },
+    });
+    return stored ? stored.User : null;
+  };
+
+  return {
+    generateAccessToken,
+    verifyAccessToken,
+    issueTokens,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeUserTokens,
+    issueOneTimeToken,
+    consumeOneTimeToken,
+  };
+}
+
+module.exports = { createTokens };